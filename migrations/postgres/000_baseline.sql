@@ -0,0 +1,55 @@
+-- Schema changes ship as numbered files in migrations/<dialect>/, applied in
+-- order by src/migrate.js (or pasted into the Supabase SQL editor) and
+-- recorded in pm_schema_migrations. Each Postgres file is safe to re-run.
+--
+-- The tables the worker started out with. On a database that already has them
+-- this file changes nothing: columns added since then come from the numbered
+-- files that follow (001_fills.sql adds pm_orders.filled_size and
+-- pm_positions.realized_pnl), never from here.
+CREATE TABLE IF NOT EXISTS pm_assets (
+  asset text PRIMARY KEY,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS pm_positions (
+  asset text NOT NULL,
+  slug text NOT NULL,
+  token_id text NOT NULL,
+  outcome text,
+  shares double precision NOT NULL DEFAULT 0,
+  avg_cost double precision NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (asset, slug, token_id)
+);
+
+CREATE TABLE IF NOT EXISTS pm_orders (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  asset text NOT NULL,
+  slug text NOT NULL,
+  token_id text NOT NULL,
+  outcome text,
+  side text NOT NULL,
+  order_type text,
+  price double precision,
+  size double precision,
+  tick_size text,
+  neg_risk boolean NOT NULL DEFAULT false,
+  status text NOT NULL,
+  order_id text,
+  client_order_id text,
+  last_error text,
+  window_start_epoch bigint,
+  placed_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS pm_orders_order_id_idx ON pm_orders (order_id);
+CREATE INDEX IF NOT EXISTS pm_orders_active_idx ON pm_orders (status, asset, slug);
+
+CREATE TABLE IF NOT EXISTS pm_runs (
+  run_id text PRIMARY KEY,
+  started_at timestamptz,
+  ended_at timestamptz,
+  summary jsonb,
+  errors jsonb
+);
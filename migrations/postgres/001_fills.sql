@@ -0,0 +1,21 @@
+-- Fill tracking (src/index.js ingestFills): one row per (trade, order) we were
+-- part of, plus the filled size of our orders and the realized PnL of our
+-- positions.
+ALTER TABLE pm_orders ADD COLUMN IF NOT EXISTS filled_size double precision NOT NULL DEFAULT 0;
+ALTER TABLE pm_positions ADD COLUMN IF NOT EXISTS realized_pnl double precision NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS pm_fills (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  trade_id text NOT NULL,
+  order_id text NOT NULL,
+  asset text,
+  slug text,
+  token_id text,
+  outcome text,
+  side text,
+  price double precision,
+  size double precision,
+  match_time timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (trade_id, order_id)
+);
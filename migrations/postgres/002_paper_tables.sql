@@ -0,0 +1,5 @@
+-- PAPER_MODE twins of the trading tables (pm_assets stays shared).
+CREATE TABLE IF NOT EXISTS pm_paper_positions (LIKE pm_positions INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS pm_paper_orders (LIKE pm_orders INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS pm_paper_fills (LIKE pm_fills INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS pm_paper_runs (LIKE pm_runs INCLUDING ALL);
@@ -0,0 +1,12 @@
+-- Book recorder table sink (src/recorder.js TableSink): one row per recorded
+-- event, the event itself in payload. Shared by PAPER_MODE.
+CREATE TABLE IF NOT EXISTS pm_book_snapshots (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  ts timestamptz NOT NULL,
+  type text NOT NULL,
+  asset text,
+  slug text,
+  token_id text,
+  payload jsonb
+);
+CREATE INDEX IF NOT EXISTS pm_book_snapshots_ts_idx ON pm_book_snapshots (ts);
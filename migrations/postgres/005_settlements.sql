@@ -0,0 +1,15 @@
+-- Settlement of resolved markets (src/settlement.js): one row per market with
+-- the winner, per-leg PnL and the redemption transaction.
+CREATE TABLE IF NOT EXISTS pm_settlements (
+  slug text PRIMARY KEY,
+  asset text,
+  condition_id text,
+  winner text,
+  payouts jsonb,
+  tokens jsonb,
+  pnl double precision,
+  status text,
+  redeem_tx text,
+  settled_at timestamptz
+);
+CREATE TABLE IF NOT EXISTS pm_paper_settlements (LIKE pm_settlements INCLUDING ALL);
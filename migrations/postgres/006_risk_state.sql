@@ -0,0 +1,13 @@
+-- Kill switch and PnL baselines for the risk manager (src/risk.js): a single
+-- row, id 'worker', so a restarted worker stays halted until POST /risk/reset.
+CREATE TABLE IF NOT EXISTS pm_risk_state (
+  id text PRIMARY KEY,
+  tripped boolean NOT NULL DEFAULT false,
+  reason text,
+  tripped_at timestamptz,
+  day text,
+  day_start_pnl double precision,
+  peak_pnl double precision,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS pm_paper_risk_state (LIKE pm_risk_state INCLUDING ALL);
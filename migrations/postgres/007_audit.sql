@@ -0,0 +1,14 @@
+-- Audit trail for the control endpoints (pause/resume, run-once, cancel-all,
+-- flatten, asset toggle): who called what, with which params and outcome.
+CREATE TABLE IF NOT EXISTS pm_audit (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  actor text,
+  ip text,
+  action text NOT NULL,
+  params jsonb,
+  success boolean,
+  result jsonb,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS pm_paper_audit (LIKE pm_audit INCLUDING ALL);
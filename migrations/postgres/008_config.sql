@@ -0,0 +1,27 @@
+-- Runtime config overrides (src/settings.js): one row per (scope, key), scope
+-- "*" for global values or an asset symbol, plus the history of every change
+-- made through pm_config or PATCH /config.
+CREATE TABLE IF NOT EXISTS pm_config (
+  scope text NOT NULL,
+  key text NOT NULL,
+  value jsonb,
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE IF NOT EXISTS pm_config_history (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  scope text NOT NULL,
+  key text NOT NULL,
+  old_value jsonb,
+  new_value jsonb,
+  override jsonb,
+  layer text,
+  actor text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS pm_config_history_created_idx ON pm_config_history (created_at);
+
+CREATE TABLE IF NOT EXISTS pm_paper_config (LIKE pm_config INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS pm_paper_config_history (LIKE pm_config_history INCLUDING ALL);
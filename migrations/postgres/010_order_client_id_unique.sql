@@ -0,0 +1,7 @@
+-- The order manager updates each order by client_order_id, so the id must
+-- name exactly one row: a second insert with the same id fails instead of
+-- recording the order twice. Replaces the plain index from 009.
+DROP INDEX IF EXISTS pm_orders_client_order_id_idx;
+DROP INDEX IF EXISTS pm_paper_orders_client_order_id_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS pm_orders_client_order_id_key ON pm_orders (client_order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS pm_paper_orders_client_order_id_key ON pm_paper_orders (client_order_id);
@@ -0,0 +1,6 @@
+-- Pair merges of ended markets, recorded on the market's settlement row
+-- (status MERGING -> MERGED) next to a later redemption.
+ALTER TABLE pm_settlements ADD COLUMN IF NOT EXISTS merged_pairs double precision;
+ALTER TABLE pm_settlements ADD COLUMN IF NOT EXISTS merge_tx text;
+ALTER TABLE pm_paper_settlements ADD COLUMN IF NOT EXISTS merged_pairs double precision;
+ALTER TABLE pm_paper_settlements ADD COLUMN IF NOT EXISTS merge_tx text;
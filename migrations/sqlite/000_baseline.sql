@@ -0,0 +1,53 @@
+-- SQLite twin of migrations/postgres/000_baseline.sql: booleans as 0/1, json
+-- as text and timestamps as ISO-8601 text. SQLite files are migrated in order
+-- when the worker opens them, so each change here is applied exactly once.
+--
+-- The tables the worker started out with; later columns come from the
+-- numbered files that follow.
+CREATE TABLE IF NOT EXISTS pm_assets (
+  asset TEXT PRIMARY KEY,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS pm_positions (
+  asset TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  outcome TEXT,
+  shares REAL NOT NULL DEFAULT 0,
+  avg_cost REAL NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (asset, slug, token_id)
+);
+
+CREATE TABLE IF NOT EXISTS pm_orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  asset TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  outcome TEXT,
+  side TEXT NOT NULL,
+  order_type TEXT,
+  price REAL,
+  size REAL,
+  tick_size TEXT,
+  neg_risk INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL,
+  order_id TEXT,
+  client_order_id TEXT,
+  last_error TEXT,
+  window_start_epoch INTEGER,
+  placed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS pm_orders_order_id_idx ON pm_orders (order_id);
+CREATE INDEX IF NOT EXISTS pm_orders_active_idx ON pm_orders (status, asset, slug);
+
+CREATE TABLE IF NOT EXISTS pm_runs (
+  run_id TEXT PRIMARY KEY,
+  started_at TEXT,
+  ended_at TEXT,
+  summary TEXT,
+  errors TEXT
+);
@@ -0,0 +1,21 @@
+-- Fill tracking (src/index.js ingestFills): one row per (trade, order) we were
+-- part of, plus the filled size of our orders and the realized PnL of our
+-- positions.
+ALTER TABLE pm_orders ADD COLUMN filled_size REAL NOT NULL DEFAULT 0;
+ALTER TABLE pm_positions ADD COLUMN realized_pnl REAL NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS pm_fills (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trade_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  asset TEXT,
+  slug TEXT,
+  token_id TEXT,
+  outcome TEXT,
+  side TEXT,
+  price REAL,
+  size REAL,
+  match_time TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (trade_id, order_id)
+);
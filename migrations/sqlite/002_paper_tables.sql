@@ -0,0 +1,61 @@
+-- PAPER_MODE twins of the trading tables (pm_assets stays shared). SQLite has
+-- no CREATE TABLE ... LIKE, so each twin is spelled out.
+CREATE TABLE IF NOT EXISTS pm_paper_positions (
+  asset TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  outcome TEXT,
+  shares REAL NOT NULL DEFAULT 0,
+  avg_cost REAL NOT NULL DEFAULT 0,
+  realized_pnl REAL NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (asset, slug, token_id)
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  asset TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  outcome TEXT,
+  side TEXT NOT NULL,
+  order_type TEXT,
+  price REAL,
+  size REAL,
+  filled_size REAL NOT NULL DEFAULT 0,
+  tick_size TEXT,
+  neg_risk INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL,
+  order_id TEXT,
+  client_order_id TEXT,
+  last_error TEXT,
+  window_start_epoch INTEGER,
+  placed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS pm_paper_orders_order_id_idx ON pm_paper_orders (order_id);
+CREATE INDEX IF NOT EXISTS pm_paper_orders_active_idx ON pm_paper_orders (status, asset, slug);
+
+CREATE TABLE IF NOT EXISTS pm_paper_fills (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trade_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  asset TEXT,
+  slug TEXT,
+  token_id TEXT,
+  outcome TEXT,
+  side TEXT,
+  price REAL,
+  size REAL,
+  match_time TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (trade_id, order_id)
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_runs (
+  run_id TEXT PRIMARY KEY,
+  started_at TEXT,
+  ended_at TEXT,
+  summary TEXT,
+  errors TEXT
+);
@@ -0,0 +1,12 @@
+-- Book recorder table sink (src/recorder.js TableSink): one row per recorded
+-- event, the event itself in payload. Shared by PAPER_MODE.
+CREATE TABLE IF NOT EXISTS pm_book_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts TEXT NOT NULL,
+  type TEXT NOT NULL,
+  asset TEXT,
+  slug TEXT,
+  token_id TEXT,
+  payload TEXT
+);
+CREATE INDEX IF NOT EXISTS pm_book_snapshots_ts_idx ON pm_book_snapshots (ts);
@@ -0,0 +1,7 @@
+-- Trade status as last seen (MATCHED, MINED, CONFIRMED, RETRYING, FAILED) and
+-- the position's average cost when the fill was applied, so a trade that
+-- FAILED after it was applied can be reversed exactly.
+ALTER TABLE pm_fills ADD COLUMN status TEXT;
+ALTER TABLE pm_fills ADD COLUMN avg_cost_before REAL;
+ALTER TABLE pm_paper_fills ADD COLUMN status TEXT;
+ALTER TABLE pm_paper_fills ADD COLUMN avg_cost_before REAL;
@@ -0,0 +1,27 @@
+-- Settlement of resolved markets (src/settlement.js): one row per market with
+-- the winner, per-leg PnL and the redemption transaction.
+CREATE TABLE IF NOT EXISTS pm_settlements (
+  slug TEXT PRIMARY KEY,
+  asset TEXT,
+  condition_id TEXT,
+  winner TEXT,
+  payouts TEXT,
+  tokens TEXT,
+  pnl REAL,
+  status TEXT,
+  redeem_tx TEXT,
+  settled_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_settlements (
+  slug TEXT PRIMARY KEY,
+  asset TEXT,
+  condition_id TEXT,
+  winner TEXT,
+  payouts TEXT,
+  tokens TEXT,
+  pnl REAL,
+  status TEXT,
+  redeem_tx TEXT,
+  settled_at TEXT
+);
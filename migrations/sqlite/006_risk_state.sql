@@ -0,0 +1,23 @@
+-- Kill switch and PnL baselines for the risk manager (src/risk.js): a single
+-- row, id 'worker', so a restarted worker stays halted until POST /risk/reset.
+CREATE TABLE IF NOT EXISTS pm_risk_state (
+  id TEXT PRIMARY KEY,
+  tripped INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  tripped_at TEXT,
+  day TEXT,
+  day_start_pnl REAL,
+  peak_pnl REAL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_risk_state (
+  id TEXT PRIMARY KEY,
+  tripped INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  tripped_at TEXT,
+  day TEXT,
+  day_start_pnl REAL,
+  peak_pnl REAL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,25 @@
+-- Audit trail for the control endpoints (pause/resume, run-once, cancel-all,
+-- flatten, asset toggle): who called what, with which params and outcome.
+CREATE TABLE IF NOT EXISTS pm_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT,
+  ip TEXT,
+  action TEXT NOT NULL,
+  params TEXT,
+  success INTEGER,
+  result TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT,
+  ip TEXT,
+  action TEXT NOT NULL,
+  params TEXT,
+  success INTEGER,
+  result TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,46 @@
+-- Runtime config overrides (src/settings.js): one row per (scope, key), scope
+-- "*" for global values or an asset symbol, plus the history of every change
+-- made through pm_config or PATCH /config.
+CREATE TABLE IF NOT EXISTS pm_config (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value TEXT,
+  updated_by TEXT,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE IF NOT EXISTS pm_config_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  override TEXT,
+  layer TEXT,
+  actor TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS pm_config_history_created_idx ON pm_config_history (created_at);
+
+CREATE TABLE IF NOT EXISTS pm_paper_config (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value TEXT,
+  updated_by TEXT,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE IF NOT EXISTS pm_paper_config_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  override TEXT,
+  layer TEXT,
+  actor TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS pm_paper_config_history_created_idx ON pm_paper_config_history (created_at);
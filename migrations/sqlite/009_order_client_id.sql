@@ -0,0 +1,4 @@
+-- The order manager (src/orders.js) writes each order PENDING first and
+-- updates it by client_order_id.
+CREATE INDEX IF NOT EXISTS pm_orders_client_order_id_idx ON pm_orders (client_order_id);
+CREATE INDEX IF NOT EXISTS pm_paper_orders_client_order_id_idx ON pm_paper_orders (client_order_id);
@@ -0,0 +1,6 @@
+-- Pair merges of ended markets, recorded on the market's settlement row
+-- (status MERGING -> MERGED) next to a later redemption.
+ALTER TABLE pm_settlements ADD COLUMN merged_pairs REAL;
+ALTER TABLE pm_settlements ADD COLUMN merge_tx TEXT;
+ALTER TABLE pm_paper_settlements ADD COLUMN merged_pairs REAL;
+ALTER TABLE pm_paper_settlements ADD COLUMN merge_tx TEXT;
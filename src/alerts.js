@@ -0,0 +1,172 @@
+// Alerting: push notifications for conditions someone should look at, sent to
+// every configured sink.
+//
+// Sinks (one POST per alert):
+//   WebhookSink   { alert: { key, severity, title, message, fields, ... } }
+//   SlackSink     Slack incoming-webhook { text }
+//   TelegramSink  Bot API sendMessage { chat_id, text }
+//
+// notify() dedups by key: a key that fired within cooldownMs is suppressed and
+// counted, and the next alert for it says how many were swallowed (one-off
+// events such as a single large fill pass dedup: false). On top of
+// that at most maxPerHour alerts go out in total. resolve() ends a condition:
+// if its key had fired, a recovery notice goes out and the key can fire again
+// right away.
+//
+// Sending never throws and isn't awaited by the trading path; failures land in
+// status().
+
+const HOUR_MS = 3600000;
+
+function formatText(alert) {
+  const head = `[${alert.severity.toUpperCase()}] ${alert.source}: ${alert.title}`;
+  const lines = [head];
+  if (alert.message) lines.push(alert.message);
+  for (const [k, v] of Object.entries(alert.fields || {})) {
+    lines.push(`${k}: ${typeof v === "object" ? JSON.stringify(v) : v}`);
+  }
+  if (alert.suppressed) lines.push(`(+${alert.suppressed} suppressed since last alert)`);
+  return lines.join("\n");
+}
+
+async function postJson(url, body, timeoutMs) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!resp.ok) {
+    const t = await resp.text().catch(() => "");
+    throw new Error(`status=${resp.status} body=${t.slice(0, 200)}`);
+  }
+}
+
+export class WebhookSink {
+  constructor({ url, timeoutMs = 5000 }) {
+    this.name = "webhook";
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    return postJson(this.url, { alert }, this.timeoutMs);
+  }
+}
+
+export class SlackSink {
+  constructor({ url, timeoutMs = 5000 }) {
+    this.name = "slack";
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    return postJson(this.url, { text: formatText(alert) }, this.timeoutMs);
+  }
+}
+
+// apiUrl is overridable so a local receiver can stand in for api.telegram.org.
+export class TelegramSink {
+  constructor({ botToken, chatId, apiUrl = "https://api.telegram.org", timeoutMs = 5000 }) {
+    this.name = "telegram";
+    this.url = `${apiUrl.replace(/\/$/, "")}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    return postJson(this.url, { chat_id: this.chatId, text: formatText(alert), disable_web_page_preview: true }, this.timeoutMs);
+  }
+}
+
+export class AlertManager {
+  constructor({ sinks = [], source = "worker", cooldownMs = 600000, maxPerHour = 30 }) {
+    this.sinks = sinks;
+    this.source = source;
+    this.cooldownMs = cooldownMs;
+    this.maxPerHour = maxPerHour;
+
+    this.keys = new Map(); // key -> { lastSentAt, suppressed, active }
+    this.sentTimes = [];
+    this.recent = [];
+    this.stats = { sent: 0, suppressed: 0, rateLimited: 0, sinkErrors: 0, lastError: null };
+  }
+
+  get enabled() {
+    return this.sinks.length > 0;
+  }
+
+  // severity: info | warn | error | critical. Returns true if it went out.
+  async notify({ key, severity = "warn", title, message = "", fields = {}, dedup = true }, nowMs = Date.now()) {
+    if (!this.enabled) return false;
+
+    const k = (dedup && this.keys.get(key)) || { lastSentAt: null, suppressed: 0, active: false };
+    if (dedup) this.keys.set(key, k);
+    k.active = true;
+
+    if (k.lastSentAt != null && nowMs - k.lastSentAt < this.cooldownMs) {
+      k.suppressed++;
+      this.stats.suppressed++;
+      return false;
+    }
+
+    this.sentTimes = this.sentTimes.filter((t) => nowMs - t < HOUR_MS);
+    if (this.maxPerHour > 0 && this.sentTimes.length >= this.maxPerHour) {
+      k.suppressed++;
+      this.stats.rateLimited++;
+      return false;
+    }
+
+    const alert = this.build(key, severity, title, message, fields, k.suppressed, nowMs);
+    k.lastSentAt = nowMs;
+    k.suppressed = 0;
+    this.sentTimes.push(nowMs);
+    await this.dispatch(alert);
+    return true;
+  }
+
+  // Condition is over: announce it if it had alerted, and re-arm the key.
+  async resolve(key, message = "", nowMs = Date.now()) {
+    const k = this.keys.get(key);
+    if (!k?.active) return false;
+    this.keys.delete(key);
+    if (k.lastSentAt == null) return false;
+
+    await this.dispatch(this.build(key, "resolved", `Resolved: ${key}`, message, {}, k.suppressed, nowMs));
+    return true;
+  }
+
+  build(key, severity, title, message, fields, suppressed, nowMs) {
+    return { key, severity, title, message, fields, source: this.source, suppressed, at: new Date(nowMs).toISOString() };
+  }
+
+  async dispatch(alert) {
+    this.stats.sent++;
+    this.recent = [{ key: alert.key, severity: alert.severity, title: alert.title, at: alert.at }, ...this.recent].slice(0, 20);
+    console.log(`[Alert] ${alert.severity} ${alert.key}: ${alert.title}`);
+
+    await Promise.all(
+      this.sinks.map(async (sink) => {
+        try {
+          await sink.send(alert);
+        } catch (e) {
+          this.stats.sinkErrors++;
+          this.stats.lastError = `${sink.name}: ${e?.message || String(e)}`;
+          console.error(`[Alert] ${sink.name} send failed:`, e?.message || e);
+        }
+      })
+    );
+  }
+
+  status() {
+    return {
+      sinks: this.sinks.map((s) => s.name),
+      cooldownMs: this.cooldownMs,
+      maxPerHour: this.maxPerHour,
+      active: [...this.keys].filter(([, k]) => k.active).map(([key]) => key),
+      recent: this.recent,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,457 @@
+// Offline backtester.
+//
+// Replays recorded order book snapshots (JSONL, optionally .gz) through the same
+// quoting / eligibility / exit decisions runCycle uses (src/strategy.js), with
+// fills simulated by the paper matcher (src/paper.js).
+//
+// Usage:
+//   node src/backtest.js --file books.jsonl.gz
+//   node src/backtest.js --file books.jsonl --grid '{"SEED_HALF_SPREAD_BPS":[100,200,400],"MIN_BID":[0.02,0.05]}'
+//   node src/backtest.js --file books.jsonl --grid grid.json --interval 15000 --cash 1000 --out results.json
+//
+// Input lines (what the recorder writes):
+//   {"type":"market","asset":"BTC","slug":"...","yesTokenId":"...","noTokenId":"...","endDateMs":1767000000000,"tickSize":0.01}
+//   {"type":"book","ts":1767000000000,"tokenId":"...","bids":[{"price":"0.48","size":"120"}],"asks":[...],"tickSize":0.01}
+//   {"type":"resolution","slug":"...","winner":"YES"}
+//   {"type":"price","ts":1767000000000,"asset":"BTC","price":97000.5}   (underlying, for FAIR_MODEL=updown)
+//
+// Grid keys are any CONFIG key plus SEED_ENABLED, SEED_FAIR_PRICE,
+// SEED_HALF_SPREAD_BPS, MAX_ORDERS_PER_SIDE, FAIR_MODEL, LADDER_ENABLED,
+// INVENTORY_SKEW_ENABLED; every combination is run.
+
+import fs from "node:fs";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import { pathToFileURL } from "node:url";
+
+import {
+  CONFIG,
+  FAIR_MODEL,
+  INVENTORY_SKEW_ENABLED,
+  LADDER_ENABLED,
+  SEED_ENABLED,
+  SEED_FAIR_PRICE,
+  SEED_HALF_SPREAD_BPS,
+  MAX_ORDERS_PER_SIDE,
+} from "./config.js";
+import { PaperExchange } from "./paper.js";
+import { SeriesPriceFeed, UpDownFairModel } from "./fairvalue.js";
+import {
+  applyFill,
+  buildLadder,
+  classifyBook,
+  closeoutAggression,
+  diffLadder,
+  ladderActive,
+  planCloseout,
+  planEntries,
+  planExit,
+  portfolioExposure,
+  quoteCenter,
+  sellableShares,
+  summarizeBook,
+  withMarketMinimum,
+} from "./strategy.js";
+
+const SEED_KEYS = ["SEED_ENABLED", "SEED_FAIR_PRICE", "SEED_HALF_SPREAD_BPS", "MAX_ORDERS_PER_SIDE", "FAIR_MODEL", "LADDER_ENABLED", "INVENTORY_SKEW_ENABLED"];
+
+export function defaultParams() {
+  return {
+    SEED_ENABLED,
+    SEED_FAIR_PRICE,
+    SEED_HALF_SPREAD_BPS,
+    MAX_ORDERS_PER_SIDE,
+    FAIR_MODEL,
+    LADDER_ENABLED,
+    INVENTORY_SKEW_ENABLED,
+    ...CONFIG,
+  };
+}
+
+// =============================================================================
+// INPUT
+// =============================================================================
+
+export async function loadEvents(file) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+
+  const events = [];
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      throw new Error(`${file}:${lineNo}: invalid JSON (${e.message})`);
+    }
+  }
+
+  // Stable by timestamp; market headers sort first so books can find their market.
+  return events
+    .map((ev, i) => ({ ev, i }))
+    .sort((a, b) => (a.ev.type === "market" ? -1 : 0) - (b.ev.type === "market" ? -1 : 0) || (a.ev.ts || 0) - (b.ev.ts || 0) || a.i - b.i)
+    .map(({ ev }) => ev);
+}
+
+// =============================================================================
+// GRID
+// =============================================================================
+
+export function expandGrid(grid) {
+  const keys = Object.keys(grid || {});
+  const known = new Set([...SEED_KEYS, ...Object.keys(CONFIG)]);
+  for (const k of keys) {
+    if (!known.has(k)) throw new Error(`Unknown grid key: ${k}`);
+    if (!Array.isArray(grid[k]) || !grid[k].length) throw new Error(`Grid key ${k} needs a non-empty array`);
+  }
+
+  let combos = [{}];
+  for (const k of keys) {
+    combos = combos.flatMap((c) => grid[k].map((v) => ({ ...c, [k]: v })));
+  }
+  return combos;
+}
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+// overrides: grid combination; opts: { intervalMs, startingCash }
+export async function runBacktest(events, overrides = {}, opts = {}) {
+  const params = { ...defaultParams(), ...overrides };
+  const cfg = params;
+  const intervalMs = Number(opts.intervalMs || 15000);
+  const startingCash = Number(opts.startingCash || 1000);
+
+  let clock = 0;
+  const paper = new PaperExchange({ address: "backtest", startingCash, now: () => clock });
+  const feed = new SeriesPriceFeed();
+  const fairModel = params.FAIR_MODEL === "updown" ? new UpDownFairModel({ feed, cfg }) : null;
+
+  const markets = new Map(); // slug -> market
+  const tokenInfo = new Map(); // tokenId -> { market, outcome }
+  const books = new Map(); // tokenId -> summary
+  const lastDecision = new Map(); // tokenId -> ts
+  const orders = new Map(); // orderId -> { tokenId, kind, side, price, size, placedAt }
+  const positions = new Map(); // tokenId -> { shares, avg_cost, realized_pnl }
+  const inventory = {}; // tokenId -> [{ ts, shares }]
+
+  const result = {
+    params: overrides,
+    orders_placed: 0,
+    orders_rejected: 0,
+    orders_filled: 0,
+    fills: 0,
+    volume_usd: 0,
+    skipped: {},
+    settled: [],
+  };
+
+  const filledOrders = new Set();
+  let tradeIdx = 0;
+  let peak = startingCash;
+  let maxDrawdown = 0;
+  const equityPath = [];
+
+  function skip(reason) {
+    result.skipped[reason] = (result.skipped[reason] || 0) + 1;
+  }
+
+  function drainTrades() {
+    for (; tradeIdx < paper.trades.length; tradeIdx++) {
+      const t = paper.trades[tradeIdx];
+      const orderId = t.trader_side === "TAKER" ? t.taker_order_id : t.maker_orders[0]?.order_id;
+      const size = Number(t.size);
+      const price = Number(t.price);
+
+      positions.set(t.asset_id, applyFill(positions.get(t.asset_id), t.side, size, price));
+      (inventory[t.asset_id] ||= []).push({ ts: clock, shares: positions.get(t.asset_id).shares });
+
+      result.fills++;
+      result.volume_usd += size * price;
+      if (orderId) filledOrders.add(orderId);
+    }
+  }
+
+  function liveOrders(tokenId) {
+    return [...orders.entries()]
+      .filter(([id, o]) => o.tokenId === tokenId && paper.orders.get(id)?.status === "LIVE")
+      .map(([id, o]) => ({ id, ...o, matched: paper.orders.get(id).matched }));
+  }
+
+  async function place(tokenId, { kind, side, price, size, orderType }, tick) {
+    const r = await paper.createAndPostOrder({ tokenID: tokenId, price, size, side }, { tickSize: String(tick) }, orderType);
+    if (!r?.orderID) {
+      result.orders_rejected++;
+      skip(`reject_${kind}`);
+      return null;
+    }
+    orders.set(r.orderID, { tokenId, kind, side, price, size, placedAt: clock });
+    result.orders_placed++;
+    return r.orderID;
+  }
+
+  function cancel(list) {
+    return paper.cancelOrders(list.map((o) => o.id));
+  }
+
+  function markEquity() {
+    let value = paper.cash;
+    for (const [tokenId, pos] of positions) {
+      if (!(pos.shares > 0)) continue;
+      const b = books.get(tokenId);
+      const mark = b ? (b.bestAsk < 1 && b.bestBid > 0 ? (b.bestBid + b.bestAsk) / 2 : b.bestBid) : pos.avg_cost;
+      value += pos.shares * mark;
+    }
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak - value);
+    equityPath.push({ ts: clock, equity: Number(value.toFixed(4)) });
+    return value;
+  }
+
+  async function decide(tokenId, book) {
+    const info = tokenInfo.get(tokenId);
+    if (!info) return skip("unknown_token");
+    const { market, outcome } = info;
+    // the market's own minimum order size applies on top of MIN_ORDER_SIZE
+    const cfg = withMarketMinimum(params, book.minOrderSize ?? market.minOrderSize);
+
+    const secsLeft = Math.max(0, Math.floor((market.endDateMs - clock) / 1000));
+    if (secsLeft <= 0) return skip("market_ended");
+
+    const fv = (fairModel && (await fairModel.fair({ asset: market.asset, endDateMs: market.endDateMs, nowMs: clock }))) || {
+      pUp: params.SEED_FAIR_PRICE,
+      source: "constant",
+    };
+    const center = quoteCenter(fv, positions.get(String(market.yesTokenId)), positions.get(String(market.noTokenId)), secsLeft, cfg);
+
+    const tick = book.tickSize || market.tickSize || 0.01;
+    const pos = positions.get(tokenId);
+    const shares = Number(pos?.shares || 0);
+    const avgCost = Number(pos?.avg_cost || 0);
+    const size = sellableShares(shares);
+    const live = liveOrders(tokenId);
+
+    // ---- CLOSEOUT ----
+    if (secsLeft <= cfg.CLOSEOUT_SECONDS) {
+      await cancel(live);
+      if (size < cfg.MIN_ORDER_SIZE) return;
+      const co = planCloseout(size, book, closeoutAggression(secsLeft, cfg), tick, cfg);
+      if (co.order) await place(tokenId, co.order, tick);
+      else skip(`closeout_${co.skip}`);
+      return;
+    }
+
+    // ---- stale entries (ladder levels are diffed instead while the ladder is up) ----
+    const state = classifyBook(book, cfg);
+    const ladderUp = ladderActive(state, cfg);
+    const isExit = (o) => o.kind === "TP" || o.kind === "SL" || o.kind === "CO";
+    const stale = live.filter((o) => !isExit(o) && !(ladderUp && o.kind === "ladder") && clock - o.placedAt > cfg.STALE_MS);
+    await cancel(stale);
+    const entries = live.filter((o) => !isExit(o) && !stale.includes(o));
+    const exits = live.filter(isExit).map((o) => ({ ...o, remaining: o.size - o.matched }));
+
+    // ---- EXITS ----
+    const exit = planExit({ shares, avgCost, book, exits }, tick, cfg);
+    await cancel(exit.cancel);
+    if (exit.skip) skip(exit.skip);
+    if (exit.order) {
+      await place(tokenId, exit.order, tick);
+      if (exit.order.kind === "SL") return;
+    }
+
+    // ---- RISK caps (YES+NO pairs count as hedged) ----
+    const rows = [...positions.entries()].map(([t, p]) => {
+      const ti = tokenInfo.get(t);
+      return { asset: ti?.market.asset, slug: ti?.market.slug, outcome: ti?.outcome, token_id: t, ...p };
+    });
+    const exposure = portfolioExposure(rows);
+    const tokenUsd = exposure.byToken.get(tokenId) ?? shares * avgCost;
+    if (cfg.MAX_POSITION_USD_PER_TOKEN > 0 && tokenUsd >= cfg.MAX_POSITION_USD_PER_TOKEN) return skip("position_full");
+    if (cfg.MAX_TOTAL_POSITION_USD > 0 && exposure.totalUsd >= cfg.MAX_TOTAL_POSITION_USD) return skip("total_position_full");
+
+    // ---- ENTRIES ----
+    const otherLive = liveOrders(String(outcome === "YES" ? market.noTokenId : market.yesTokenId));
+    const plan = planEntries(
+      {
+        book,
+        state,
+        outcome,
+        tick,
+        center,
+        fairSource: fv.source,
+        open: { buys: entries.filter((o) => o.side === "BUY").length, sells: entries.filter((o) => o.side === "SELL").length },
+        other: {
+          bid: Math.max(0, ...otherLive.filter((o) => o.side === "BUY").map((o) => o.price)),
+          ask: Math.min(1, ...otherLive.filter((o) => o.side === "SELL").map((o) => o.price)),
+        },
+      },
+      cfg
+    );
+    for (const reason of plan.skips) skip(reason);
+
+    if (plan.mode === "ladder") {
+      const { bidPx, askPx, bidOk, askOk } = plan.quote;
+      const desired = buildLadder(bidPx, askPx, tick, cfg, { bid: bidOk, ask: askOk });
+      const existing = entries
+        .filter((o) => o.kind === "ladder")
+        .map((o) => ({ ...o, remaining: o.size - o.matched }));
+      const { cancel: drop, place: add } = diffLadder(desired, existing, tick, cfg);
+      await cancel(drop);
+      for (const lvl of add) await place(tokenId, { ...lvl, orderType: "GTC", kind: "ladder" }, tick);
+      return;
+    }
+    for (const order of plan.orders) await place(tokenId, order, tick);
+  }
+
+  async function settle(ev) {
+    const market = markets.get(ev.slug);
+    if (!market) return;
+    for (const [tokenId, outcome] of [
+      [market.yesTokenId, "YES"],
+      [market.noTokenId, "NO"],
+    ]) {
+      const pos = positions.get(tokenId);
+      const shares = Number(pos?.shares || 0);
+      const payout = ev.winner ? (ev.winner === outcome ? 1 : 0) : null;
+
+      await cancel(liveOrders(tokenId));
+      if (shares > 0 && payout !== null) {
+        paper.redeem(tokenId, payout);
+        positions.set(tokenId, { ...applyFill(pos, "SELL", shares, payout) });
+        (inventory[tokenId] ||= []).push({ ts: clock, shares: 0 });
+      }
+      result.settled.push({ slug: ev.slug, outcome, shares, payout });
+    }
+  }
+
+  for (const ev of events) {
+    if (ev.ts) clock = Number(ev.ts);
+
+    if (ev.type === "market") {
+      markets.set(ev.slug, ev);
+      tokenInfo.set(String(ev.yesTokenId), { market: ev, outcome: "YES" });
+      tokenInfo.set(String(ev.noTokenId), { market: ev, outcome: "NO" });
+      continue;
+    }
+
+    if (ev.type === "price") {
+      feed.push(ev.asset, clock, ev.price);
+      continue;
+    }
+
+    if (ev.type === "resolution") {
+      await settle(ev);
+      markEquity();
+      continue;
+    }
+
+    if (ev.type !== "book") continue;
+
+    const tokenId = String(ev.tokenId);
+    const book = summarizeBook(ev.bids, ev.asks, ev.tickSize ?? ev.tick_size, ev.minOrderSize ?? ev.min_order_size);
+    books.set(tokenId, book);
+
+    paper.onBook(tokenId, book);
+    drainTrades();
+
+    if (clock - (lastDecision.get(tokenId) ?? -Infinity) >= intervalMs) {
+      lastDecision.set(tokenId, clock);
+      await decide(tokenId, book);
+      drainTrades();
+    }
+    markEquity();
+  }
+
+  const finalEquity = equityPath.length ? equityPath[equityPath.length - 1].equity : startingCash;
+  let realized = 0;
+  for (const p of positions.values()) realized += Number(p.realized_pnl || 0);
+
+  for (const id of orders.keys()) if (filledOrders.has(id)) result.orders_filled++;
+
+  return {
+    ...result,
+    pnl: Number((finalEquity - startingCash).toFixed(4)),
+    realized_pnl: Number(realized.toFixed(4)),
+    fill_rate: result.orders_placed ? Number((result.orders_filled / result.orders_placed).toFixed(4)) : 0,
+    max_drawdown: Number(maxDrawdown.toFixed(4)),
+    volume_usd: Number(result.volume_usd.toFixed(4)),
+    max_inventory: Object.fromEntries(
+      Object.entries(inventory).map(([t, path]) => [t, Math.max(...path.map((p) => Math.abs(p.shares)))])
+    ),
+    inventory,
+    equity: equityPath,
+  };
+}
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function readGrid(arg) {
+  if (!arg) return {};
+  const text = fs.existsSync(arg) ? fs.readFileSync(arg, "utf8") : arg;
+  return JSON.parse(text);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error("Usage: node src/backtest.js --file <books.jsonl[.gz]> [--grid <json|file>] [--interval ms] [--cash usd] [--out file]");
+    process.exit(1);
+  }
+
+  const events = await loadEvents(args.file);
+  const combos = expandGrid(readGrid(args.grid));
+  const opts = {
+    intervalMs: Number(args.interval || process.env.RUNNER_INTERVAL_MS || 15000),
+    startingCash: Number(args.cash || 1000),
+  };
+
+  console.log(`[Backtest] ${events.length} events, ${combos.length} parameter set(s), interval=${opts.intervalMs}ms`);
+
+  const results = [];
+  for (const combo of combos) {
+    const r = await runBacktest(events, combo, opts);
+    results.push(r);
+    console.log(
+      `[Backtest] ${JSON.stringify(combo)} pnl=${r.pnl} realized=${r.realized_pnl} fills=${r.fills} fill_rate=${r.fill_rate} placed=${r.orders_placed} rejected=${r.orders_rejected} max_dd=${r.max_drawdown}`
+    );
+  }
+
+  if (combos.length > 1) {
+    const best = [...results].sort((a, b) => b.pnl - a.pnl)[0];
+    console.log(`[Backtest] best: ${JSON.stringify(best.params)} pnl=${best.pnl} max_dd=${best.max_drawdown}`);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(results, null, 2));
+    console.log(`[Backtest] wrote ${args.out}`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("[Backtest] FATAL:", e?.message || e);
+    process.exit(1);
+  });
+}
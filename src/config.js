@@ -0,0 +1,166 @@
+// Strategy configuration (env-driven, schema-checked).
+//
+// Shared by the worker (src/index.js) and the offline backtester (src/backtest.js)
+// so both start from the same values; the backtester overrides them per run and
+// the worker layers pm_config / API overrides on top (src/settings.js).
+//
+// SCHEMA lists every tunable key: type, bounds and default. The env var of the
+// same name overrides the default ("1" turns a bool on). Keys flagged:
+//   top:      exported on their own (SEED_ENABLED, ...) rather than in CONFIG
+//   perAsset: per-asset only, read from KEY_<ASSET> (e.g. TARGET_SLUG_BTC)
+//   global:   portfolio-wide (risk limits, lifecycle), can't be overridden per asset
+// Types: number | int | bool | string | enum (values).
+
+export const SCHEMA = {
+  // Strategy toggles
+  SEED_ENABLED: { type: "bool", default: false, top: true }, // seed empty books
+  TARGET_MODE_ENABLED: { type: "bool", default: false, top: true, global: true }, // prefer target slug/token ids
+  // Fair value (src/fairvalue.js): "constant" quotes around SEED_FAIR_PRICE,
+  // "updown" prices P(up) from the underlying's move since window open.
+  FAIR_MODEL: { type: "enum", values: ["constant", "updown"], default: "constant", top: true },
+  LADDER_ENABLED: { type: "bool", default: false, top: true }, // N price levels per side (see buildLadder)
+  INVENTORY_SKEW_ENABLED: { type: "bool", default: false, top: true }, // shift quotes against inventory (see inventorySkew)
+
+  // Seeding parameters
+  SEED_FAIR_PRICE: { type: "number", min: 0.01, max: 0.99, default: 0.5, top: true }, // MVP: constant fair
+  SEED_HALF_SPREAD_BPS: { type: "number", min: 0, max: 5000, default: 200, top: true }, // 200 = 2% around fair
+  MAX_ORDERS_PER_SIDE: { type: "int", min: 0, max: 20, default: 1, top: true }, // 1 bid + 1 ask per token
+
+  // Pinned markets (TARGET_MODE_ENABLED)
+  TARGET_SLUG: { type: "string", default: "", perAsset: true },
+  TARGET_YES_TOKEN_ID: { type: "string", default: "", perAsset: true },
+  TARGET_NO_TOKEN_ID: { type: "string", default: "", perAsset: true },
+
+  // These "liquidity gates" are still used in NON-SEED paths
+  MIN_BID: { type: "number", min: 0, max: 1, default: 0.02 },
+  MAX_ASK: { type: "number", min: 0, max: 1, default: 0.98 },
+  MAX_SPREAD_BPS: { type: "number", min: 0, max: 20000, default: 3500 },
+
+  MIN_ASK_DEPTH_USD: { type: "number", min: 0, default: 10 },
+  MIN_BID_DEPTH_USD: { type: "number", min: 0, default: 10 },
+  MIN_TOP_SUM_DEPTH_USD: { type: "number", min: 0, default: 25 },
+
+  FOK_MIN_DEPTH_USD: { type: "number", min: 0, default: 15 },
+
+  MAKER_TICK_IMPROVE: { type: "number", min: 0, max: 100, default: 1 },
+  MAKER_MAX_IMPROVE_BPS: { type: "number", min: 0, max: 10000, default: 50 },
+
+  MIN_EDGE_BPS: { type: "number", min: 0, max: 10000, default: 80 },
+
+  ORDER_USD_PER_TRADE: { type: "number", min: 0.01, max: 10000, default: 2 }, // you asked for ~$2 clips
+  MAX_POSITION_USD_PER_TOKEN: { type: "number", min: 0, default: 25, global: true }, // 0 = off
+  MAX_TOTAL_POSITION_USD: { type: "number", min: 0, default: 100, global: true }, // 0 = off
+  MAX_POSITION_USD_PER_ASSET: { type: "number", min: 0, default: 0, global: true }, // 0 = only the total cap
+  MAX_OPEN_ORDERS_PER_TOKEN: { type: "int", min: 0, max: 100, default: 2 }, // legacy cap; seeding uses MAX_ORDERS_PER_SIDE
+  MIN_ORDER_SIZE: { type: "number", min: 0, default: 1 }, // IMPORTANT: set default to 1 for micro
+
+  STALE_MS: { type: "int", min: 0, default: 45000 },
+  REQUOTE_BPS: { type: "number", min: 0, max: 10000, default: 30 },
+
+  TAKE_PROFIT_BPS: { type: "number", min: 0, max: 10000, default: 100 },
+  TAKE_PROFIT_USD: { type: "number", min: 0, default: 0.02 },
+  MIN_PROFIT_USD: { type: "number", min: 0, default: 0.05 },
+  STOP_LOSS_ENABLED: { type: "bool", default: false },
+  STOP_LOSS_USD: { type: "number", min: 0, default: 0.05 },
+
+  // Portfolio limits (src/risk.js); a loss/drawdown breach trips the kill switch. 0 = off,
+  // the default: set them to arm the kill switch
+  MAX_DAILY_LOSS_USD: { type: "number", min: 0, default: 0, global: true },
+  MAX_DRAWDOWN_USD: { type: "number", min: 0, default: 0, global: true },
+  MAX_ORDERS_PER_MINUTE: { type: "int", min: 0, default: 120, global: true },
+
+  CLOSEOUT_SECONDS: { type: "int", min: 0, max: 3600, default: 60, global: true },
+  CLOSEOUT_FOK_SECONDS: { type: "int", min: 0, max: 3600, default: 20 }, // last N secs: flatten with FOK into the bid
+
+  LADDER_LEVELS: { type: "int", min: 1, max: 20, default: 3 }, // levels per side
+  LADDER_SPACING_TICKS: { type: "int", min: 1, max: 100, default: 1 }, // ticks between levels
+  LADDER_SIZE_RATIO: { type: "number", min: 0.1, max: 10, default: 1.5 }, // level i notional = ORDER_USD_PER_TRADE * ratio^i
+
+  INV_RISK_AVERSION: { type: "number", min: 0, max: 10, default: 0.1 }, // gamma
+  INV_MAX_SKEW: { type: "number", min: 0, max: 0.5, default: 0.05 }, // max reservation shift (price units)
+
+  FAIR_WINDOW_SECONDS: { type: "int", min: 1, default: 900 }, // up/down window length (15m)
+  FAIR_VOL_ANNUAL: { type: "number", min: 0, max: 20, default: 0.6 }, // fallback until realized vol is available
+  FAIR_VOL_LOOKBACK_SECONDS: { type: "int", min: 1, default: 900 },
+  FAIR_MIN: { type: "number", min: 0, max: 1, default: 0.03 },
+  FAIR_MAX: { type: "number", min: 0, max: 1, default: 0.97 },
+};
+
+// Checks one value against its schema entry. Accepts JSON values as well as
+// env-style strings ("1"/"0", "true"/"false", numeric strings).
+// Returns { ok: true, value } (coerced) or { ok: false, error }.
+export function validateValue(key, raw) {
+  const s = SCHEMA[key];
+  if (!s) return { ok: false, error: `unknown key ${key}` };
+
+  if (s.type === "bool") {
+    if (typeof raw === "boolean") return { ok: true, value: raw };
+    const v = String(raw).trim().toLowerCase();
+    if (v === "1" || v === "true") return { ok: true, value: true };
+    if (v === "0" || v === "false" || v === "") return { ok: true, value: false };
+    return { ok: false, error: `${key} must be a boolean` };
+  }
+
+  if (s.type === "string") {
+    if (raw != null && typeof raw === "object") return { ok: false, error: `${key} must be a string` };
+    return { ok: true, value: raw == null ? "" : String(raw).trim() };
+  }
+
+  if (s.type === "enum") {
+    const v = String(raw).trim().toLowerCase();
+    if (!s.values.includes(v)) return { ok: false, error: `${key} must be one of ${s.values.join(", ")}` };
+    return { ok: true, value: v };
+  }
+
+  const n = typeof raw === "number" ? raw : String(raw).trim() === "" ? NaN : Number(raw);
+  if (!Number.isFinite(n)) return { ok: false, error: `${key} must be a number` };
+  if (s.type === "int" && !Number.isInteger(n)) return { ok: false, error: `${key} must be an integer` };
+  if (s.min != null && n < s.min) return { ok: false, error: `${key} must be >= ${s.min}` };
+  if (s.max != null && n > s.max) return { ok: false, error: `${key} must be <= ${s.max}` };
+  return { ok: true, value: n };
+}
+
+// Env layer: values set in env (validated), keyed like SCHEMA. With an asset,
+// per-asset keys come from KEY_<ASSET>; otherwise they are left out.
+// Invalid values are reported in errors and left out.
+export function envValues(asset = null, env = process.env) {
+  const values = {};
+  const errors = [];
+  for (const [key, s] of Object.entries(SCHEMA)) {
+    if (s.perAsset && !asset) continue;
+    const name = s.perAsset ? `${key}_${String(asset).toUpperCase()}` : key;
+    if (env[name] === undefined) continue;
+    const r = validateValue(key, env[name]);
+    if (r.ok) values[key] = r.value;
+    else errors.push(`${name}: ${r.error}`);
+  }
+  return { values, errors };
+}
+
+export function defaultValues() {
+  return Object.fromEntries(Object.entries(SCHEMA).map(([key, s]) => [key, s.default]));
+}
+
+const boot = envValues();
+
+// Env values that failed validation at boot; the worker warns and leaves them
+// out, so the key keeps its default.
+export const ENV_ERRORS = boot.errors;
+
+const bootValues = { ...defaultValues(), ...boot.values };
+
+export const SEED_ENABLED = bootValues.SEED_ENABLED;
+export const TARGET_MODE_ENABLED = bootValues.TARGET_MODE_ENABLED;
+export const FAIR_MODEL = bootValues.FAIR_MODEL;
+export const LADDER_ENABLED = bootValues.LADDER_ENABLED;
+export const INVENTORY_SKEW_ENABLED = bootValues.INVENTORY_SKEW_ENABLED;
+export const SEED_FAIR_PRICE = bootValues.SEED_FAIR_PRICE;
+export const SEED_HALF_SPREAD_BPS = bootValues.SEED_HALF_SPREAD_BPS;
+export const MAX_ORDERS_PER_SIDE = bootValues.MAX_ORDERS_PER_SIDE;
+
+// Risk / trade sizing: every key that is neither top-level nor per-asset
+export const CONFIG = Object.fromEntries(
+  Object.entries(SCHEMA)
+    .filter(([, s]) => !s.top && !s.perAsset)
+    .map(([key]) => [key, bootValues[key]])
+);
@@ -0,0 +1,218 @@
+// Gamma market discovery.
+//
+// Pages through /markets (active, not closed, not yet ended), caches the result
+// for ttlMs and indexes it by slug and by token id. Markets are normalized to
+// the shape the worker trades with:
+//   { slug, question, yesTokenId, noTokenId, negRisk, tickSize, endDateMs, liquidity, conditionId }
+//
+// Which market an asset trades is decided by a declarative filter:
+//   {
+//     assetTerms:      ["btc", "bitcoin"]     any must appear in slug/question (default: the asset)
+//     keywords:        ["up or down", "updown"]  any must appear in slug/question
+//     durationMinutes: 15                     slug/question/description mentions "15m", "15 minute(s)" or "15-minute"
+//     minLiquidity:    0                      Gamma liquidity (USD)
+//     minSecsToEnd:    30
+//     maxSecsToEnd:    null
+//   }
+// DEFAULT_FILTER reproduces the original 15-minute up/down scan.
+
+export const DEFAULT_FILTER = {
+  keywords: ["up or down", "updown"],
+  durationMinutes: 15,
+  minLiquidity: 0,
+  minSecsToEnd: 30,
+  maxSecsToEnd: null,
+};
+
+function parseList(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v !== "string") return [];
+  try {
+    const parsed = JSON.parse(v);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Gamma market -> trading shape, or null when it has no YES/NO token pair.
+export function normalizeMarket(m) {
+  const tokenIds = parseList(m.clobTokenIds);
+  if (tokenIds.length < 2) return null;
+
+  const endDateStr = m.endDate || m.end_date_iso || m.endDateIso;
+  const endMs = endDateStr ? new Date(endDateStr).getTime() : 0;
+
+  return {
+    slug: m.slug,
+    question: m.question || "",
+    description: m.description || "",
+    conditionId: m.conditionId || null,
+    yesTokenId: String(tokenIds[0]),
+    noTokenId: String(tokenIds[1]),
+    negRisk: Boolean(m.negRisk),
+    tickSize: parseFloat(m.orderPriceMinTickSize) || 0.01,
+    minOrderSize: m.orderMinSize != null ? Number(m.orderMinSize) : null,
+    endDateMs: Number.isNaN(endMs) ? 0 : endMs,
+    liquidity: Number(m.liquidityNum ?? m.liquidity ?? 0) || 0,
+  };
+}
+
+// "YES" / "NO" once Gamma's outcomePrices settle at 1/0, else null.
+export function winnerFromOutcomePrices(raw) {
+  const prices = parseList(raw);
+  if (prices.length < 2) return null;
+  if (Number(prices[0]) >= 0.99) return "YES";
+  if (Number(prices[1]) >= 0.99) return "NO";
+  return null;
+}
+
+export function matchesFilter(market, asset, filter, nowMs = Date.now()) {
+  const f = { ...DEFAULT_FILTER, ...filter };
+  const slug = String(market.slug || "").toLowerCase();
+  const question = String(market.question || "").toLowerCase();
+  const desc = String(market.description || "").toLowerCase();
+  const has = (text, terms) => terms.some((t) => text.includes(String(t).toLowerCase()));
+
+  const assetTerms = f.assetTerms?.length ? f.assetTerms : [asset];
+  if (!has(slug, assetTerms) && !has(question, assetTerms)) return false;
+  if (f.keywords?.length && !has(slug, f.keywords) && !has(question, f.keywords)) return false;
+
+  if (f.durationMinutes) {
+    const n = f.durationMinutes;
+    const patterns = [`${n}m`, `${n} minute`, `${n}-minute`];
+    if (!has(slug, [`${n}m`]) && !has(question, patterns) && !has(desc, patterns)) return false;
+  }
+
+  if (market.liquidity < (f.minLiquidity || 0)) return false;
+
+  if (!market.endDateMs) return false;
+  const secsToEnd = Math.floor((market.endDateMs - nowMs) / 1000);
+  if (secsToEnd <= (f.minSecsToEnd ?? 0)) return false;
+  if (f.maxSecsToEnd != null && secsToEnd > f.maxSecsToEnd) return false;
+
+  return true;
+}
+
+export class GammaDiscovery {
+  constructor({ host, ttlMs = 60000, missRefreshMs = 15000, pageSize = 500, maxPages = 20 }) {
+    this.host = host;
+    this.ttlMs = ttlMs;
+    this.missRefreshMs = missRefreshMs;
+    this.pageSize = pageSize;
+    this.maxPages = maxPages;
+
+    this.list = [];
+    this.bySlugIndex = new Map(); // lower-case slug -> market
+    this.byTokenIndex = new Map(); // token id -> market
+    this.loadedAt = 0;
+    this.inflight = null;
+    this.stats = { refreshes: 0, pages: 0, markets: 0, truncated: false, lastError: null };
+  }
+
+  async fetchPage(offset, nowMs) {
+    const params = new URLSearchParams({
+      closed: "false",
+      active: "true",
+      limit: String(this.pageSize),
+      offset: String(offset),
+      end_date_min: new Date(nowMs).toISOString(),
+    });
+    const resp = await fetch(`${this.host}/markets?${params}`);
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => "");
+      throw new Error(`Gamma not ok status=${resp.status} body=${t.slice(0, 200)}`);
+    }
+    const rows = await resp.json();
+    if (!Array.isArray(rows)) throw new Error("Gamma markets response not an array");
+    return rows;
+  }
+
+  async refresh(nowMs = Date.now()) {
+    if (this.inflight) return this.inflight;
+
+    this.inflight = (async () => {
+      const markets = [];
+      let pages = 0;
+      let truncated = false;
+
+      for (let offset = 0; ; offset += this.pageSize) {
+        if (pages >= this.maxPages) {
+          truncated = true;
+          break;
+        }
+        const rows = await this.fetchPage(offset, nowMs);
+        pages++;
+        for (const row of rows) {
+          const m = normalizeMarket(row);
+          if (m) markets.push(m);
+        }
+        if (rows.length < this.pageSize) break;
+      }
+
+      this.list = markets;
+      this.bySlugIndex = new Map(markets.map((m) => [String(m.slug).toLowerCase(), m]));
+      this.byTokenIndex = new Map();
+      for (const m of markets) {
+        this.byTokenIndex.set(m.yesTokenId, m);
+        this.byTokenIndex.set(m.noTokenId, m);
+      }
+      this.loadedAt = Date.now();
+      Object.assign(this.stats, { refreshes: this.stats.refreshes + 1, pages, markets: markets.length, truncated });
+      if (truncated) console.log(`[Discovery] Gamma scan stopped at ${pages} pages (${markets.length} markets)`);
+      return markets;
+    })();
+
+    try {
+      return await this.inflight;
+    } catch (e) {
+      this.stats.lastError = e?.message || String(e);
+      throw e;
+    } finally {
+      this.inflight = null;
+    }
+  }
+
+  async markets(nowMs = Date.now()) {
+    if (!this.loadedAt || Date.now() - this.loadedAt >= this.ttlMs) await this.refresh(nowMs);
+    return this.list;
+  }
+
+  // Active market by exact slug. A cache miss refreshes early (at most every
+  // missRefreshMs), so a market listed after the last refresh is still found.
+  async bySlug(slug, nowMs = Date.now()) {
+    const key = String(slug).toLowerCase();
+    await this.markets(nowMs);
+    if (!this.bySlugIndex.has(key) && Date.now() - this.loadedAt >= this.missRefreshMs) await this.refresh(nowMs);
+    return this.bySlugIndex.get(key) || null;
+  }
+
+  async byToken(tokenId, nowMs = Date.now()) {
+    await this.markets(nowMs);
+    return this.byTokenIndex.get(String(tokenId)) || null;
+  }
+
+  // Matching markets for an asset, soonest end first.
+  async find(asset, filter = {}, nowMs = Date.now()) {
+    const all = await this.markets(nowMs);
+    return all
+      .filter((m) => matchesFilter(m, String(asset).toLowerCase(), filter, nowMs))
+      .sort((a, b) => a.endDateMs - b.endDateMs);
+  }
+
+  // Single market by slug straight from Gamma, closed ones included (outcomes).
+  async fetchRawBySlug(slug) {
+    const resp = await fetch(`${this.host}/markets?slug=${encodeURIComponent(slug)}`);
+    if (!resp.ok) return null;
+    const rows = await resp.json();
+    return Array.isArray(rows) ? rows.find((m) => String(m.slug || "").toLowerCase() === String(slug).toLowerCase()) || null : null;
+  }
+
+  status() {
+    return {
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      ttlMs: this.ttlMs,
+      ...this.stats,
+    };
+  }
+}
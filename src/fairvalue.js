@@ -0,0 +1,230 @@
+// Fair value for up/down markets.
+//
+// Models answer "what is P(up) for this window right now?":
+//   - ConstantFairModel: a fixed probability (the old SEED_FAIR_PRICE behaviour)
+//   - UpDownFairModel:   driftless Brownian motion on the underlying's log price,
+//       P(up) = N( ln(spot / open) / (sigma * sqrt(secsLeft)) )
+//     where `open` is the underlying price at window start, and sigma is the
+//     realized volatility of recent feed samples (FAIR_VOL_ANNUAL until there
+//     are enough samples).
+//
+// Price feeds keep a per-asset history of { ts, price } samples so the model can
+// look up the window-open price; adapters only differ in where samples come from:
+//   - SeriesPriceFeed: in-memory, fed with push() (backtests)
+//   - FilePriceFeed:   JSONL of {"asset","ts","price"} lines, re-read when the file changes
+//   - HttpPriceFeed:   GET a URL template ({ASSET} / {SYMBOL}) and read a JSON path
+//
+// The YES token is "Up": fairForOutcome() in src/strategy.js maps P(up) to either token.
+
+import fs from "node:fs";
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// =============================================================================
+// MATH
+// =============================================================================
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+export function normCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+export function probUp({ spot, open, secsLeft, volAnnual }) {
+  if (!(spot > 0) || !(open > 0)) return null;
+  const move = Math.log(spot / open);
+  if (!(secsLeft > 0)) return move > 0 ? 1 : move < 0 ? 0 : 0.5;
+
+  const sigmaPerSec = volAnnual / Math.sqrt(SECONDS_PER_YEAR);
+  const sd = sigmaPerSec * Math.sqrt(secsLeft);
+  if (!(sd > 0)) return move > 0 ? 1 : move < 0 ? 0 : 0.5;
+  return normCdf(move / sd);
+}
+
+// Annualized realized vol from irregular samples: sum(r^2) / sum(dt).
+export function realizedVolAnnual(samples) {
+  let sumSq = 0;
+  let sumDt = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const dt = (samples[i].ts - samples[i - 1].ts) / 1000;
+    if (!(dt > 0) || !(samples[i].price > 0) || !(samples[i - 1].price > 0)) continue;
+    const r = Math.log(samples[i].price / samples[i - 1].price);
+    sumSq += r * r;
+    sumDt += dt;
+  }
+  return sumDt > 0 ? Math.sqrt((sumSq / sumDt) * SECONDS_PER_YEAR) : null;
+}
+
+// =============================================================================
+// PRICE FEEDS
+// =============================================================================
+
+export class SeriesPriceFeed {
+  constructor({ maxAgeMs = 2 * 60 * 60 * 1000 } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.history = new Map(); // ASSET -> [{ ts, price }] ascending
+  }
+
+  push(asset, ts, price) {
+    const key = String(asset).toUpperCase();
+    const p = Number(price);
+    if (!(p > 0)) return;
+
+    const list = this.history.get(key) || [];
+    if (list.length && ts < list[list.length - 1].ts) {
+      list.push({ ts, price: p });
+      list.sort((a, b) => a.ts - b.ts);
+    } else if (!list.length || ts > list[list.length - 1].ts) {
+      list.push({ ts, price: p });
+    }
+
+    const cutoff = list[list.length - 1].ts - this.maxAgeMs;
+    while (list.length && list[0].ts < cutoff) list.shift();
+    this.history.set(key, list);
+  }
+
+  samples(asset, sinceMs = 0, untilMs = Infinity) {
+    return (this.history.get(String(asset).toUpperCase()) || []).filter((s) => s.ts >= sinceMs && s.ts <= untilMs);
+  }
+
+  // Last sample at or before atMs (within toleranceMs), else null.
+  priceAt(asset, atMs, toleranceMs = 60000) {
+    const list = this.history.get(String(asset).toUpperCase()) || [];
+    let best = null;
+    for (const s of list) {
+      if (s.ts > atMs) break;
+      best = s;
+    }
+    if (!best && list.length && list[0].ts - atMs <= toleranceMs) best = list[0];
+    if (best && Math.abs(atMs - best.ts) > toleranceMs) return null;
+    return best;
+  }
+
+  async getPrice(asset, atMs = Date.now()) {
+    return this.priceAt(asset, atMs, Infinity);
+  }
+}
+
+export class FilePriceFeed extends SeriesPriceFeed {
+  constructor({ file, ...rest }) {
+    super(rest);
+    this.file = file;
+    this.mtimeMs = 0;
+  }
+
+  load() {
+    const st = fs.statSync(this.file);
+    if (st.mtimeMs === this.mtimeMs) return;
+    this.mtimeMs = st.mtimeMs;
+    this.history.clear();
+    for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const row = JSON.parse(line);
+      this.push(row.asset, Number(row.ts), row.price);
+    }
+  }
+
+  async getPrice(asset, atMs = Date.now()) {
+    this.load();
+    return super.getPrice(asset, atMs);
+  }
+}
+
+function readPath(obj, dotted) {
+  return String(dotted || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export class HttpPriceFeed extends SeriesPriceFeed {
+  // urlTemplate: e.g. https://api.binance.com/api/v3/ticker/price?symbol={SYMBOL}
+  // symbols:     { BTC: "BTCUSDT", ... } (defaults to `${ASSET}USDT`)
+  // timeoutMs:   a feed that doesn't answer in time fails the fetch instead of
+  //              holding up the cycle
+  constructor({ urlTemplate, jsonPath = "price", symbols = {}, minIntervalMs = 1000, timeoutMs = 5000, ...rest }) {
+    super(rest);
+    this.urlTemplate = urlTemplate;
+    this.jsonPath = jsonPath;
+    this.symbols = symbols;
+    this.minIntervalMs = minIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.lastFetch = new Map();
+  }
+
+  async getPrice(asset, atMs = Date.now()) {
+    const key = String(asset).toUpperCase();
+    if (atMs >= Date.now() - this.minIntervalMs && Date.now() - (this.lastFetch.get(key) || 0) >= this.minIntervalMs) {
+      this.lastFetch.set(key, Date.now());
+      const symbol = this.symbols[key] || `${key}USDT`;
+      const url = this.urlTemplate.replaceAll("{ASSET}", key).replaceAll("{SYMBOL}", symbol);
+      const resp = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+      if (!resp.ok) throw new Error(`Price feed ${key} status=${resp.status}`);
+      const price = Number(readPath(await resp.json(), this.jsonPath));
+      if (!(price > 0)) throw new Error(`Price feed ${key}: no price at "${this.jsonPath}"`);
+      this.push(key, Date.now(), price);
+    }
+    return super.getPrice(key, atMs);
+  }
+}
+
+// =============================================================================
+// MODELS
+// =============================================================================
+
+export class ConstantFairModel {
+  constructor({ price = 0.5 } = {}) {
+    this.price = price;
+  }
+
+  async fair() {
+    return { pUp: this.price, source: "constant" };
+  }
+}
+
+// cfg keys: FAIR_WINDOW_SECONDS, FAIR_VOL_ANNUAL, FAIR_VOL_LOOKBACK_SECONDS, FAIR_MIN, FAIR_MAX
+export class UpDownFairModel {
+  constructor({ feed, cfg }) {
+    this.feed = feed;
+    this.cfg = cfg;
+  }
+
+  // Returns null when it can't price the window (unknown end, no open price);
+  // callers fall back to the constant fair. cfg overrides the constructor's
+  // (per-asset runtime config).
+  async fair({ asset, endDateMs, nowMs = Date.now(), endDateKnown = true, cfg = this.cfg }) {
+    if (!endDateKnown || !endDateMs) return null;
+
+    const startMs = endDateMs - cfg.FAIR_WINDOW_SECONDS * 1000;
+    if (nowMs < startMs) return null;
+
+    const spot = await this.feed.getPrice(asset, nowMs);
+    const open = this.feed.priceAt(asset, startMs);
+    if (!spot || !open) return null;
+
+    const secsLeft = Math.max(0, (endDateMs - nowMs) / 1000);
+    const recent = this.feed.samples(asset, nowMs - cfg.FAIR_VOL_LOOKBACK_SECONDS * 1000, nowMs);
+    const realized = recent.length >= 10 ? realizedVolAnnual(recent) : null;
+    const vol = realized && realized > 0 ? realized : cfg.FAIR_VOL_ANNUAL;
+
+    const p = probUp({ spot: spot.price, open: open.price, secsLeft, volAnnual: vol });
+    if (p === null) return null;
+
+    return {
+      pUp: Math.max(cfg.FAIR_MIN, Math.min(cfg.FAIR_MAX, p)),
+      source: "updown",
+      spot: spot.price,
+      open: open.price,
+      secsLeft: Math.round(secsLeft),
+      vol: Number(vol.toFixed(4)),
+      volSource: realized ? "realized" : "config",
+    };
+  }
+}
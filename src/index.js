@@ -10,6 +10,54 @@ import cors from "cors";
 import { webcrypto } from "node:crypto";
 import { ethers } from "ethers";
 import { ClobClient, Side, OrderType } from "@polymarket/clob-client";
+import { PaperExchange } from "./paper.js";
+import { BookRecorder, FileSink, TableSink } from "./recorder.js";
+import { MarketDataFeed } from "./marketdata.js";
+import { UserChannel } from "./userstream.js";
+import { DEFAULT_FILTER, GammaDiscovery } from "./discovery.js";
+import { MarketLifecycle } from "./lifecycle.js";
+import { CtfRedeemer, PaperRedeemer, SettlementManager } from "./settlement.js";
+import { MarketMetadata } from "./metadata.js";
+import { RiskManager } from "./risk.js";
+import { ConstantFairModel, FilePriceFeed, HttpPriceFeed, UpDownFairModel } from "./fairvalue.js";
+import {
+  applyFill,
+  buildLadder,
+  classifyBook,
+  closeoutAggression,
+  diffLadder,
+  ladderActive,
+  planCloseout,
+  planEntries,
+  planExit,
+  quoteCenter,
+  reverseFill,
+  sellableShares,
+  spreadBpsMid,
+  summarizeBook,
+  unrealizedPnl,
+  validPrice,
+  withMarketMinimum,
+} from "./strategy.js";
+import {
+  CONFIG,
+  ENV_ERRORS,
+  FAIR_MODEL,
+  INVENTORY_SKEW_ENABLED,
+  LADDER_ENABLED,
+  SEED_ENABLED,
+  SEED_FAIR_PRICE,
+  SEED_HALF_SPREAD_BPS,
+  MAX_ORDERS_PER_SIDE,
+  TARGET_MODE_ENABLED,
+} from "./config.js";
+import { RuntimeConfig } from "./settings.js";
+import { createStorage, isMissingTable } from "./storage.js";
+import { CycleScheduler } from "./scheduler.js";
+import { OrderManager, findLandedOrder, formatOrderError } from "./orders.js";
+import { LEVELS, installConsole, withLogContext } from "./log.js";
+import { Registry } from "./metrics.js";
+import { AlertManager, SlackSink, TelegramSink, WebhookSink } from "./alerts.js";
 
 // Ensure crypto.subtle exists on Node 18
 if (!globalThis.crypto) globalThis.crypto = webcrypto;
@@ -40,55 +88,112 @@ const CHAIN_ID = 137;
 // Runner config
 const RUNNER_ENABLED = process.env.RUNNER_ENABLED === "1";
 const RUNNER_INTERVAL_MS = Number(process.env.RUNNER_INTERVAL_MS || "15000");
+const RUNNER_JITTER_MS = Number(process.env.RUNNER_JITTER_MS || "0"); // each tick lands interval ± this
+const RUNNER_OVERLAP = (process.env.RUNNER_OVERLAP || "skip").trim().toLowerCase(); // skip | queue (trigger during a running cycle)
+
+// Shutdown (SIGTERM / SIGINT): stop the loop, let the running cycle finish
+// (up to SHUTDOWN_TIMEOUT_MS), optionally cancel every open order, then exit.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || "30000");
+const SHUTDOWN_CANCEL_ORDERS = process.env.SHUTDOWN_CANCEL_ORDERS === "1";
+
+// Storage (src/storage.js): where pm_* tables live
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "supabase").trim().toLowerCase(); // supabase | postgres | sqlite
 const SUPABASE_URL = process.env.SUPABASE_URL?.trim();
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY?.trim();
+const DATABASE_URL = process.env.DATABASE_URL?.trim(); // postgres
+const SQLITE_PATH = process.env.SQLITE_PATH?.trim() || "./data/worker.db";
 
 const BOOK_STALE_MS = Number(process.env.BOOK_STALE_MS || "5000");
 
-// Strategy toggles
-const TARGET_MODE_ENABLED = process.env.TARGET_MODE_ENABLED === "1"; // if 1, prefer target slug/token ids
-const SEED_ENABLED = process.env.SEED_ENABLED === "1"; // if 1, seed empty books
-
-// Seeding parameters
-const SEED_FAIR_PRICE = Number(process.env.SEED_FAIR_PRICE || "0.5"); // MVP: constant fair
-const SEED_HALF_SPREAD_BPS = Number(process.env.SEED_HALF_SPREAD_BPS || "200"); // 200 = 2% around fair
-const MAX_ORDERS_PER_SIDE = Number(process.env.MAX_ORDERS_PER_SIDE || "1"); // 1 bid + 1 ask per token
-
-// Risk / trade sizing
-const CONFIG = {
-  // These "liquidity gates" are still used in NON-SEED paths
-  MIN_BID: Number(process.env.MIN_BID || "0.02"),
-  MAX_ASK: Number(process.env.MAX_ASK || "0.98"),
-  MAX_SPREAD_BPS: Number(process.env.MAX_SPREAD_BPS || "3500"),
-
-  MIN_ASK_DEPTH_USD: Number(process.env.MIN_ASK_DEPTH_USD || "10"),
-  MIN_BID_DEPTH_USD: Number(process.env.MIN_BID_DEPTH_USD || "10"),
-  MIN_TOP_SUM_DEPTH_USD: Number(process.env.MIN_TOP_SUM_DEPTH_USD || "25"),
-
-  FOK_MIN_DEPTH_USD: Number(process.env.FOK_MIN_DEPTH_USD || "15"),
-
-  MAKER_TICK_IMPROVE: Number(process.env.MAKER_TICK_IMPROVE || "1"),
-  MAKER_MAX_IMPROVE_BPS: Number(process.env.MAKER_MAX_IMPROVE_BPS || "50"),
-
-  MIN_EDGE_BPS: Number(process.env.MIN_EDGE_BPS || "80"),
-
-  ORDER_USD_PER_TRADE: Number(process.env.ORDER_USD_PER_TRADE || "2"), // you asked for ~$2 clips
-  MAX_POSITION_USD_PER_TOKEN: Number(process.env.MAX_POSITION_USD_PER_TOKEN || "25"),
-  MAX_TOTAL_POSITION_USD: Number(process.env.MAX_TOTAL_POSITION_USD || "100"),
-  MAX_OPEN_ORDERS_PER_TOKEN: Number(process.env.MAX_OPEN_ORDERS_PER_TOKEN || "2"), // legacy cap; seeding uses MAX_ORDERS_PER_SIDE
-  MIN_ORDER_SIZE: Number(process.env.MIN_ORDER_SIZE || "1"), // IMPORTANT: set default to 1 for micro
-
-  STALE_MS: Number(process.env.STALE_MS || "45000"),
-  REQUOTE_BPS: Number(process.env.REQUOTE_BPS || "30"),
-
-  TAKE_PROFIT_BPS: Number(process.env.TAKE_PROFIT_BPS || "100"),
-  TAKE_PROFIT_USD: Number(process.env.TAKE_PROFIT_USD || "0.02"),
-  MIN_PROFIT_USD: Number(process.env.MIN_PROFIT_USD || "0.05"),
-  STOP_LOSS_ENABLED: process.env.STOP_LOSS_ENABLED === "1",
-  STOP_LOSS_USD: Number(process.env.STOP_LOSS_USD || "0.05"),
-
-  CLOSEOUT_SECONDS: Number(process.env.CLOSEOUT_SECONDS || "60"),
-};
+// Fill tracking: how far back the first trade sync looks after boot
+const FILL_LOOKBACK_SECONDS = Number(process.env.FILL_LOOKBACK_SECONDS || "3600");
+
+// Reconciliation (exchange open orders vs pm_orders)
+const RECONCILE_GRACE_MS = Number(process.env.RECONCILE_GRACE_MS || "10000"); // don't judge rows younger than this
+const RECONCILE_MAX_LOOKUPS = Number(process.env.RECONCILE_MAX_LOOKUPS || "25"); // getOrder calls per cycle
+const RECONCILE_CANCEL_ORPHANS = process.env.RECONCILE_CANCEL_ORPHANS !== "0"; // cancel exchange orders we have no record of
+
+// Order submission (src/orders.js): attempts per order for transient CLOB
+// errors, with exponential backoff between them
+const ORDER_MAX_ATTEMPTS = Number(process.env.ORDER_MAX_ATTEMPTS || "3");
+const ORDER_RETRY_BASE_MS = Number(process.env.ORDER_RETRY_BASE_MS || "250");
+const ORDER_RETRY_MAX_MS = Number(process.env.ORDER_RETRY_MAX_MS || "2000");
+
+// Paper trading: orders go to an in-process simulated exchange (src/paper.js),
+// market data stays live, and pm_orders/pm_positions/pm_fills/pm_runs are
+// written to their pm_paper_* twins.
+const PAPER_MODE = process.env.PAPER_MODE === "1";
+const PAPER_STARTING_USD = Number(process.env.PAPER_STARTING_USD || "1000");
+
+// Underlying price feed for the up/down fair-value model (src/fairvalue.js)
+const PRICE_FEED = (process.env.PRICE_FEED || "").trim().toLowerCase(); // http | file | "" (none)
+const PRICE_FEED_URL = process.env.PRICE_FEED_URL?.trim() || "https://api.binance.com/api/v3/ticker/price?symbol={SYMBOL}";
+const PRICE_FEED_JSON_PATH = process.env.PRICE_FEED_JSON_PATH?.trim() || "price";
+const PRICE_FEED_FILE = process.env.PRICE_FEED_FILE?.trim() || "./prices.jsonl";
+const PRICE_FEED_SYMBOLS = Object.fromEntries(
+  (process.env.PRICE_FEED_SYMBOLS || "") // e.g. BTC:BTCUSDT,ETH:ETHUSDT
+    .split(",")
+    .map((p) => p.split(":").map((x) => x.trim().toUpperCase()))
+    .filter(([a, sym]) => a && sym)
+);
+
+// Book recorder (src/recorder.js): full-depth snapshots for backtesting
+const RECORDER_ENABLED = process.env.RECORDER_ENABLED === "1";
+const RECORDER_INTERVAL_MS = Number(process.env.RECORDER_INTERVAL_MS || "2000");
+const RECORDER_DISCOVERY_MS = Number(process.env.RECORDER_DISCOVERY_MS || "30000");
+const RECORDER_SINK = (process.env.RECORDER_SINK || "file").trim().toLowerCase(); // file | db (pm_book_snapshots; "supabase" works too)
+const RECORDER_DIR = process.env.RECORDER_DIR?.trim() || "./recordings";
+const RECORDER_ROTATE_MB = Number(process.env.RECORDER_ROTATE_MB || "64");
+const RECORDER_ROTATE_MINUTES = Number(process.env.RECORDER_ROTATE_MINUTES || "60");
+const RECORDER_ASSETS = (process.env.RECORDER_ASSETS || "").split(",").map((a) => a.trim()).filter(Boolean); // default: pm_assets
+
+// Streaming books (see src/marketdata.js); REST /book stays the fallback
+const MARKET_WS_ENABLED = process.env.MARKET_WS_ENABLED === "1";
+const MARKET_WS_URL = process.env.MARKET_WS_URL?.trim() || "wss://ws-subscriptions-clob.polymarket.com/ws/market";
+const MARKET_WS_DEBOUNCE_MS = Number(process.env.MARKET_WS_DEBOUNCE_MS || "500");
+const MARKET_WS_MIN_CYCLE_MS = Number(process.env.MARKET_WS_MIN_CYCLE_MS || "2000"); // floor between event-driven cycles
+
+// Authenticated user channel: fills and order status as they happen
+const USER_WS_ENABLED = process.env.USER_WS_ENABLED === "1";
+const USER_WS_URL = process.env.USER_WS_URL?.trim() || "wss://ws-subscriptions-clob.polymarket.com/ws/user";
+
+// Gamma discovery (src/discovery.js). DISCOVERY_FILTERS is JSON keyed by asset,
+// "*" applying to all, e.g. {"*":{"durationMinutes":15},"BTC":{"assetTerms":["btc","bitcoin"]}}
+const DISCOVERY_TTL_MS = Number(process.env.DISCOVERY_TTL_MS || "60000");
+const DISCOVERY_PAGE_SIZE = Number(process.env.DISCOVERY_PAGE_SIZE || "500");
+const DISCOVERY_MAX_PAGES = Number(process.env.DISCOVERY_MAX_PAGES || "20");
+const DISCOVERY_FILTERS_RAW = process.env.DISCOVERY_FILTERS?.trim() || "";
+
+// Start quoting the next window this long before the current one enters closeout
+const ROLLOVER_LEAD_SECONDS = Number(process.env.ROLLOVER_LEAD_SECONDS || "60");
+
+// Settlement (src/settlement.js): merge pairs / redeem resolved shares via the CTF
+const SETTLEMENT_ENABLED = process.env.SETTLEMENT_ENABLED === "1";
+const SETTLEMENT_DRY_RUN = process.env.SETTLEMENT_DRY_RUN !== "0"; // send transactions only when explicitly "0"
+const SETTLEMENT_POLL_MS = Number(process.env.SETTLEMENT_POLL_MS || "60000");
+const SETTLEMENT_MIN_MERGE_SHARES = Number(process.env.SETTLEMENT_MIN_MERGE_SHARES || "1");
+const POLYGON_RPC_URL = process.env.POLYGON_RPC_URL?.trim() || "https://polygon-rpc.com";
+
+// Per-token tick size / neg-risk / min order size from the CLOB (src/metadata.js)
+const MARKET_META_TTL_MS = Number(process.env.MARKET_META_TTL_MS || "300000");
+
+// Logging (src/log.js): LOG_FORMAT=json emits one JSON object per line, lines
+// logged during a cycle carry its runId.
+const LOG_LEVEL = (process.env.LOG_LEVEL || "info").trim().toLowerCase(); // debug | info | warn | error
+const LOG_FORMAT = (process.env.LOG_FORMAT || "text").trim().toLowerCase(); // text | json
+
+// Alerting (src/alerts.js): every configured sink gets every alert; none = off
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL?.trim() || "";
+const ALERT_SLACK_WEBHOOK_URL = process.env.ALERT_SLACK_WEBHOOK_URL?.trim() || "";
+const ALERT_TELEGRAM_BOT_TOKEN = process.env.ALERT_TELEGRAM_BOT_TOKEN?.trim() || "";
+const ALERT_TELEGRAM_CHAT_ID = process.env.ALERT_TELEGRAM_CHAT_ID?.trim() || "";
+const ALERT_TELEGRAM_API_URL = process.env.ALERT_TELEGRAM_API_URL?.trim() || "https://api.telegram.org";
+const ALERT_SOURCE = process.env.ALERT_SOURCE?.trim() || "polymarket-worker";
+const ALERT_COOLDOWN_MS = Number(process.env.ALERT_COOLDOWN_MS || "600000"); // same condition at most once per window
+const ALERT_MAX_PER_HOUR = Number(process.env.ALERT_MAX_PER_HOUR || "30"); // across all conditions
+const ALERT_ORDER_FAILURES = Number(process.env.ALERT_ORDER_FAILURES || "5"); // consecutive failed placeOrder calls
+const ALERT_STUCK_INTERVALS = Number(process.env.ALERT_STUCK_INTERVALS || "3"); // no successful cycle in N runner intervals
+const ALERT_LARGE_FILL_USD = Number(process.env.ALERT_LARGE_FILL_USD || "25"); // 0 = off
 
 const VERSION = "scalper-mm-v6-seed-target";
 
@@ -96,6 +201,12 @@ const VERSION = "scalper-mm-v6-seed-target";
 // VALIDATION
 // =============================================================================
 
+if (!(LOG_LEVEL in LEVELS) || !["text", "json"].includes(LOG_FORMAT)) {
+  console.error(`[Worker] FATAL: LOG_LEVEL must be one of ${Object.keys(LEVELS).join(", ")} and LOG_FORMAT text or json`);
+  process.exit(1);
+}
+installConsole({ level: LOG_LEVEL, format: LOG_FORMAT });
+
 if (!PM_PRIVATE_KEY) {
   console.error("[Worker] FATAL: PM_PRIVATE_KEY is required");
   process.exit(1);
@@ -109,6 +220,30 @@ if ((PM_SIGNATURE_TYPE === 1 || PM_SIGNATURE_TYPE === 2) && !PM_FUNDER_ADDRESS)
   process.exit(1);
 }
 
+if (!["skip", "queue"].includes(RUNNER_OVERLAP)) {
+  console.error(`[Worker] FATAL: RUNNER_OVERLAP must be skip or queue (got ${RUNNER_OVERLAP})`);
+  process.exit(1);
+}
+
+if (!["supabase", "postgres", "sqlite"].includes(STORAGE_BACKEND)) {
+  console.error(`[Worker] FATAL: STORAGE_BACKEND must be supabase, postgres or sqlite (got ${STORAGE_BACKEND})`);
+  process.exit(1);
+}
+
+// Bad runtime config env falls back to the default (or a pm_config / API
+// override) rather than keeping the worker down.
+if (ENV_ERRORS.length) {
+  console.warn(`[Worker] Ignoring invalid config env, using the defaults: ${ENV_ERRORS.join("; ")}`);
+}
+
+let DISCOVERY_FILTERS = {};
+try {
+  DISCOVERY_FILTERS = DISCOVERY_FILTERS_RAW ? JSON.parse(DISCOVERY_FILTERS_RAW) : {};
+} catch (e) {
+  console.error("[Worker] FATAL: DISCOVERY_FILTERS is not valid JSON:", e.message);
+  process.exit(1);
+}
+
 let bootWalletAddress = null;
 try {
   const bootWallet = new ethers.Wallet(PM_PRIVATE_KEY);
@@ -129,19 +264,278 @@ console.log(`[Worker] Funder: ${PM_FUNDER_ADDRESS}`);
 console.log(`[Worker] Signature Type: ${PM_SIGNATURE_TYPE}`);
 console.log(`[Worker] CLOB: ${PM_CLOB_HOST}`);
 console.log(`[Worker] Gamma: ${PM_GAMMA_HOST}`);
-console.log(`[Worker] Runner: ${RUNNER_ENABLED ? `ON (${RUNNER_INTERVAL_MS}ms)` : "OFF"}`);
+console.log(`[Worker] Storage: ${STORAGE_BACKEND}${STORAGE_BACKEND === "sqlite" ? ` (${SQLITE_PATH})` : ""}`);
+console.log(
+  `[Worker] Runner: ${RUNNER_ENABLED ? `ON (${RUNNER_INTERVAL_MS}ms ±${RUNNER_JITTER_MS}ms, overlap=${RUNNER_OVERLAP})` : "OFF"}`
+);
+console.log(`[Worker] Shutdown: wait ${SHUTDOWN_TIMEOUT_MS}ms, cancel orders ${SHUTDOWN_CANCEL_ORDERS ? "ON" : "OFF"}`);
 console.log(`[Worker] TARGET_MODE_ENABLED: ${TARGET_MODE_ENABLED ? "ON" : "OFF"}`);
 console.log(`[Worker] SEED_ENABLED: ${SEED_ENABLED ? "ON" : "OFF"}`);
+console.log(`[Worker] MARKET_WS: ${MARKET_WS_ENABLED ? `ON (${MARKET_WS_URL}, debounce ${MARKET_WS_DEBOUNCE_MS}ms)` : "OFF"}`);
+console.log(`[Worker] USER_WS: ${USER_WS_ENABLED ? `ON (${USER_WS_URL})` : "OFF"}`);
+console.log(`[Worker] RECORDER: ${RECORDER_ENABLED ? `ON (${RECORDER_SINK}, ${RECORDER_INTERVAL_MS}ms)` : "OFF"}`);
+console.log(`[Worker] PAPER_MODE: ${PAPER_MODE ? `ON ($${PAPER_STARTING_USD})` : "OFF"}`);
 console.log(`[Worker] SEED_FAIR_PRICE: ${SEED_FAIR_PRICE}`);
+console.log(`[Worker] FAIR_MODEL: ${FAIR_MODEL} PRICE_FEED: ${PRICE_FEED || "none"}`);
 console.log(`[Worker] SEED_HALF_SPREAD_BPS: ${SEED_HALF_SPREAD_BPS}`);
 console.log(`[Worker] MAX_ORDERS_PER_SIDE: ${MAX_ORDERS_PER_SIDE}`);
+console.log(
+  `[Worker] INVENTORY_SKEW: ${INVENTORY_SKEW_ENABLED ? `ON (gamma=${CONFIG.INV_RISK_AVERSION}, max=${CONFIG.INV_MAX_SKEW})` : "OFF"}`
+);
+console.log(
+  `[Worker] LADDER: ${LADDER_ENABLED ? `ON (${CONFIG.LADDER_LEVELS} levels, ${CONFIG.LADDER_SPACING_TICKS} ticks, x${CONFIG.LADDER_SIZE_RATIO})` : "OFF"}`
+);
+console.log(`[Worker] DISCOVERY: ttl=${DISCOVERY_TTL_MS}ms pages<=${DISCOVERY_MAX_PAGES}x${DISCOVERY_PAGE_SIZE} filters=${DISCOVERY_FILTERS_RAW || "default"}`);
+console.log(
+  `[Worker] SETTLEMENT: ${SETTLEMENT_ENABLED ? `ON (${SETTLEMENT_DRY_RUN ? "dry run" : "live"}, rpc ${POLYGON_RPC_URL})` : "OFF"}`
+);
+console.log(`[Worker] ROLLOVER_LEAD_SECONDS: ${ROLLOVER_LEAD_SECONDS}`);
+console.log(`[Worker] MARKET_META_TTL_MS: ${MARKET_META_TTL_MS}`);
+console.log(`[Worker] LOG: ${LOG_LEVEL} ${LOG_FORMAT}`);
+console.log(
+  `[Worker] ALERTS: ${[ALERT_WEBHOOK_URL && "webhook", ALERT_SLACK_WEBHOOK_URL && "slack", ALERT_TELEGRAM_BOT_TOKEN && ALERT_TELEGRAM_CHAT_ID && "telegram"].filter(Boolean).join(", ") || "OFF"}`
+);
 console.log(`[Env] TARGET_SLUG_BTC: ${process.env.TARGET_SLUG_BTC || ""}`);
 console.log(`[Env] TARGET_SLUG_ETH: ${process.env.TARGET_SLUG_ETH || ""}`);
 console.log(`[Env] TARGET_SLUG_SOL: ${process.env.TARGET_SLUG_SOL || ""}`);
 console.log(`[Env] TARGET_YES_TOKEN_ID_BTC: ${process.env.TARGET_YES_TOKEN_ID_BTC || ""}`);
 console.log(`[Env] TARGET_NO_TOKEN_ID_BTC: ${process.env.TARGET_NO_TOKEN_ID_BTC || ""}`);
+console.log("[Worker] (env values above; pm_config / API overrides apply from the next cycle, see GET /config)");
 console.log("[Worker] ========================================");
 
+// =============================================================================
+// METRICS
+// =============================================================================
+
+// Served at GET /metrics. Counters are fed where things happen (placeOrder,
+// cancelOrder, fetchRawBook, the end of each cycle); risk / runner gauges are
+// read fresh on every scrape.
+const metrics = new Registry();
+const metric = {
+  cycles: metrics.counter("pm_cycles_total", "Cycles run", ["trigger", "result"]),
+  cycleDuration: metrics.histogram("pm_cycle_duration_seconds", "Cycle wall time", ["trigger"], [0.5, 1, 2, 5, 10, 20, 30, 60, 120]),
+  lastCycle: metrics.gauge("pm_last_cycle_timestamp_seconds", "End of the last successful cycle"),
+  cycleSkipped: metrics.counter("pm_cycle_triggers_skipped_total", "Cycle triggers dropped (overlap, kill_switch, shutdown)", ["trigger", "reason"]),
+  cycleQueued: metrics.counter("pm_cycle_triggers_queued_total", "Cycle triggers held until the running cycle ended", ["trigger"]),
+  cycleRunning: metrics.gauge("pm_cycle_running", "1 while a cycle runs"),
+  ordersPlaced: metrics.counter("pm_orders_placed_total", "Orders accepted by the exchange", ["asset", "side", "order_type"]),
+  ordersFailed: metrics.counter("pm_orders_failed_total", "Orders not placed (reason: error code, or risk_<rule>)", ["asset", "side", "reason"]),
+  orderRetries: metrics.counter("pm_order_retries_total", "Order submissions retried", ["code"]),
+  orderAmbiguous: metrics.counter("pm_order_ambiguous_total", "Submissions with no clear answer, by whether the order was found live", ["found"]),
+  ordersCancelled: metrics.counter("pm_orders_cancelled_total", "Orders cancelled", ["reason"]),
+  cancelFailed: metrics.counter("pm_cancel_failed_total", "Cancels the exchange refused or that errored", ["reason"]),
+  skipped: metrics.counter("pm_skipped_total", "Cycle skip reasons (stats.skipped)", ["asset", "reason"]),
+  cycleErrors: metrics.counter("pm_cycle_errors_total", "Errors recorded in stats.errors", ["stage"]),
+  fills: metrics.counter("pm_fills_total", "Fills applied to positions", ["asset", "side"]),
+  fillsReversed: metrics.counter("pm_fills_reversed_total", "Applied fills undone because their trade FAILED", ["asset", "side"]),
+  bookFetch: metrics.histogram("pm_book_fetch_seconds", "REST /book latency", [], [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10]),
+  bookFetchErrors: metrics.counter("pm_book_fetch_errors_total", "REST /book failures"),
+  spread: metrics.gauge("pm_book_spread_bps", "Spread around mid", ["asset", "outcome", "role"]),
+  bestBid: metrics.gauge("pm_book_best_bid", "Best bid", ["asset", "outcome", "role"]),
+  bestAsk: metrics.gauge("pm_book_best_ask", "Best ask", ["asset", "outcome", "role"]),
+  depth: metrics.gauge("pm_book_top_depth_usd", "Top-of-book depth", ["asset", "outcome", "role", "side"]),
+  pnl: metrics.gauge("pm_pnl_usd", "Mark-to-market PnL", ["kind"]),
+  drawdown: metrics.gauge("pm_drawdown_usd", "Distance from peak PnL"),
+  exposure: metrics.gauge("pm_exposure_usd", "Unhedged exposure at mark", ["asset"]),
+  positions: metrics.gauge("pm_open_positions", "Tokens with shares held", ["asset"]),
+  killSwitch: metrics.gauge("pm_kill_switch_tripped", "1 while the kill switch is tripped"),
+  runner: metrics.gauge("pm_runner_enabled", "1 while the runner is enabled"),
+  ordersPerMinute: metrics.gauge("pm_orders_last_minute", "Orders sent in the last 60s (rate limit window)"),
+};
+
+const BOOK_GAUGES = [metric.spread, metric.bestBid, metric.bestAsk, metric.depth];
+
+function recordBookMetrics(labels, book) {
+  metric.spread.set(labels, spreadBpsMid(book.bestBid, book.bestAsk));
+  metric.bestBid.set(labels, book.bestBid);
+  metric.bestAsk.set(labels, book.bestAsk);
+  metric.depth.set({ ...labels, side: "bid" }, book.bidDepthUsd);
+  metric.depth.set({ ...labels, side: "ask" }, book.askDepthUsd);
+}
+
+// stats.skipped / stats.errors of a finished cycle
+function recordCycleMetrics(stats, durationMs, result) {
+  metric.cycles.inc({ trigger: stats.trigger, result });
+  metric.cycleDuration.observe({ trigger: stats.trigger }, durationMs / 1000);
+  for (const sk of stats.skipped) metric.skipped.inc({ asset: sk.asset || "", reason: sk.reason || sk.stage || "unknown" });
+  for (const e of stats.errors) metric.cycleErrors.inc({ stage: e.stage || "unknown" });
+  if (result === "ok") {
+    metric.lastCycle.set({}, Math.floor(Date.now() / 1000));
+    for (const g of BOOK_GAUGES) g.sweep();
+  }
+}
+
+function refreshScrapeGauges() {
+  const r = risk.status();
+  metric.killSwitch.set({}, r.tripped ? 1 : 0);
+  metric.runner.set({}, runnerEnabled ? 1 : 0);
+  metric.cycleRunning.set({}, scheduler.running ? 1 : 0);
+  metric.ordersPerMinute.set({}, r.ordersLastMinute);
+  if (r.pnl != null) {
+    metric.pnl.set({ kind: "total" }, r.pnl);
+    metric.pnl.set({ kind: "realized" }, r.realizedPnl);
+    metric.pnl.set({ kind: "unrealized" }, r.unrealizedPnl);
+    metric.pnl.set({ kind: "daily" }, r.dailyPnl);
+    metric.drawdown.set({}, r.drawdown);
+  }
+
+  metric.exposure.reset();
+  metric.positions.reset();
+  for (const [asset, usd] of Object.entries(r.byAsset)) metric.exposure.set({ asset }, usd);
+  for (const t of risk.snapshot?.tokens.values() || []) {
+    if (t.shares > 0) metric.positions.set({ asset: t.asset }, (metric.positions.get({ asset: t.asset }).value || 0) + 1);
+  }
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+
+function createAlertSinks() {
+  const sinks = [];
+  if (ALERT_WEBHOOK_URL) sinks.push(new WebhookSink({ url: ALERT_WEBHOOK_URL }));
+  if (ALERT_SLACK_WEBHOOK_URL) sinks.push(new SlackSink({ url: ALERT_SLACK_WEBHOOK_URL }));
+  if (ALERT_TELEGRAM_BOT_TOKEN && ALERT_TELEGRAM_CHAT_ID) {
+    sinks.push(new TelegramSink({ botToken: ALERT_TELEGRAM_BOT_TOKEN, chatId: ALERT_TELEGRAM_CHAT_ID, apiUrl: ALERT_TELEGRAM_API_URL }));
+  }
+  return sinks;
+}
+
+const alerts = new AlertManager({
+  sinks: createAlertSinks(),
+  source: PAPER_MODE ? `${ALERT_SOURCE} (paper)` : ALERT_SOURCE,
+  cooldownMs: ALERT_COOLDOWN_MS,
+  maxPerHour: ALERT_MAX_PER_HOUR,
+});
+
+// Fire-and-forget: alerting never holds up or fails the trading path.
+function raiseAlert(a) {
+  alerts.notify(a).catch(() => {});
+}
+
+function clearAlert(key, message) {
+  alerts.resolve(key, message).catch(() => {});
+}
+
+// Consecutive placeOrder calls that reached the exchange and failed (risk and
+// min-size refusals are policy, not failures).
+let orderFailStreak = 0;
+
+function noteOrderResult({ asset, side, ok, error }) {
+  if (ok) {
+    if (orderFailStreak >= ALERT_ORDER_FAILURES) clearAlert("order_failures", "Orders are being accepted again");
+    orderFailStreak = 0;
+    return;
+  }
+  orderFailStreak++;
+  if (ALERT_ORDER_FAILURES > 0 && orderFailStreak >= ALERT_ORDER_FAILURES) {
+    raiseAlert({
+      key: "order_failures",
+      severity: "error",
+      title: `${orderFailStreak} consecutive order failures`,
+      fields: { asset, side, last_error: String(error).slice(0, 300) },
+    });
+  }
+}
+
+const CAP_REASONS = new Set(["position_full", "asset_position_full", "total_position_full"]);
+let capAlertKeys = new Set();
+
+// Position caps and risk breaches from a finished cycle. Caps that are no
+// longer hit get a recovery notice.
+function alertCycle(stats) {
+  const seen = new Set();
+  for (const sk of stats.skipped) {
+    if (!CAP_REASONS.has(sk.reason)) continue;
+    const key = `cap:${sk.reason}:${sk.asset}`;
+    seen.add(key);
+    raiseAlert({ key, severity: "warn", title: `Position cap reached (${sk.reason})`, fields: { asset: sk.asset, outcome: sk.outcome } });
+  }
+  for (const e of stats.errors) {
+    // the trip itself alerts from haltTrading; refusals while tripped add nothing
+    if (e.stage !== "risk" || e.kill_switch || e.rule === "kill_switch") continue;
+    const key = `risk:${e.rule}:${e.asset || ""}`;
+    seen.add(key);
+    const { stage, at, ...fields } = e;
+    raiseAlert({ key, severity: "warn", title: `Risk check refused an order (${e.rule})`, fields });
+  }
+  for (const key of capAlertKeys) if (!seen.has(key)) clearAlert(key);
+  capAlertKeys = seen;
+}
+
+function alertFill(order, f) {
+  const usd = f.size * f.price;
+  if (!(ALERT_LARGE_FILL_USD > 0) || usd < ALERT_LARGE_FILL_USD) return;
+  raiseAlert({
+    key: `fill:${f.orderId}`,
+    dedup: false,
+    severity: "info",
+    title: `Large fill: ${order.asset} ${order.outcome} ${f.side} ${f.size}@${f.price} ($${usd.toFixed(2)})`,
+    fields: { slug: order.slug, order_id: f.orderId },
+  });
+}
+
+// No successful cycle in ALERT_STUCK_INTERVALS runner intervals while the
+// runner is supposed to be running (paused or tripped doesn't count).
+let runnerStartedAt = 0;
+let stuckWatchdog = null;
+
+function startStuckWatchdog() {
+  if (!alerts.enabled || !(ALERT_STUCK_INTERVALS > 0) || stuckWatchdog) return;
+  const limitMs = ALERT_STUCK_INTERVALS * RUNNER_INTERVAL_MS;
+  stuckWatchdog = setInterval(() => {
+    if (!scheduler.active || risk.tripped) return;
+    const since = Math.max(lastRunTime?.getTime() || 0, runnerStartedAt);
+    if (Date.now() - since <= limitMs) return;
+    raiseAlert({
+      key: "runner_stuck",
+      severity: "critical",
+      title: `No successful cycle in ${Math.round((Date.now() - since) / 1000)}s`,
+      fields: { last_success: lastRunTime?.toISOString() || null, cycle_running: scheduler.running, last_error: lastRunError },
+    });
+  }, Math.min(RUNNER_INTERVAL_MS, 60000));
+  stuckWatchdog.unref();
+}
+
+// =============================================================================
+// FAIR VALUE
+// =============================================================================
+
+function createPriceFeed() {
+  if (PRICE_FEED === "http") {
+    return new HttpPriceFeed({ urlTemplate: PRICE_FEED_URL, jsonPath: PRICE_FEED_JSON_PATH, symbols: PRICE_FEED_SYMBOLS });
+  }
+  if (PRICE_FEED === "file") return new FilePriceFeed({ file: PRICE_FEED_FILE });
+  return null;
+}
+
+const priceFeed = createPriceFeed();
+
+// FAIR_MODEL is runtime config, so the up/down model exists whenever a feed
+// does and each asset picks per cycle.
+const updownModel = priceFeed ? new UpDownFairModel({ feed: priceFeed, cfg: CONFIG }) : null;
+if (FAIR_MODEL === "updown" && !updownModel) console.warn("[Fair] FAIR_MODEL=updown needs PRICE_FEED; falling back to constant");
+
+// P(up) for the asset's current window; constant SEED_FAIR_PRICE when the
+// model can't price it (no feed sample at window open, unknown end time, ...).
+// acfg: the asset's runtime config.
+async function getFair(asset, market, stats, acfg) {
+  const fairModel = acfg.FAIR_MODEL === "updown" && updownModel ? updownModel : new ConstantFairModel({ price: acfg.SEED_FAIR_PRICE });
+  try {
+    const fv = await fairModel.fair({
+      asset,
+      endDateMs: market.endDateMs,
+      endDateKnown: market.endDateKnown !== false,
+      nowMs: Date.now(),
+      cfg: acfg,
+    });
+    if (fv) return fv;
+  } catch (e) {
+    stats.errors.push({ asset, stage: "fair_value", error: e?.message || String(e) });
+  }
+  return { pUp: acfg.SEED_FAIR_PRICE, source: "constant" };
+}
+
 // =============================================================================
 // CLOB CLIENT
 // =============================================================================
@@ -149,6 +543,7 @@ console.log("[Worker] ========================================");
 let clobClient = null;
 let clientInitPromise = null;
 let walletAddress = null;
+let apiCreds = null; // L2 creds, also used to authenticate the user channel
 
 async function initClient() {
   if (clobClient) return clobClient;
@@ -159,8 +554,19 @@ async function initClient() {
     const wallet = new ethers.Wallet(PM_PRIVATE_KEY);
     walletAddress = await wallet.getAddress();
 
+    if (PAPER_MODE) {
+      clobClient = new PaperExchange({
+        address: tradingAddress(),
+        startingCash: PAPER_STARTING_USD,
+        tradeRetentionSec: FILL_LOOKBACK_SECONDS,
+      });
+      console.log("[Client] Ready (PAPER)");
+      return clobClient;
+    }
+
     const tempClient = new ClobClient(PM_CLOB_HOST, CHAIN_ID, wallet);
     const derivedCreds = await tempClient.createOrDeriveApiKey();
+    apiCreds = derivedCreds;
 
     clobClient = new ClobClient(
       PM_CLOB_HOST,
@@ -179,90 +585,199 @@ async function initClient() {
 }
 
 // =============================================================================
-// SUPABASE HELPERS (REST)
+// STORAGE
 // =============================================================================
 
-async function supabaseFetch(path, options = {}) {
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-    throw new Error("Supabase not configured (SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY)");
+// Repositories over the configured backend (src/storage.js). PAPER_MODE points
+// the trading tables at their pm_paper_* twins. The helpers below keep the
+// names the rest of the worker uses and wait for the backend on first use; an
+// unusable backend fails every call (and keeps the runner from starting).
+let storage = null;
+let storageError = null;
+
+const storageReady = createStorage({
+  backend: STORAGE_BACKEND,
+  supabaseUrl: SUPABASE_URL,
+  supabaseKey: SUPABASE_SERVICE_ROLE_KEY,
+  databaseUrl: DATABASE_URL,
+  sqlitePath: SQLITE_PATH,
+  paper: PAPER_MODE,
+}).then(
+  (s) => (storage = s),
+  (e) => {
+    storageError = e?.message || String(e);
+    console.error(`[Storage] ${STORAGE_BACKEND} unavailable: ${storageError}`);
+    return null;
   }
+);
 
-  const url = `${SUPABASE_URL}/rest/v1${path}`;
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE_KEY,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      "Content-Type": "application/json",
-      Prefer: options.prefer || "return=representation",
-      ...(options.headers || {}),
-    },
-  });
-
-  const text = await res.text();
-  if (!res.ok) throw new Error(`Supabase ${res.status}: ${text.slice(0, 250)}`);
-
-  return text ? JSON.parse(text) : null;
+async function db() {
+  const s = storage || (await storageReady);
+  if (!s) throw new Error(`Storage unavailable (${STORAGE_BACKEND}): ${storageError}`);
+  return s;
 }
 
 async function getEnabledAssets() {
-  return (await supabaseFetch("/pm_assets?enabled=eq.true&select=asset")) || [];
+  return (await db()).assets.listEnabled();
 }
 
 async function getPosition(asset, slug, tokenId) {
-  const rows =
-    (await supabaseFetch(
-      `/pm_positions?asset=eq.${asset}&slug=eq.${slug}&token_id=eq.${encodeURIComponent(tokenId)}&select=*`
-    )) || [];
-  return rows[0] || null;
+  return (await db()).positions.get(asset, slug, tokenId);
 }
 
 async function getAllPositions() {
-  return (await supabaseFetch("/pm_positions?select=*")) || [];
+  return (await db()).positions.list();
 }
 
 async function upsertPosition(pos) {
-  return supabaseFetch("/pm_positions", {
-    method: "POST",
-    body: JSON.stringify(pos),
-    headers: { Prefer: "resolution=merge-duplicates,return=representation" },
-  });
+  return (await db()).positions.upsert(pos);
 }
 
+// Partially filled orders are still resting on the book, so they count as active.
 async function getActiveOrdersForToken(asset, slug, tokenId) {
-  return (
-    (await supabaseFetch(
-      `/pm_orders?asset=eq.${asset}&slug=eq.${slug}&token_id=eq.${encodeURIComponent(tokenId)}&status=eq.ACTIVE&select=*`
-    )) || []
-  );
+  return (await db()).orders.activeForToken(asset, slug, tokenId);
+}
+
+async function getAllActiveOrders() {
+  return (await db()).orders.allActive();
+}
+
+async function patchOrder(orderId, patch) {
+  return (await db()).orders.patch(orderId, patch);
+}
+
+async function patchOrderByClientId(clientOrderId, patch) {
+  return (await db()).orders.patchByClientId(clientOrderId, patch);
+}
+
+async function getUnresolvedOrders() {
+  return (await db()).orders.unresolved();
+}
+
+async function getActiveOrdersForSlug(asset, slug) {
+  return (await db()).orders.activeForSlug(asset, slug);
 }
 
 async function insertOrder(order) {
-  return supabaseFetch("/pm_orders", {
-    method: "POST",
-    body: JSON.stringify({
-      ...order,
-      placed_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    }),
-  });
+  return (await db()).orders.insert(order);
 }
 
 async function updateOrderStatus(orderId, status, error = null) {
-  const patch = { status, updated_at: new Date().toISOString() };
+  const patch = { status };
   if (error) patch.last_error = error;
+  return patchOrder(orderId, patch);
+}
 
-  return supabaseFetch(`/pm_orders?order_id=eq.${orderId}`, {
-    method: "PATCH",
-    body: JSON.stringify(patch),
-  });
+async function getOrdersByIds(orderIds) {
+  return (await db()).orders.byIds(orderIds);
+}
+
+async function updateOrderFill(orderId, filledSize, status) {
+  return patchOrder(orderId, { status, filled_size: filledSize });
+}
+
+// Returns [] when (trade_id, order_id) was already recorded, so fills are applied once.
+async function insertFill(fill) {
+  return (await db()).fills.insertOnce(fill);
+}
+
+async function getFill(tradeId, orderId) {
+  return (await db()).fills.get(tradeId, orderId);
+}
+
+async function patchFill(tradeId, orderId, patch) {
+  return (await db()).fills.patch(tradeId, orderId, patch);
+}
+
+async function getSettlement(slug) {
+  return (await db()).settlements.get(slug);
+}
+
+async function upsertSettlement(row) {
+  return (await db()).settlements.upsert(row);
+}
+
+async function getRiskState() {
+  return (await db()).riskState.get();
+}
+
+async function upsertRiskState(state) {
+  return (await db()).riskState.save(state);
+}
+
+async function setAssetEnabled(asset, enabled) {
+  return (await db()).assets.setEnabled(asset, enabled);
+}
+
+// Runtime config overrides (src/settings.js): { scope, key, value } keyed by
+// (scope, key), plus an append-only change history
+// (migrations/<dialect>/008_config.sql).
+async function getConfigRows() {
+  return (await db()).config.list();
+}
+
+async function upsertConfigRow(row) {
+  return (await db()).config.save(row);
+}
+
+async function deleteConfigRow(scope, key) {
+  return (await db()).config.remove(scope, key);
+}
+
+async function insertConfigHistory(rows) {
+  return (await db()).config.addHistory(rows);
+}
+
+async function getConfigHistory(filters = {}) {
+  return (await db()).config.history(filters);
+}
+
+async function insertAudit(row) {
+  return (await db()).audit.insert(row);
 }
 
 async function insertRun(run) {
-  return supabaseFetch("/pm_runs", {
-    method: "POST",
-    body: JSON.stringify(run),
-  });
+  return (await db()).runs.insert(run);
+}
+
+// =============================================================================
+// RUNTIME CONFIG
+// =============================================================================
+
+// Layered config (src/settings.js): defaults < env < pm_config < API. Each
+// cycle starts with reloadSettings(); CONFIG is updated in place with the
+// global values (risk, fair model and lifecycle read it by reference) and each
+// asset quotes with settings.values(asset).
+const settings = new RuntimeConfig({
+  loadRows: getConfigRows,
+  saveRow: upsertConfigRow,
+  deleteRow: deleteConfigRow,
+  recordHistory: insertConfigHistory,
+});
+
+let configLoadError = null; // reported once, until pm_config loads again
+
+async function reloadSettings(stats) {
+  try {
+    await settings.refresh();
+    if (configLoadError) console.log("[Config] pm_config loaded again");
+    configLoadError = null;
+  } catch (e) {
+    // keep the last pm_config layer; API overrides still apply
+    const error = isMissingTable(e)
+      ? `pm_config table is missing; run the migrations (npm run migrate) (${e?.message || e})`
+      : e?.message || String(e);
+    if (error !== configLoadError) {
+      console.error("[Config] pm_config load failed, using env and defaults:", error);
+      stats.errors.push({ stage: "config", error });
+    }
+    configLoadError = error;
+  }
+  for (const error of settings.errors) stats.skipped.push({ stage: "config", reason: "invalid_config", error });
+
+  const values = settings.values();
+  for (const key of Object.keys(CONFIG)) CONFIG[key] = values[key];
+  lifecycle.closeoutSeconds = CONFIG.CLOSEOUT_SECONDS;
 }
 
 // =============================================================================
@@ -276,497 +791,1306 @@ async function insertRun(run) {
 //   TARGET_YES_TOKEN_ID_ETH, TARGET_NO_TOKEN_ID_ETH
 //   TARGET_YES_TOKEN_ID_SOL, TARGET_NO_TOKEN_ID_SOL
 //
-// (B) set slug + use Gamma scan with large limit and exact slug match
+// (B) set slug, matched exactly against the paginated, cached Gamma listing
 //   TARGET_SLUG_BTC, TARGET_SLUG_ETH, TARGET_SLUG_SOL
-
-function envKeyFor(asset, base) {
-  return `${base}_${String(asset).toUpperCase()}`;
-}
+//
+// Both are runtime config (TARGET_SLUG etc. per asset in pm_config or PATCH
+// /config), the env vars being the env layer.
 
 function getTargetConfig(asset) {
-  const yesTokenId = process.env[envKeyFor(asset, "TARGET_YES_TOKEN_ID")]?.trim();
-  const noTokenId = process.env[envKeyFor(asset, "TARGET_NO_TOKEN_ID")]?.trim();
-  const slug = process.env[envKeyFor(asset, "TARGET_SLUG")]?.trim();
-
+  const acfg = settings.values(asset);
   return {
-    yesTokenId: yesTokenId || null,
-    noTokenId: noTokenId || null,
-    slug: slug || null,
+    enabled: acfg.TARGET_MODE_ENABLED,
+    yesTokenId: acfg.TARGET_YES_TOKEN_ID || null,
+    noTokenId: acfg.TARGET_NO_TOKEN_ID || null,
+    slug: acfg.TARGET_SLUG || null,
   };
 }
 
-async function resolveMarketFromGammaBySlugExact(slug) {
-  // We avoid relying on undocumented slug endpoints.
-  // Instead we scan a large page and exact-match by slug.
-  const url = `${PM_GAMMA_HOST}/markets?closed=false&active=true&_limit=500`;
-  const resp = await fetch(url);
-  const status = resp.status;
-
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => "");
-    throw new Error(`Gamma not ok status=${status} body=${t.slice(0, 200)}`);
-  }
-
-  const all = await resp.json();
-  if (!Array.isArray(all)) throw new Error("Gamma markets response not an array");
-
-  const match = all.find((m) => String(m.slug || "").toLowerCase() === String(slug).toLowerCase());
-  if (!match) return null;
-
-  const endDateStr = match.endDate || match.end_date_iso || match.endDateIso;
-  const endMs = endDateStr ? new Date(endDateStr).getTime() : 0;
+const discovery = new GammaDiscovery({
+  host: PM_GAMMA_HOST,
+  ttlMs: DISCOVERY_TTL_MS,
+  pageSize: DISCOVERY_PAGE_SIZE,
+  maxPages: DISCOVERY_MAX_PAGES,
+});
 
-  let tokenIds = [];
-  if (match.clobTokenIds) tokenIds = typeof match.clobTokenIds === "string" ? JSON.parse(match.clobTokenIds) : match.clobTokenIds;
+function discoveryFilterFor(asset) {
+  return { ...(DISCOVERY_FILTERS["*"] || {}), ...(DISCOVERY_FILTERS[String(asset).toUpperCase()] || {}) };
+}
 
-  if (!Array.isArray(tokenIds) || tokenIds.length < 2) return null;
+async function resolveMarketFromGammaBySlugExact(slug) {
+  return discovery.bySlug(slug);
+}
 
-  return {
-    slug: match.slug,
-    yesTokenId: String(tokenIds[0]),
-    noTokenId: String(tokenIds[1]),
-    negRisk: Boolean(match.negRisk),
-    tickSize: parseFloat(match.orderPriceMinTickSize) || 0.01,
-    endDateMs: endMs,
-  };
+// Single market by slug, including closed ones (used to read final outcomes).
+async function fetchGammaMarketBySlug(slug) {
+  return discovery.fetchRawBySlug(slug);
 }
 
-async function resolveActiveMarket(asset) {
+// Candidate windows for an asset, soonest end first. TARGET modes pin a single
+// market (no rollover); SCAN returns every match so the lifecycle manager can
+// line up the next window.
+async function resolveAssetWindows(asset) {
   const target = getTargetConfig(asset);
 
-  // If target token IDs exist, skip Gamma entirely.
-  if (TARGET_MODE_ENABLED && target.yesTokenId && target.noTokenId) {
-    return {
-      slug: target.slug || `TARGET_${asset}`,
-      yesTokenId: target.yesTokenId,
-      noTokenId: target.noTokenId,
-      negRisk: false,
-      tickSize: 0.01,
-      endDateMs: Date.now() + 10 * 60 * 1000, // placeholder; not needed for trading loop
-    };
+  // If target token IDs exist, trading doesn't depend on Gamma; it's only asked
+  // for the real end date.
+  if (target.enabled && target.yesTokenId && target.noTokenId) {
+    const listed = await discovery.byToken(target.yesTokenId).catch(() => null);
+    if (listed) return [{ ...listed, slug: target.slug || listed.slug, endDateKnown: true }];
+
+    return [
+      {
+        slug: target.slug || `TARGET_${asset}`,
+        yesTokenId: target.yesTokenId,
+        noTokenId: target.noTokenId,
+        negRisk: null, // unknown here; marketMeta asks the CLOB per token
+        tickSize: null,
+        endDateMs: Date.now() + 10 * 60 * 1000, // placeholder while Gamma doesn't list the tokens
+        endDateKnown: false,
+      },
+    ];
   }
 
   // If target slug exists, resolve via Gamma (exact match).
-  if (TARGET_MODE_ENABLED && target.slug) {
+  if (target.enabled && target.slug) {
     console.log(`[Discovery] ${asset} mode=TARGET_SLUG slug=${target.slug}`);
     const m = await resolveMarketFromGammaBySlugExact(target.slug);
-    if (!m) return null;
-    return m;
+    return m ? [m] : [];
   }
 
-  // Fallback: your old dynamic scan (but with better logs + larger limit)
-  console.log(`[Discovery] ${asset} mode=SCAN`);
-  const url = `${PM_GAMMA_HOST}/markets?closed=false&active=true&_limit=500`;
-  const resp = await fetch(url);
-  console.log(`[Discovery] ${asset} scan status=${resp.status}`);
-
-  if (!resp.ok) return null;
-
-  const all = await resp.json();
-  if (!Array.isArray(all)) return null;
-
-  const now = Date.now();
-  const assetLower = asset.toLowerCase();
+  // Fallback: scan the cached Gamma listing with the asset's filter.
+  const filter = discoveryFilterFor(asset);
+  const all = await discovery.find(asset, { ...filter, minSecsToEnd: 0 });
+  const found = await keepClosingMarkets(asset, all, filter.minSecsToEnd ?? DEFAULT_FILTER.minSecsToEnd);
+  console.log(`[Discovery] ${asset} mode=SCAN matches=${found.length} cached=${discovery.list.length}`);
+  return found;
+}
 
-  const out = [];
-  for (const m of all) {
-    const question = String(m.question || "").toLowerCase();
-    const slug = String(m.slug || "").toLowerCase();
-    const desc = String(m.description || "").toLowerCase();
-
-    const isUpDown =
-      (question.includes(assetLower) || slug.includes(assetLower)) &&
-      (question.includes("up or down") || slug.includes("updown"));
-    const is15m =
-      slug.includes("15m") ||
-      question.includes("15 minute") ||
-      question.includes("15-minute") ||
-      desc.includes("15 minute");
-
-    if (!isUpDown || !is15m) continue;
-
-    const endDateStr = m.endDate || m.end_date_iso || m.endDateIso;
-    if (!endDateStr) continue;
-
-    const endMs = new Date(endDateStr).getTime();
-    if (!endMs || Number.isNaN(endMs)) continue;
-    if (endMs <= now) continue;
-
-    let tokenIds = [];
-    if (m.clobTokenIds) tokenIds = typeof m.clobTokenIds === "string" ? JSON.parse(m.clobTokenIds) : m.clobTokenIds;
-    if (!Array.isArray(tokenIds) || tokenIds.length < 2) continue;
-
-    const secsToEnd = Math.floor((endMs - now) / 1000);
-    if (secsToEnd <= 30) continue;
-
-    out.push({
-      slug: m.slug,
-      yesTokenId: String(tokenIds[0]),
-      noTokenId: String(tokenIds[1]),
-      negRisk: Boolean(m.negRisk),
-      tickSize: parseFloat(m.orderPriceMinTickSize) || 0.01,
-      endDateMs: endMs,
-      secsToEnd,
-    });
+// minSecsToEnd keeps SCAN from picking up a market that is about to end, but
+// a market we're already in does its closeout (the FOK stage included) in
+// exactly that stretch. Those stay listed until they end: the ones the
+// lifecycle tracks, and any we hold shares or resting orders in.
+async function keepClosingMarkets(asset, markets, minSecsToEnd, nowMs = Date.now()) {
+  const ending = markets.filter((m) => Math.floor((m.endDateMs - nowMs) / 1000) <= minSecsToEnd);
+  if (!ending.length) return markets;
+
+  const A = String(asset).toUpperCase();
+  const keep = new Set(lifecycle.marketsFor(asset).map((m) => m.slug));
+  if (ending.some((m) => !keep.has(m.slug))) {
+    for (const p of await getAllPositions()) {
+      if (String(p.asset).toUpperCase() === A && Number(p.shares || 0) > FILL_EPS) keep.add(p.slug);
+    }
+    for (const o of await getAllActiveOrders()) {
+      if (String(o.asset).toUpperCase() === A) keep.add(o.slug);
+    }
   }
+  return markets.filter((m) => !ending.includes(m) || keep.has(m.slug));
+}
 
-  out.sort((a, b) => (a.endDateMs || 0) - (b.endDateMs || 0));
-  return out[0] || null;
+async function resolveActiveMarket(asset) {
+  return (await resolveAssetWindows(asset))[0] || null;
 }
 
 // =============================================================================
 // ORDERBOOK
 // =============================================================================
 
-async function fetchOrderBook(tokenId) {
+// Tick size / neg-risk / min order size per token, refreshed from every book we
+// read. The CLOB client validates our tickSize against its own tick cache, so a
+// tick size change has to drop that entry too or the next order is refused.
+const marketMeta = new MarketMetadata({
+  host: PM_CLOB_HOST,
+  ttlMs: MARKET_META_TTL_MS,
+  onTickChange: (tokenId) => clobClient?.clearTickSizeCache?.(tokenId),
+});
+
+// Raw /book response (all levels) plus how long it took.
+async function fetchRawBook(tokenId) {
   const t0 = Date.now();
   const resp = await fetch(`${PM_CLOB_HOST}/book?token_id=${encodeURIComponent(tokenId)}`);
-  if (!resp.ok) return null;
+  if (!resp.ok) {
+    metric.bookFetchErrors.inc();
+    return null;
+  }
 
   const data = await resp.json();
   const fetchMs = Date.now() - t0;
+  metric.bookFetch.observe({}, fetchMs / 1000);
+  return { data, fetchMs };
+}
 
-  if (fetchMs > BOOK_STALE_MS) return { stale: true, reason: "fetch_slow", fetchMs };
+// Local streamed book when the market-data socket has it in sync, REST otherwise.
+async function fetchOrderBook(tokenId) {
+  let out;
+  const local = marketData?.getBook(tokenId);
 
-  const bids = Array.isArray(data.bids) ? data.bids : [];
-  const asks = Array.isArray(data.asks) ? data.asks : [];
+  if (local) {
+    marketMeta.observeBook(tokenId, local);
+    out = summarizeBook(local.bids, local.asks, local.tick_size);
+  } else {
+    const raw = await fetchRawBook(tokenId);
+    if (!raw) return null;
 
-  const bestBid = bids.length ? Number(bids[0].price) : 0;
-  const bestAsk = asks.length ? Number(asks[0].price) : 1;
+    const { data, fetchMs } = raw;
+    if (fetchMs > BOOK_STALE_MS) return { stale: true, reason: "fetch_slow", fetchMs };
 
-  const bidSize = bids.length ? Number(bids[0].size) : 0;
-  const askSize = asks.length ? Number(asks[0].size) : 0;
+    marketMeta.observeBook(tokenId, data);
+    out = summarizeBook(data.bids, data.asks, data.tick_size, data.min_order_size);
+  }
 
-  const bidDepthUsd = bidSize * bestBid;
-  const askDepthUsd = askSize * bestAsk;
+  risk.mark(tokenId, out);
 
-  return {
-    stale: false,
-    bestBid,
-    bestAsk,
-    bidSize,
-    askSize,
-    bidDepthUsd,
-    askDepthUsd,
-    topSumDepthUsd: bidDepthUsd + askDepthUsd,
-    tickSize: Number(data.tick_size) || 0.01,
-  };
+  // Every snapshot doubles as the paper matcher's tape.
+  if (PAPER_MODE && clobClient) clobClient.onBook(tokenId, out);
+
+  return out;
 }
 
 // =============================================================================
-// ORDER HELPERS
+// RISK
 // =============================================================================
 
-function roundToTick(price, tick) {
-  const t = Number(tick) || 0.01;
-  return Math.round(price / t) * t;
+// Mark-to-market limits and the kill switch (src/risk.js). Tripping it runs
+// haltTrading; the tripped state lives in pm_risk_state
+// (migrations/<dialect>/006_risk_state.sql), so a restarted worker stays halted
+// until POST /risk/reset.
+const risk = new RiskManager({
+  cfg: CONFIG,
+  loadState: getRiskState,
+  saveState: upsertRiskState,
+  onTrip: haltTrading,
+});
+
+async function haltTrading(reason, detail) {
+  raiseAlert({ key: "kill_switch", severity: "critical", title: `Kill switch tripped: ${reason}`, fields: detail });
+  stopRunner();
+  await cancelAllScoped(await initClient(), {}, `Kill switch: ${reason}`);
 }
 
-function clamp(price, min, max) {
-  return Math.max(min, Math.min(max, price));
+// =============================================================================
+// ORDER HELPERS
+// =============================================================================
+
+// Every order goes through the order manager: its pm_orders row is written
+// PENDING before submission and ends ACTIVE, FAILED or UNKNOWN, with transient
+// CLOB errors retried (src/orders.js).
+const orderManager = new OrderManager({
+  insertRow: insertOrder,
+  patchRow: patchOrderByClientId,
+  findLanded: (row) => findLandedOrder(clobClient, row, getOrdersByIds),
+  maxAttempts: ORDER_MAX_ATTEMPTS,
+  baseDelayMs: ORDER_RETRY_BASE_MS,
+  maxDelayMs: ORDER_RETRY_MAX_MS,
+  onRetry: ({ row, attempt, code }) => {
+    metric.orderRetries.inc({ code });
+    console.log(`    [Orders] ${row.client_order_id} attempt ${attempt} ${code}; retrying`);
+  },
+  onAmbiguous: ({ row, found }) => {
+    metric.orderAmbiguous.inc({ found: String(found) });
+    console.log(`    [Orders] ${row.client_order_id} ambiguous submission: ${found ? "found live" : "not on the book"}`);
+  },
+});
+
+// kind tags the client_order_id (SEED_BID, TP, LAD_B1, ...); a random suffix
+// keeps two orders from one millisecond apart.
+function newClientOrderId(asset, outcome, kind) {
+  return `${asset}_${outcome}_${kind}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-async function placeOrder(client, { tokenId, side, price, size, orderType, tickSize, negRisk }) {
+// meta: the token's marketMeta.get() result. Prices are snapped onto its tick
+// grid; sizes under the market minimum, and anything the risk manager's
+// pre-trade check refuses, are recorded FAILED without reaching the exchange.
+// Returns { orderId, status, error: { code, message } | null }.
+async function placeOrder(client, { asset, slug, outcome, tokenId, side, price, size, orderType, meta, kind }) {
   const sideEnum = String(side).toUpperCase() === "SELL" ? Side.SELL : Side.BUY;
   const otEnum = String(orderType).toUpperCase() === "FOK" ? OrderType.FOK : OrderType.GTC;
 
-  const p = clamp(Number(price), 0.01, 0.99);
+  const p = validPrice(Number(price), meta.tickSize);
   const s = Number(size);
+  const labels = { asset, side: sideEnum === Side.SELL ? "SELL" : "BUY" };
+  const row = {
+    asset,
+    slug,
+    token_id: String(tokenId),
+    outcome,
+    side: labels.side,
+    order_type: otEnum === OrderType.FOK ? "FOK" : "GTC",
+    price: p,
+    size: s,
+    tick_size: String(meta.tickSize),
+    neg_risk: Boolean(meta.negRisk),
+    client_order_id: newClientOrderId(asset, outcome, kind),
+    window_start_epoch: null,
+  };
+
+  if (meta.minOrderSize && s < meta.minOrderSize) {
+    metric.ordersFailed.inc({ ...labels, reason: "min_size" });
+    return orderManager.reject(row, "MIN_SIZE", `size ${s} below market minimum ${meta.minOrderSize}`);
+  }
+
+  const check = risk.check({ asset, tokenId, side: labels.side, price: p, size: s });
+  if (!check.ok) {
+    metric.ordersFailed.inc({ ...labels, reason: `risk_${check.reason}` });
+    return orderManager.reject(row, "RISK_LIMIT", check.reason);
+  }
 
-  const resp = await client.createAndPostOrder(
-    { tokenID: String(tokenId), price: p, size: s, side: sideEnum },
-    { tickSize: String(tickSize || "0.01"), negRisk: Boolean(negRisk) },
-    otEnum
+  const result = await orderManager.place(row, () =>
+    client.createAndPostOrder(
+      { tokenID: String(tokenId), price: p, size: s, side: sideEnum },
+      { tickSize: String(meta.tickSize), negRisk: Boolean(meta.negRisk) },
+      otEnum
+    )
   );
 
-  const orderId = resp?.orderID || resp?.order_id || resp?.id || null;
-  return { orderId, resp };
+  if (result.orderId) {
+    metric.ordersPlaced.inc({ ...labels, order_type: row.order_type });
+    if (row.order_type === "GTC") risk.orderOpened({ ...row, order_id: result.orderId });
+  } else metric.ordersFailed.inc({ ...labels, reason: result.error.code.toLowerCase() });
+  noteOrderResult({ ...labels, ok: !!result.orderId, error: result.error && formatOrderError(result.error) });
+  return result;
 }
 
-async function cancelOrder(client, orderId) {
-  await client.cancelOrder(orderId);
+// The CLOB client reports HTTP failures in the response body instead of
+// throwing, so surface them here; callers decide whether to swallow.
+// reason labels pm_orders_cancelled_total (stale, ladder, closeout, ...).
+async function cancelOrder(client, orderId, reason = "other") {
+  try {
+    const resp = await client.cancelOrder({ orderID: orderId });
+    if (resp?.error) throw new Error(`Cancel failed: ${JSON.stringify(resp.error).slice(0, 200)}`);
+
+    const rejected = resp?.not_canceled?.[orderId];
+    if (rejected) throw new Error(`Cancel rejected: ${String(rejected).slice(0, 200)}`);
+  } catch (e) {
+    metric.cancelFailed.inc({ reason });
+    throw e;
+  }
+  risk.orderClosed(orderId);
+  metric.ordersCancelled.inc({ reason });
   return true;
 }
 
 // =============================================================================
-// BOOK STATE + ELIGIBILITY
+// FILL TRACKING
 // =============================================================================
 
-function classifyBook(book) {
-  const empty = (book.bestBid <= 0.01 && book.bestAsk >= 0.99) || book.bestBid <= 0 || book.bestAsk >= 1.0;
-  const thin = !empty && (book.topSumDepthUsd < CONFIG.MIN_TOP_SUM_DEPTH_USD || book.bidDepthUsd < 1 || book.askDepthUsd < 1);
-  if (empty) return "EMPTY";
-  if (thin) return "THIN";
-  return "REAL";
-}
-
-function spreadBpsMid(bestBid, bestAsk) {
-  const mid = (bestBid + bestAsk) / 2;
-  const spread = bestAsk - bestBid;
-  return mid > 0 ? Math.round((spread / mid) * 10000) : 99999;
-}
+// Pulls our CLOB trades, matches them to pm_orders by order_id and rolls them
+// into pm_positions (pm_fills and the columns it adds: migrations/<dialect>/
+// 001_fills.sql, 004_fill_status.sql).
 
-function checkEligibilityNonSeed(book, side, mode = "MAKER") {
-  const { bestBid, bestAsk, bidDepthUsd, askDepthUsd, topSumDepthUsd } = book;
-  const spreadBps = spreadBpsMid(bestBid, bestAsk);
+const FILL_EPS = 1e-6;
 
-  if (bestBid <= 0.01 && bestAsk >= 0.99) return { eligible: false, reason: "DEAD_BOOK" };
-  if (!bestAsk || bestAsk >= 1.0) return { eligible: false, reason: "NO_ASK" };
-  if (!bestBid || bestBid <= 0.0) return { eligible: false, reason: "NO_BID" };
-  if (bestBid < CONFIG.MIN_BID) return { eligible: false, reason: "MIN_BID" };
-  if (bestAsk > CONFIG.MAX_ASK) return { eligible: false, reason: "MAX_ASK" };
-  if (spreadBps > CONFIG.MAX_SPREAD_BPS) return { eligible: false, reason: "SPREAD" };
-  if (topSumDepthUsd < CONFIG.MIN_TOP_SUM_DEPTH_USD) return { eligible: false, reason: "SUM_DEPTH" };
+let lastFillSyncSec = null;
 
-  if (mode === "FOK") {
-    if (bidDepthUsd < CONFIG.FOK_MIN_DEPTH_USD) return { eligible: false, reason: "FOK_BID_DEPTH" };
-    if (askDepthUsd < CONFIG.FOK_MIN_DEPTH_USD) return { eligible: false, reason: "FOK_ASK_DEPTH" };
-  }
+function tradingAddress() {
+  return String(PM_SIGNATURE_TYPE === 0 ? walletAddress || bootWalletAddress : PM_FUNDER_ADDRESS).toLowerCase();
+}
 
-  if (String(side).toUpperCase() === "BUY") {
-    if (askDepthUsd < CONFIG.MIN_ASK_DEPTH_USD) return { eligible: false, reason: "ASK_DEPTH" };
-  } else {
-    if (bidDepthUsd < CONFIG.MIN_BID_DEPTH_USD) return { eligible: false, reason: "BID_DEPTH" };
+// One trade can fill several of our orders (as maker) or exactly one (as taker).
+// User-channel trades carry no trader_side; there we're the taker unless one of
+// the maker orders is ours.
+function extractOurFills(trade, ourAddress) {
+  const matchTime = Number(trade.match_time) || Math.floor(Date.now() / 1000);
+  const status = String(trade.status || "").toUpperCase() || null;
+  const isTaker = trade.trader_side
+    ? String(trade.trader_side).toUpperCase() === "TAKER"
+    : !(trade.maker_orders || []).some((m) => String(m.maker_address || "").toLowerCase() === ourAddress);
+
+  if (isTaker) {
+    return [
+      {
+        tradeId: String(trade.id),
+        orderId: String(trade.taker_order_id),
+        tokenId: String(trade.asset_id),
+        side: String(trade.side).toUpperCase(),
+        price: Number(trade.price),
+        size: Number(trade.size),
+        matchTime,
+        status,
+      },
+    ];
   }
 
-  return { eligible: true, reason: "OK" };
+  return (trade.maker_orders || [])
+    .filter((m) => String(m.maker_address || "").toLowerCase() === ourAddress)
+    .map((m) => ({
+      tradeId: String(trade.id),
+      orderId: String(m.order_id),
+      tokenId: String(m.asset_id || trade.asset_id),
+      side: String(m.side).toUpperCase(),
+      price: Number(m.price),
+      size: Number(m.matched_amount),
+      matchTime,
+      status,
+    }));
 }
 
-// =============================================================================
-// RUNNER STATE
-// =============================================================================
+async function ingestFills(client, stats) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const after = lastFillSyncSec ?? nowSec - FILL_LOOKBACK_SECONDS;
+  const ourAddress = tradingAddress();
+
+  const trades = (await client.getTrades({ maker_address: ourAddress, after: String(after) })) || [];
+
+  // FAILED trades go through too: applyFillsNow reverses them if applied.
+  const fills = [];
+  let maxMatchTime = after;
+  let unsettledFrom = Infinity; // oldest trade that can still FAIL
+  for (const t of trades) {
+    for (const f of extractOurFills(t, ourAddress)) {
+      if (!f.orderId || !(f.size > 0)) continue;
+      fills.push(f);
+      maxMatchTime = Math.max(maxMatchTime, f.matchTime);
+      if (f.status !== "CONFIRMED" && f.status !== "FAILED") unsettledFrom = Math.min(unsettledFrom, f.matchTime);
+    }
+  }
 
-let runnerInterval = null;
-let lastRunTime = null;
-let lastRunError = null;
-let runCount = 0;
+  // Overlap the next window a little, and keep unsettled trades in it (within
+  // the lookback) so a later FAILED is seen; pm_fills dedups repeats.
+  lastFillSyncSec = Math.max(after, Math.min(maxMatchTime - 60, Math.max(unsettledFrom, nowSec - FILL_LOOKBACK_SECONDS)));
+  await applyFills(fills, stats);
+}
 
-// =============================================================================
-// MAIN CYCLE
-// =============================================================================
+// The polling path and the user channel both land here. Applying is
+// read-modify-write on pm_orders/pm_positions, so one batch at a time.
+let fillChain = Promise.resolve();
 
-async function runCycle() {
-  const runId = `run_${Date.now()}`;
-  const startTime = Date.now();
-  runCount++;
+function applyFills(fills, stats) {
+  if (!fills.length) return Promise.resolve();
+  const run = fillChain.then(() => applyFillsNow(fills, stats));
+  fillChain = run.catch(() => {});
+  return run;
+}
 
-  console.log(`\n[Cycle ${runCount}] ===== ${runId} =====`);
+async function applyFillsNow(fills, stats) {
+  const orders = await getOrdersByIds([...new Set(fills.map((f) => f.orderId))]);
+  const byId = new Map(orders.map((o) => [o.order_id, o]));
 
-  const stats = {
-    assets: [],
-    tokens_checked: 0,
-    orders_placed: 0,
-    orders_cancelled: 0,
-    skipped: [],
-    errors: [],
-  };
+  fills.sort((a, b) => a.matchTime - b.matchTime);
 
-  try {
-    const client = await initClient();
+  for (const f of fills) {
+    const order = byId.get(f.orderId);
+    if (!order) {
+      stats.fills_unmatched++;
+      continue;
+    }
 
-    const assets = await getEnabledAssets();
-    if (!assets?.length) {
-      console.log("[Cycle] No enabled assets");
-      lastRunTime = new Date();
-      return;
+    const recorded = await getFill(f.tradeId, f.orderId);
+    if (f.status === "FAILED") {
+      if (recorded?.status === "FAILED") continue;
+      if (recorded) await reverseRecordedFill(order, recorded, stats);
+      // Never applied: recorded anyway so a stale MATCHED can't apply it later.
+      else await insertFill({ ...fillRow(order, f), avg_cost_before: null });
+      continue;
     }
+    if (recorded) continue; // already applied
+
+    // The pm_fills row is what marks a fill applied, so it's written last: if
+    // the order or position write fails, the fill is retried on the next poll
+    // or event instead of being deduped away unapplied.
+    const pos = await getPosition(order.asset, order.slug, order.token_id);
+    const filled = Number(order.filled_size || 0) + f.size;
+    const status = filled + FILL_EPS >= Number(order.size || 0) ? "FILLED" : "PARTIALLY_FILLED";
+    await updateOrderFill(f.orderId, filled, status);
+    order.filled_size = filled;
+    order.status = status;
+
+    const next = applyFill(pos, f.side, f.size, f.price);
+    await upsertPosition({
+      asset: order.asset,
+      slug: order.slug,
+      token_id: order.token_id,
+      outcome: order.outcome,
+      ...next,
+      updated_at: new Date().toISOString(),
+    });
+    await insertFill({ ...fillRow(order, f), avg_cost_before: Number(pos?.avg_cost || 0) });
 
-    const allPositions = await getAllPositions();
-    const totalPositionUsd = allPositions.reduce(
-      (sum, p) => sum + Number(p.shares || 0) * Number(p.avg_cost || 0),
-      0
+    stats.fills_ingested++;
+    metric.fills.inc({ asset: order.asset, side: f.side });
+    alertFill(order, f);
+    console.log(
+      `  [Fills] ${order.asset} ${order.outcome} ${f.side} ${f.size}@${f.price} order=${f.orderId} -> ${status} shares=${next.shares.toFixed(2)} avg=${next.avg_cost.toFixed(4)}`
     );
+  }
+}
 
-    const nowMs = Date.now();
+function fillRow(order, f) {
+  return {
+    trade_id: f.tradeId,
+    order_id: f.orderId,
+    asset: order.asset,
+    slug: order.slug,
+    token_id: order.token_id,
+    outcome: order.outcome,
+    side: f.side,
+    price: f.price,
+    size: f.size,
+    match_time: new Date(f.matchTime * 1000).toISOString(),
+    status: f.status,
+  };
+}
+
+// A trade can go MATCHED -> RETRYING -> FAILED after we applied it: take the
+// size back off the order and the position. A FILLED order goes back to
+// resting status; reconcileOrders settles it if it's gone from the book.
+async function reverseRecordedFill(order, fill, stats) {
+  const size = Number(fill.size);
+  const filled = Math.max(0, Number(order.filled_size || 0) - size);
+  const wasFilling = order.status === "FILLED" || order.status === "PARTIALLY_FILLED";
+  const status = wasFilling ? (filled > FILL_EPS ? "PARTIALLY_FILLED" : "ACTIVE") : order.status;
+  await updateOrderFill(order.order_id, filled, status);
+  order.filled_size = filled;
+  order.status = status;
+
+  const pos = await getPosition(order.asset, order.slug, order.token_id);
+  const next = reverseFill(pos, fill.side, size, Number(fill.price), fill.avg_cost_before);
+  await upsertPosition({
+    asset: order.asset,
+    slug: order.slug,
+    token_id: order.token_id,
+    outcome: order.outcome,
+    ...next,
+    updated_at: new Date().toISOString(),
+  });
+  await patchFill(fill.trade_id, fill.order_id, { status: "FAILED" });
+
+  stats.fills_reversed++;
+  metric.fillsReversed.inc({ asset: order.asset, side: fill.side });
+  console.log(
+    `  [Fills] ${order.asset} ${order.outcome} ${fill.side} ${size}@${fill.price} trade=${fill.trade_id} FAILED, reversed -> ${status} shares=${next.shares.toFixed(2)}`
+  );
+}
+
+// =============================================================================
+// RECONCILIATION
+// =============================================================================
+
+// Exchange is the source of truth for what is resting. Each cycle:
+//   - PENDING / UNKNOWN rows (no order_id) are looked for on the book and in
+//     our trades; a match gets its order_id and fills, otherwise the row is
+//     closed out FAILED once FILL_LOOKBACK_SECONDS have passed
+//   - ACTIVE rows missing from getOpenOrders() are looked up and closed out as
+//     FILLED / CANCELLED, or UNKNOWN when the exchange can't tell us
+//   - exchange orders marked closed in pm_orders are re-cancelled
+//   - exchange orders with no pm_orders row (orphans) are cancelled
+// Everything that didn't line up is reported in stats.reconcile.discrepancies.
+
+const RECONCILE_EPS = 1e-6;
+
+// Our fills for an unresolved row's order: orderId's, or else those of the
+// first order on the token that matches the row's side and limit price, was
+// matched after the row was written and no pm_orders row claims. This is how
+// a FOK (which never rests) is found.
+async function findLandedFills(client, row, orderId) {
+  const ourAddress = tradingAddress();
+  const placedSec = Math.floor(new Date(row.placed_at).getTime() / 1000);
+  const trades = await client.getTrades({ maker_address: ourAddress, asset_id: String(row.token_id), after: String(placedSec - 60) });
+  if (!Array.isArray(trades)) throw new Error(`getTrades failed: ${JSON.stringify(trades?.error ?? trades).slice(0, 200)}`);
+  const fills = trades
+    .filter((t) => String(t.status).toUpperCase() !== "FAILED")
+    .flatMap((t) => extractOurFills(t, ourAddress))
+    .filter((f) => f.tokenId === String(row.token_id) && f.side === row.side && f.size > 0);
+  if (orderId) return fills.filter((f) => f.orderId === String(orderId));
+
+  const candidates = fills.filter(
+    (f) =>
+      f.matchTime >= placedSec - 5 &&
+      (row.side === "BUY" ? f.price <= row.price + 1e-9 : f.price >= row.price - 1e-9)
+  );
+  if (!candidates.length) return [];
+  const known = new Set((await getOrdersByIds([...new Set(candidates.map((f) => f.orderId))])).map((r) => String(r.order_id)));
+  const found = candidates.sort((a, b) => a.matchTime - b.matchTime).find((f) => !known.has(f.orderId));
+  return found ? fills.filter((f) => f.orderId === found.orderId) : [];
+}
+
+async function resolveUnplacedOrders(client, report, stats) {
+  const now = Date.now();
+  let lookups = 0;
+  for (const row of await getUnresolvedOrders()) {
+    const placedAt = row.placed_at ? new Date(row.placed_at).getTime() : 0;
+    if (now - placedAt < RECONCILE_GRACE_MS) continue;
+    if (lookups++ >= RECONCILE_MAX_LOOKUPS) {
+      report.discrepancies.push({ client_order_id: row.client_order_id, kind: "lookup_deferred" });
+      break;
+    }
+
+    const resting = await findLandedOrder(client, row, getOrdersByIds);
+    const fills = await findLandedFills(client, row, resting);
+    const orderId = resting || fills[0]?.orderId || null;
+
+    if (orderId) {
+      await patchOrderByClientId(row.client_order_id, { order_id: String(orderId), status: "ACTIVE", last_error: null });
+      report.landed++;
+      report.discrepancies.push({
+        client_order_id: row.client_order_id,
+        order_id: String(orderId),
+        kind: "landed_without_order_id",
+        db_status: row.status,
+        fills: fills.length,
+      });
+      // Fills seen before the order_id was known were dropped as unmatched.
+      // pm_fills dedups any the regular paths pick up as well.
+      await applyFills(fills, stats);
+      continue;
+    }
+
+    if (now - placedAt > FILL_LOOKBACK_SECONDS * 1000) {
+      await patchOrderByClientId(row.client_order_id, {
+        status: "FAILED",
+        last_error: `${row.last_error || row.status}; not found on exchange`.slice(0, 300),
+      });
+      report.discrepancies.push({ client_order_id: row.client_order_id, kind: "never_landed", db_status: row.status });
+    }
+  }
+}
+
+// Status for an order that is no longer in the open-orders list.
+function classifyClosedOrder(remote) {
+  if (!remote || remote.error) return "UNKNOWN";
+  const status = String(remote.status || "").toUpperCase();
+  const original = Number(remote.original_size || 0);
+  const matched = Number(remote.size_matched || 0);
+
+  if (original > 0 && matched + RECONCILE_EPS >= original) return "FILLED";
+  if (status === "MATCHED") return "FILLED";
+  if (status.includes("CANCEL") || status === "INVALID") return "CANCELLED";
+  if (status === "LIVE") return "ACTIVE"; // raced with getOpenOrders; look again next cycle
+  return "UNKNOWN";
+}
+
+async function reconcileOrders(client, stats) {
+  const report = {
+    exchange_open: 0,
+    db_active: 0,
+    fixed: { FILLED: 0, CANCELLED: 0, UNKNOWN: 0 },
+    landed: 0,
+    orphans_cancelled: 0,
+    discrepancies: [],
+  };
+  stats.reconcile = report;
+
+  // Before the orphan sweep below: a landed submission would look like one.
+  await resolveUnplacedOrders(client, report, stats);
+
+  const exchangeOpen = await client.getOpenOrders();
+  if (!Array.isArray(exchangeOpen)) {
+    throw new Error(`getOpenOrders failed: ${JSON.stringify(exchangeOpen?.error ?? exchangeOpen).slice(0, 200)}`);
+  }
+  const exchangeById = new Map(exchangeOpen.map((o) => [String(o.id), o]));
+  report.exchange_open = exchangeById.size;
+
+  const dbActive = await getAllActiveOrders();
+  report.db_active = dbActive.length;
+  const now = Date.now();
+
+  // ---- DB says resting, exchange disagrees ----
+  let lookups = 0;
+  for (const row of dbActive) {
+    if (!row.order_id) continue;
+
+    const remoteOpen = exchangeById.get(String(row.order_id));
+    if (remoteOpen) {
+      const matched = Number(remoteOpen.size_matched || 0);
+      if (matched > Number(row.filled_size || 0) + RECONCILE_EPS) {
+        report.discrepancies.push({ order_id: row.order_id, kind: "fill_lag", db: Number(row.filled_size || 0), exchange: matched });
+      }
+      continue;
+    }
+
+    const placedAt = row.placed_at ? new Date(row.placed_at).getTime() : 0;
+    if (placedAt && now - placedAt < RECONCILE_GRACE_MS) continue;
+    if (lookups >= RECONCILE_MAX_LOOKUPS) {
+      report.discrepancies.push({ order_id: row.order_id, kind: "lookup_deferred" });
+      continue;
+    }
+    lookups++;
+
+    let remote = null;
+    try {
+      remote = await client.getOrder(row.order_id);
+    } catch (e) {
+      remote = { error: e?.message || String(e) };
+    }
+
+    const status = classifyClosedOrder(remote);
+    if (status === "ACTIVE") continue;
+
+    const patch = { status };
+    if (status === "UNKNOWN") patch.last_error = "Not on exchange; lookup inconclusive";
+    await patchOrder(row.order_id, patch);
+    report.fixed[status]++;
+    report.discrepancies.push({
+      order_id: row.order_id,
+      kind: "db_active_not_on_exchange",
+      asset: row.asset,
+      slug: row.slug,
+      resolved_as: status,
+      exchange_status: remote?.status || null,
+    });
+  }
+
+  // ---- Exchange says resting, DB has it closed or not at all ----
+  const dbActiveIds = new Set(dbActive.map((r) => String(r.order_id)));
+  const unseen = [...exchangeById.keys()].filter((id) => !dbActiveIds.has(id));
+  if (!unseen.length) return;
+
+  const known = new Map((await getOrdersByIds(unseen)).map((r) => [String(r.order_id), r]));
+
+  for (const id of unseen) {
+    const row = known.get(id);
+    const remote = exchangeById.get(id);
+    const kind = row ? "db_closed_exchange_open" : "orphan";
+
+    if (!row && !RECONCILE_CANCEL_ORPHANS) {
+      report.discrepancies.push({ order_id: id, kind, token_id: remote.asset_id, action: "left" });
+      continue;
+    }
+
+    try {
+      await cancelOrder(client, id, "reconcile");
+      if (row) await patchOrder(id, { status: "CANCELLED" });
+      else report.orphans_cancelled++;
+      stats.orders_cancelled++;
+      report.discrepancies.push({ order_id: id, kind, token_id: remote.asset_id, db_status: row?.status || null, action: "cancelled" });
+    } catch (e) {
+      report.discrepancies.push({ order_id: id, kind, token_id: remote.asset_id, action: "cancel_failed", error: e?.message || String(e) });
+      stats.errors.push({ stage: "reconcile_cancel", order_id: id, error: e?.message || String(e) });
+    }
+  }
+}
+
+// =============================================================================
+// INVENTORY EXITS
+// =============================================================================
+
+// Exit orders are tagged through client_order_id (..._TP_... / ..._SL_... /
+// ..._CO_... for closeout) so the entry logic and stale-order sweep leave them alone.
+function isExitOrder(o) {
+  return /_(TP|SL|CO)_/.test(String(o?.client_order_id || ""));
+}
+
+async function cancelExitOrders(client, orders, { asset, outcome, stats }) {
+  for (const o of orders) {
+    try {
+      await cancelOrder(client, o.order_id, "exit_requote");
+      await updateOrderStatus(o.order_id, "CANCELLED");
+      stats.orders_cancelled++;
+    } catch (e) {
+      stats.errors.push({ asset, outcome, stage: "exit_cancel", error: e?.message || String(e) });
+    }
+  }
+}
+
+// Returns "stop_loss" when the position was hit with a FOK this cycle (no new
+// entries should follow), otherwise null.
+async function manageExit(client, { asset, slug, tok, book, meta, cfg, pos, exitOrders, stats }) {
+  const shares = Number(pos?.shares || 0);
+  const avgCost = Number(pos?.avg_cost || 0);
+  const exits = exitOrders.map((o) => ({ ...o, price: Number(o.price), remaining: Number(o.size || 0) - Number(o.filled_size || 0) }));
+  const plan = planExit({ shares, avgCost, book, exits }, meta.tickSize, cfg);
+
+  await cancelExitOrders(client, plan.cancel, { asset, outcome: tok.outcome, stats });
+  if (plan.skip) stats.skipped.push({ asset, outcome: tok.outcome, reason: plan.skip });
+  if (!plan.order) return null;
+
+  const { kind, price, size } = plan.order;
+  console.log(
+    `    [${String(asset).toUpperCase()} ${tok.outcome}] [${kind}] avg=${avgCost.toFixed(4)} shares=${shares} bid=${book.bestBid} ` +
+      `px=${price} size=${size} upnl=${unrealizedPnl(avgCost, shares, book).toFixed(4)}`
+  );
+
+  const { orderId } = await placeOrder(client, { asset, slug, outcome: tok.outcome, tokenId: tok.tokenId, ...plan.order, meta });
+  if (orderId) {
+    stats.orders_placed++;
+    if (kind === "SL") stats.stop_losses++;
+    else stats.exits_placed++;
+  }
+  return kind === "SL" ? "stop_loss" : null;
+}
+
+// =============================================================================
+// CLOSEOUT
+// =============================================================================
+
+// Inside CLOSEOUT_SECONDS of the end we stop quoting, cancel everything resting
+// for the slug and work held shares out with rising aggression:
+//   aggression 0 -> rest at the best ask, 1 -> FOK into the bid.
+// Markets we closed out are remembered until their end time so the run that
+// follows resolution can record what was still held.
+
+const closeoutMarkets = new Map(); // slug -> { asset, slug, endDateMs, tokens }
+
+async function runCloseout(client, { asset, slug, market, secsLeft, stats }) {
+  const A = String(asset).toUpperCase();
+  const cfg = settings.values(asset);
+  const aggression = closeoutAggression(secsLeft, cfg);
+  const summary = { asset, slug, secsLeft, aggression: Number(aggression.toFixed(2)), cancelled: 0, tokens: [] };
+
+  // 1) Pull everything resting for this slug (entries, TP, previous closeout quotes)
+  const open = await getActiveOrdersForSlug(asset, slug);
+  for (const o of open) {
+    if (!o.order_id) continue;
+    try {
+      await cancelOrder(client, o.order_id, "closeout");
+      await updateOrderStatus(o.order_id, "CANCELLED");
+      stats.orders_cancelled++;
+      summary.cancelled++;
+    } catch (e) {
+      stats.errors.push({ asset, slug, stage: "closeout_cancel", order_id: o.order_id, error: e?.message || String(e) });
+    }
+  }
+
+  const tokens = [
+    { tokenId: market.yesTokenId, outcome: "YES" },
+    { tokenId: market.noTokenId, outcome: "NO" },
+  ];
+
+  // 2) Flatten
+  for (const tok of tokens) {
+    const pos = await getPosition(asset, slug, tok.tokenId);
+    const shares = Number(pos?.shares || 0);
+    const size = sellableShares(shares);
+    const entry = { outcome: tok.outcome, token_id: tok.tokenId, shares, avg_cost: Number(pos?.avg_cost || 0), action: "none" };
+    summary.tokens.push(entry);
+
+    if (size < cfg.MIN_ORDER_SIZE) continue;
+
+    const book = await fetchOrderBook(tok.tokenId);
+    if (!book || book.stale) {
+      entry.action = "no_book";
+      stats.skipped.push({ asset, outcome: tok.outcome, reason: "closeout_no_book" });
+      continue;
+    }
+
+    const meta = await marketMeta.get(tok.tokenId, market);
+    const tcfg = withMarketMinimum(cfg, meta.minOrderSize);
+    if (size < tcfg.MIN_ORDER_SIZE) {
+      entry.action = "below_min_size";
+      continue;
+    }
+
+    const { order, skip } = planCloseout(size, book, aggression, meta.tickSize, tcfg);
+    if (!order) {
+      entry.action = skip;
+      continue;
+    }
+
+    console.log(
+      `    [${A} ${tok.outcome}] [CLOSEOUT] secsLeft=${secsLeft} aggr=${summary.aggression} ${order.orderType} sell ${order.size}@${order.price}`
+    );
+
+    const { orderId } = await placeOrder(client, { asset, slug, outcome: tok.outcome, tokenId: tok.tokenId, ...order, meta });
+
+    entry.action = orderId ? order.orderType.toLowerCase() : "failed";
+    if (orderId) stats.orders_placed++;
+  }
+
+  closeoutMarkets.set(slug, { asset, slug, endDateMs: market.endDateMs, tokens });
+  stats.closeouts.push(summary);
+}
+
+// Once a closed-out market has ended, record what it resolved with still open.
+async function recordResolvedCloseouts(stats) {
+  const now = Date.now();
+  for (const [slug, m] of closeoutMarkets) {
+    if (!m.endDateMs || m.endDateMs > now) continue;
+
+    const tokens = [];
+    for (const tok of m.tokens) {
+      const pos = await getPosition(m.asset, slug, tok.tokenId);
+      const open = await getActiveOrdersForToken(m.asset, slug, tok.tokenId);
+      tokens.push({
+        outcome: tok.outcome,
+        token_id: tok.tokenId,
+        shares: Number(pos?.shares || 0),
+        avg_cost: Number(pos?.avg_cost || 0),
+        open_orders: open.length,
+      });
+    }
+
+    const leftOpen = tokens.some((t) => t.shares > 0 || t.open_orders > 0);
+    if (leftOpen) console.log(`[Closeout] ${m.asset} ${slug} resolved with open inventory/orders`);
+
+    stats.resolved_open.push({
+      asset: m.asset,
+      slug,
+      end_date: new Date(m.endDateMs).toISOString(),
+      left_open: leftOpen,
+      tokens,
+    });
+    closeoutMarkets.delete(slug);
+  }
+}
+
+// =============================================================================
+// SETTLEMENT
+// =============================================================================
+
+let settlement = null;
+
+// With a proxy/Safe funder (signature type 1/2) the tokens aren't held by the
+// signing key, so redemption can only be built and logged.
+function initSettlement(client) {
+  if (settlement) return settlement;
+
+  let redeemer;
+  if (PAPER_MODE) {
+    redeemer = new PaperRedeemer({ paper: client });
+  } else {
+    const ownsTokens = PM_SIGNATURE_TYPE === 0;
+    if (!ownsTokens) console.log("[Settlement] Tokens are held by the funder proxy; redemption stays dry-run");
+    redeemer = new CtfRedeemer({
+      provider: new ethers.providers.JsonRpcProvider(POLYGON_RPC_URL),
+      signer: ownsTokens ? new ethers.Wallet(PM_PRIVATE_KEY) : null,
+      dryRun: SETTLEMENT_DRY_RUN,
+    });
+  }
+
+  settlement = new SettlementManager({
+    redeemer,
+    fetchMarket: fetchGammaMarketBySlug,
+    getPositions: getAllPositions,
+    savePosition: upsertPosition,
+    getSettlement,
+    recordSettlement: upsertSettlement,
+    pollMs: SETTLEMENT_POLL_MS,
+    minMergeShares: SETTLEMENT_MIN_MERGE_SHARES,
+  });
+  return settlement;
+}
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+const lifecycle = new MarketLifecycle({ closeoutSeconds: CONFIG.CLOSEOUT_SECONDS, leadSeconds: ROLLOVER_LEAD_SECONDS });
+
+// On rollover the ended window is retired: anything still resting on it is
+// cancelled and it joins closeoutMarkets, so the next run records what it
+// resolved with even if it never reached closeout here (e.g. adopted late).
+async function handleLifecycleTransition(client, t, stats) {
+  const { ended, ...summary } = t;
+  stats.lifecycle.push(summary);
+  console.log(`[Lifecycle] ${t.asset} ${t.type} ${t.from || t.slug || ""}${t.to !== undefined ? ` -> ${t.to || "none"}` : ""}`);
+
+  if (t.type !== "rollover") return;
+
+  const open = await getActiveOrdersForSlug(t.asset, ended.slug);
+  for (const o of open) {
+    if (!o.order_id) continue;
+    try {
+      await cancelOrder(client, o.order_id, "rollover");
+      await updateOrderStatus(o.order_id, "CANCELLED");
+      stats.orders_cancelled++;
+    } catch (e) {
+      // most likely gone with the market; reconcileOrders settles it
+      stats.errors.push({ asset: t.asset, slug: ended.slug, stage: "rollover_cancel", order_id: o.order_id, error: e?.message || String(e) });
+    }
+  }
+
+  if (!closeoutMarkets.has(ended.slug)) {
+    closeoutMarkets.set(ended.slug, {
+      asset: t.asset,
+      slug: ended.slug,
+      endDateMs: ended.endDateMs,
+      tokens: [
+        { tokenId: ended.yesTokenId, outcome: "YES" },
+        { tokenId: ended.noTokenId, outcome: "NO" },
+      ],
+    });
+  }
+}
+
+// =============================================================================
+// COMPLEMENT GUARD
+// =============================================================================
+
+// tokenId -> { bid: our highest resting BUY, ask: our lowest resting SELL }
+function bestOwnQuotes(orders) {
+  const best = new Map();
+  for (const o of orders) noteOwnQuote(best, o.token_id, o.side, Number(o.price));
+  return best;
+}
+
+function noteOwnQuote(best, tokenId, side, price) {
+  const key = String(tokenId);
+  const cur = best.get(key) || {};
+  if (side === "BUY") cur.bid = Math.max(cur.bid || 0, price);
+  else cur.ask = Math.min(cur.ask || 1, price);
+  best.set(key, cur);
+}
+
+// =============================================================================
+// LADDER
+// =============================================================================
+
+function isLadderOrder(o) {
+  return /_LAD_/.test(String(o.client_order_id || ""));
+}
+
+// Brings the token's resting ladder in line with the desired levels: orders
+// whose level disappeared (or was resized) are cancelled, missing levels placed,
+// and everything else is left alone so queue position survives requotes.
+async function syncLadder(client, { asset, slug, tok, meta, cfg, bidPx, askPx, bidOk, askOk, entryOrders, ourBest, stats }) {
+  const tick = meta.tickSize;
+  const desired = buildLadder(bidPx, askPx, tick, cfg, { bid: bidOk, ask: askOk });
+  const existing = entryOrders.filter(isLadderOrder).map((o) => ({
+    id: o.order_id,
+    side: o.side,
+    price: Number(o.price),
+    remaining: Number(o.size || 0) - Number(o.filled_size || 0),
+  }));
+  const { cancel, place } = diffLadder(desired, existing, tick, cfg);
+
+  console.log(
+    `    [LADDER] bid=${bidPx} ask=${askPx} levels=${desired.length} keep=${existing.length - cancel.length} cancel=${cancel.length} place=${place.length}`
+  );
+
+  for (const o of cancel) {
+    if (!o.id) continue;
+    try {
+      await cancelOrder(client, o.id, "ladder");
+      await updateOrderStatus(o.id, "CANCELLED");
+      stats.orders_cancelled++;
+    } catch (e) {
+      stats.errors.push({ asset, outcome: tok.outcome, stage: "ladder_cancel", order_id: o.id, error: e?.message || String(e) });
+    }
+  }
+
+  for (const lvl of place) {
+    const tag = `${lvl.side === "BUY" ? "B" : "A"}${lvl.level}`;
+    const { orderId } = await placeOrder(client, {
+      asset,
+      slug,
+      outcome: tok.outcome,
+      tokenId: tok.tokenId,
+      side: lvl.side,
+      price: lvl.price,
+      size: lvl.size,
+      orderType: "GTC",
+      meta,
+      kind: `LAD_${tag}`,
+    });
+
+    if (orderId) {
+      stats.orders_placed++;
+      noteOwnQuote(ourBest, tok.tokenId, lvl.side, lvl.price);
+    }
+  }
+}
+
+// =============================================================================
+// RUNNER STATE
+// =============================================================================
+
+let runnerEnabled = RUNNER_ENABLED; // pause/resume from the control API
+let lastRunTime = null;
+let lastRunError = null;
+let runCount = 0;
+let currentRun = null; // { runId, startTime, stats } of the cycle in flight, for shutdown
+let shuttingDown = false;
+
+// =============================================================================
+// MAIN CYCLE
+// =============================================================================
+
+// Every line logged during the cycle carries its runId (src/log.js).
+async function runCycle(trigger = "interval") {
+  const runId = `run_${Date.now()}`;
+  return withLogContext({ runId, trigger }, () => executeCycle(runId, trigger));
+}
+
+async function executeCycle(runId, trigger) {
+  const startTime = Date.now();
+  runCount++;
+
+  console.log(`\n[Cycle ${runCount}] ===== ${runId} =====`);
+
+  const stats = {
+    trigger,
+    assets: [],
+    markets: [],
+    lifecycle: [],
+    tokens_checked: 0,
+    orders_placed: 0,
+    orders_cancelled: 0,
+    fills_ingested: 0,
+    fills_unmatched: 0,
+    fills_reversed: 0,
+    exits_placed: 0,
+    stop_losses: 0,
+    reconcile: null,
+    closeouts: [],
+    resolved_open: [],
+    settlements: null,
+    risk: null,
+    fair: [],
+    skipped: [],
+    errors: [],
+  };
+  currentRun = { runId, startTime, stats };
+
+  try {
+    // Config changes staged since the last cycle take effect here.
+    await reloadSettings(stats);
+
+    // Fail closed: no trading until the persisted kill switch state is known
+    // (risk.load() logs why it can't read it, once).
+    if (!risk.loaded) {
+      if (!(await risk.load())) {
+        lastRunError = risk.stats.lastError;
+        recordCycleMetrics(stats, Date.now() - startTime, "error");
+        raiseAlert({ key: "cycle_error", severity: "error", title: "Cycle failed", message: lastRunError, fields: { runId, trigger } });
+        return;
+      }
+      if (risk.tripped) {
+        stopRunner();
+        return;
+      }
+    }
+
+    const client = await initClient();
+
+    // Fills first, so the position caps below see what actually traded.
+    try {
+      await ingestFills(client, stats);
+    } catch (e) {
+      console.error("[Fills] ERROR:", e?.message || e);
+      stats.errors.push({ stage: "fills", error: e?.message || String(e) });
+    }
+
+    try {
+      await reconcileOrders(client, stats);
+      if (stats.reconcile.discrepancies.length) {
+        console.log(`[Reconcile] ${stats.reconcile.discrepancies.length} discrepancies`, JSON.stringify(stats.reconcile.fixed));
+      }
+    } catch (e) {
+      console.error("[Reconcile] ERROR:", e?.message || e);
+      stats.errors.push({ stage: "reconcile", error: e?.message || String(e) });
+    }
+
+    try {
+      await recordResolvedCloseouts(stats);
+    } catch (e) {
+      console.error("[Closeout] Resolution record ERROR:", e?.message || e);
+      stats.errors.push({ stage: "closeout_record", error: e?.message || String(e) });
+    }
+
+    if (SETTLEMENT_ENABLED) {
+      try {
+        stats.settlements = await initSettlement(client).run();
+        stats.errors.push(...stats.settlements.errors);
+      } catch (e) {
+        console.error("[Settlement] ERROR:", e?.message || e);
+        stats.errors.push({ stage: "settlement", error: e?.message || String(e) });
+      }
+    }
+
+    // Mark the book to market and check the portfolio limits before touching
+    // any market. A tripped kill switch skips trading but the run is still
+    // recorded with the breach.
+    const allPositions = await getAllPositions();
+    risk.setOpenOrders(await getAllActiveOrders());
+    await risk.evaluate(allPositions);
+    if (risk.tripped) console.error(`[Risk] Kill switch tripped (${risk.state.reason}); not trading`);
+
+    const assets = risk.tripped ? [] : await getEnabledAssets();
+    if (!risk.tripped && !assets?.length) {
+      console.log("[Cycle] No enabled assets");
+      lastRunTime = new Date();
+      recordCycleMetrics(stats, Date.now() - startTime, "ok");
+      return;
+    }
+
+    const nowMs = Date.now();
+    const cycleTokens = [];
 
     for (const { asset } of assets) {
+      // A shutdown mid-cycle places nothing new; the run is still recorded.
+      if (shuttingDown) {
+        stats.skipped.push({ asset, reason: "shutdown" });
+        continue;
+      }
+
       const A = String(asset).toUpperCase();
       console.log(`\n[${A}] Resolving market...`);
 
-      let market = null;
+      let windows = [];
       try {
-        market = await resolveActiveMarket(asset);
+        windows = await resolveAssetWindows(asset);
       } catch (e) {
         console.error(`[${A}] Discovery ERROR:`, e?.message || e);
         stats.skipped.push({ asset, reason: "discovery_error" });
         continue;
       }
 
-      if (!market) {
+      const plan = lifecycle.plan(asset, windows, nowMs);
+      for (const t of plan.transitions) {
+        await handleLifecycleTransition(client, t, stats);
+      }
+
+      if (!plan.markets.length) {
         console.log(`[${A}] No market resolved (check TARGET vars or Gamma)`);
         stats.skipped.push({ asset, reason: "no_active_market" });
         continue;
       }
 
-      const slug = market.slug;
-      const endMs = market.endDateMs || (Date.now() + 10 * 60 * 1000);
-      const secsLeft = Math.max(0, Math.floor((endMs - Date.now()) / 1000));
-      const isCloseout = secsLeft <= CONFIG.CLOSEOUT_SECONDS;
-
-      console.log(`  [${A}] Using: ${slug} | secsLeft=${secsLeft} | closeout=${isCloseout}`);
-      console.log(`  [${A}] YES=${market.yesTokenId} NO=${market.noTokenId}`);
-
       stats.assets.push(asset);
 
-      for (const tok of [
-        { tokenId: market.yesTokenId, outcome: "YES" },
-        { tokenId: market.noTokenId, outcome: "NO" },
-      ]) {
-        stats.tokens_checked++;
+      // This asset's runtime config (global values plus its own overrides)
+      const acfg = settings.values(asset);
 
-        const book = await fetchOrderBook(tok.tokenId);
-        if (!book) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: "no_book" });
-          continue;
-        }
-        if (book.stale) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: `stale_book_${book.reason}` });
-          continue;
-        }
+      for (const { market, role, phase } of plan.markets) {
+        cycleTokens.push(market.yesTokenId, market.noTokenId);
+        stats.markets.push({ asset, slug: market.slug, role, phase });
 
-        const state = classifyBook(book);
-        const sbps = spreadBpsMid(book.bestBid, book.bestAsk);
+        const slug = market.slug;
+        const endMs = market.endDateMs || (Date.now() + 10 * 60 * 1000);
+        const secsLeft = Math.max(0, Math.floor((endMs - Date.now()) / 1000));
+        const isCloseout = secsLeft <= CONFIG.CLOSEOUT_SECONDS;
 
-        console.log(
-          `  [${A} ${tok.outcome}] state=${state} bid=${book.bestBid} ask=${book.bestAsk} spread=${sbps}bps sum=$${book.topSumDepthUsd.toFixed(2)}`
-        );
+        console.log(`  [${A}] Using: ${slug} (${role}) | secsLeft=${secsLeft} | closeout=${isCloseout}`);
+        console.log(`  [${A}] YES=${market.yesTokenId} NO=${market.noTokenId}`);
 
-        // Cancel stale orders in DB (best-effort)
-        let dbOrders = await getActiveOrdersForToken(asset, slug, tok.tokenId);
-
-        for (const o of dbOrders) {
-          const placedAt = o.placed_at ? new Date(o.placed_at).getTime() : 0;
-          const age = placedAt ? nowMs - placedAt : 0;
-          if (age > CONFIG.STALE_MS && o.order_id) {
-            try {
-              await cancelOrder(client, o.order_id);
-              await updateOrderStatus(o.order_id, "CANCELLED");
-              stats.orders_cancelled++;
-            } catch {
-              // ignore cancel failure
-            }
-          }
-        }
-
-        dbOrders = await getActiveOrdersForToken(asset, slug, tok.tokenId);
-        const activeBuys = dbOrders.filter((o) => o.side === "BUY");
-        const activeSells = dbOrders.filter((o) => o.side === "SELL");
-
-        // RISK caps
-        const pos = await getPosition(asset, slug, tok.tokenId);
-        const shares = Number(pos?.shares || 0);
-        const avgCost = Number(pos?.avg_cost || 0);
-        const positionUsd = shares * avgCost;
-
-        if (positionUsd >= CONFIG.MAX_POSITION_USD_PER_TOKEN) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: "position_full" });
-          continue;
-        }
-        if (totalPositionUsd >= CONFIG.MAX_TOTAL_POSITION_USD) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: "total_position_full" });
-          continue;
-        }
         if (isCloseout) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: "closeout" });
+          try {
+            await runCloseout(client, { asset, slug, market, secsLeft, stats });
+          } catch (e) {
+            console.error(`  [${A}] Closeout ERROR:`, e?.message || e);
+            stats.errors.push({ asset, slug, stage: "closeout", error: e?.message || String(e) });
+          }
           continue;
         }
 
-        // =============================================================================
-        // SEED MODE: place BOTH sides even if EMPTY
-        // =============================================================================
-        if (SEED_ENABLED && (state === "EMPTY" || state === "THIN")) {
-          const tick = book.tickSize || market.tickSize || 0.01;
-          const fair = clamp(SEED_FAIR_PRICE, 0.05, 0.95);
+        const fv = await getFair(asset, market, stats, acfg);
 
-          // Half-spread as price offset
-          const half = Math.max(tick, fair * (SEED_HALF_SPREAD_BPS / 10000));
+        // Quotes center on the inventory-skewed P(up) when enabled; fv stays the
+        // unskewed model value for reporting.
+        const center = quoteCenter(
+          fv,
+          allPositions.find((p) => String(p.token_id) === String(market.yesTokenId)),
+          allPositions.find((p) => String(p.token_id) === String(market.noTokenId)),
+          market.endDateKnown === false ? acfg.FAIR_WINDOW_SECONDS : secsLeft,
+          acfg
+        );
+        const { inv } = center;
 
-          const bidPx = clamp(roundToTick(fair - half, tick), 0.01, 0.99);
-          const askPx = clamp(roundToTick(fair + half, tick), 0.01, 0.99);
+        stats.fair.push({ asset, slug, ...fv, inventory: inv });
+        console.log(
+          `  [${A}] fair pUp=${fv.pUp.toFixed(4)} source=${fv.source}` +
+            (inv ? ` | inv q=${inv.q} skew=${inv.skew} quote pUp=${center.pUp.toFixed(4)} half=${center.halfSpreadBps.toFixed(0)}bps` : "")
+        );
 
-          // Size: aim $2 notional, minimum 1 share
-          const bidSize = Math.max(CONFIG.MIN_ORDER_SIZE, Math.floor(CONFIG.ORDER_USD_PER_TRADE / bidPx));
-          const askSize = Math.max(CONFIG.MIN_ORDER_SIZE, Math.floor(CONFIG.ORDER_USD_PER_TRADE / askPx));
+        // Our best resting bid/ask per token, so new entries on one side never
+        // cross the complement constraint against what rests on the other.
+        const ourBest = bestOwnQuotes(await getActiveOrdersForSlug(asset, slug));
 
-          // Ensure we keep <= MAX_ORDERS_PER_SIDE
-          const needBid = activeBuys.length < MAX_ORDERS_PER_SIDE;
-          const needAsk = activeSells.length < MAX_ORDERS_PER_SIDE;
+        for (const tok of [
+          { tokenId: market.yesTokenId, outcome: "YES" },
+          { tokenId: market.noTokenId, outcome: "NO" },
+        ]) {
+          stats.tokens_checked++;
+          const otherTokenId = tok.outcome === "YES" ? market.noTokenId : market.yesTokenId;
 
-          if (!needBid && !needAsk) {
-            stats.skipped.push({ asset, outcome: tok.outcome, reason: "seed_max_orders" });
+          const book = await fetchOrderBook(tok.tokenId);
+          if (!book) {
+            stats.skipped.push({ asset, outcome: tok.outcome, reason: "no_book" });
             continue;
           }
+          if (book.stale) {
+            stats.skipped.push({ asset, outcome: tok.outcome, reason: `stale_book_${book.reason}` });
+            continue;
+          }
+          recordBookMetrics({ asset: A, outcome: tok.outcome, role }, book);
+
+          // Tick size, neg-risk and min order size for this token; the market's
+          // minimum raises MIN_ORDER_SIZE for everything sized below.
+          const meta = await marketMeta.get(tok.tokenId, market);
+          const cfg = withMarketMinimum(acfg, meta.minOrderSize);
+
+          const state = classifyBook(book, cfg);
+          const sbps = spreadBpsMid(book.bestBid, book.bestAsk);
 
           console.log(
-            `    [SEED] fair=${fair} tick=${tick} bid=${bidPx}x${bidSize} ask=${askPx}x${askSize} needBid=${needBid} needAsk=${needAsk}`
+            `  [${A} ${tok.outcome}] state=${state} bid=${book.bestBid} ask=${book.bestAsk} spread=${sbps}bps sum=$${book.topSumDepthUsd.toFixed(2)}`
           );
 
-          if (needBid) {
-            const { orderId } = await placeOrder(client, {
-              tokenId: tok.tokenId,
-              side: "BUY",
-              price: bidPx,
-              size: bidSize,
-              orderType: "GTC",
-              tickSize: tick,
-              negRisk: false,
-            });
+          // Ladder levels are diffed by syncLadder instead of aging out.
+          const ladderUp = ladderActive(state, cfg);
+
+          // Cancel stale orders in DB (best-effort)
+          let dbOrders = await getActiveOrdersForToken(asset, slug, tok.tokenId);
+
+          for (const o of dbOrders) {
+            if (isExitOrder(o)) continue; // exits are requoted by manageExit
+            if (ladderUp && isLadderOrder(o)) continue;
+            const placedAt = o.placed_at ? new Date(o.placed_at).getTime() : 0;
+            const age = placedAt ? nowMs - placedAt : 0;
+            if (age > cfg.STALE_MS && o.order_id) {
+              try {
+                await cancelOrder(client, o.order_id, "stale");
+                await updateOrderStatus(o.order_id, "CANCELLED");
+                stats.orders_cancelled++;
+              } catch (e) {
+                // leave it ACTIVE; reconcileOrders settles it against the exchange next cycle
+                stats.errors.push({ asset, outcome: tok.outcome, stage: "stale_cancel", order_id: o.order_id, error: e?.message || String(e) });
+              }
+            }
+          }
 
-            await insertOrder({
-              asset,
-              slug,
-              token_id: tok.tokenId,
-              outcome: tok.outcome,
-              side: "BUY",
-              order_type: "GTC",
-              price: bidPx,
-              size: bidSize,
-              tick_size: String(tick),
-              neg_risk: false,
-              status: orderId ? "ACTIVE" : "FAILED",
-              order_id: orderId,
-              client_order_id: `${asset}_${tok.outcome}_SEED_BID_${nowMs}`,
-              last_error: orderId ? null : "Seed bid failed",
-              window_start_epoch: null,
-            });
+          dbOrders = await getActiveOrdersForToken(asset, slug, tok.tokenId);
+          const exitOrders = dbOrders.filter(isExitOrder);
+          const entryOrders = dbOrders.filter((o) => !isExitOrder(o));
+
+          const pos = await getPosition(asset, slug, tok.tokenId);
 
-            if (orderId) stats.orders_placed++;
+          // EXITS run before the caps: a full position is exactly when we want to sell.
+          try {
+            const exit = await manageExit(client, { asset, slug, tok, book, meta, cfg, pos, exitOrders, stats });
+            if (exit === "stop_loss") continue;
+          } catch (e) {
+            console.error(`  [${A} ${tok.outcome}] Exit ERROR:`, e?.message || e);
+            stats.errors.push({ asset, outcome: tok.outcome, stage: "exit", error: e?.message || String(e) });
           }
 
-          if (needAsk) {
-            const { orderId } = await placeOrder(client, {
-              tokenId: tok.tokenId,
-              side: "SELL",
-              price: askPx,
-              size: askSize,
-              orderType: "GTC",
-              tickSize: tick,
-              negRisk: false,
-            });
+          // RISK caps (mark-to-market unhedged exposure; placeOrder re-checks
+          // each order including its own notional)
+          if (CONFIG.MAX_POSITION_USD_PER_TOKEN > 0 && risk.exposure(tok.tokenId) >= CONFIG.MAX_POSITION_USD_PER_TOKEN) {
+            stats.skipped.push({ asset, outcome: tok.outcome, reason: "position_full" });
+            continue;
+          }
+          if (CONFIG.MAX_POSITION_USD_PER_ASSET > 0 && risk.assetExposure(asset) >= CONFIG.MAX_POSITION_USD_PER_ASSET) {
+            stats.skipped.push({ asset, outcome: tok.outcome, reason: "asset_position_full" });
+            continue;
+          }
+          if (CONFIG.MAX_TOTAL_POSITION_USD > 0 && risk.snapshot.totalUsd >= CONFIG.MAX_TOTAL_POSITION_USD) {
+            stats.skipped.push({ asset, outcome: tok.outcome, reason: "total_position_full" });
+            continue;
+          }
 
-            await insertOrder({
-              asset,
-              slug,
-              token_id: tok.tokenId,
+          // ENTRIES: seed (both sides, even into an EMPTY book), its ladder, or
+          // the older maker bid (src/strategy.js planEntries)
+          const plan = planEntries(
+            {
+              book,
+              state,
               outcome: tok.outcome,
-              side: "SELL",
-              order_type: "GTC",
-              price: askPx,
-              size: askSize,
-              tick_size: String(tick),
-              neg_risk: false,
-              status: orderId ? "ACTIVE" : "FAILED",
-              order_id: orderId,
-              client_order_id: `${asset}_${tok.outcome}_SEED_ASK_${nowMs}`,
-              last_error: orderId ? null : "Seed ask failed",
-              window_start_epoch: null,
-            });
-
-            if (orderId) stats.orders_placed++;
-          }
+              tick: meta.tickSize,
+              center,
+              fairSource: fv.source,
+              open: {
+                buys: entryOrders.filter((o) => o.side === "BUY").length,
+                sells: entryOrders.filter((o) => o.side === "SELL").length,
+              },
+              other: ourBest.get(String(otherTokenId)),
+            },
+            cfg
+          );
+          for (const reason of plan.skips) stats.skipped.push({ asset, outcome: tok.outcome, reason });
 
-          // ensure position row exists (so later logic can update)
-          if (!pos) {
+          // seeding keeps a position row so later logic can update it
+          if (plan.mode !== "maker" && !pos) {
             await upsertPosition({
               asset,
               slug,
@@ -778,66 +2102,40 @@ async function runCycle() {
             });
           }
 
-          continue; // done for this token
-        }
+          if (plan.mode === "ladder") {
+            const { bidPx, askPx, bidOk, askOk } = plan.quote;
+            await syncLadder(client, { asset, slug, tok, meta, cfg, bidPx, askPx, bidOk, askOk, entryOrders, ourBest, stats });
+            continue;
+          }
 
-        // =============================================================================
-        // NON-SEED fallback (your older gating logic, simplified)
-        // =============================================================================
-        const buyOk = checkEligibilityNonSeed(book, "BUY", "MAKER");
-        if (!buyOk.eligible) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: `nonseed_block_${buyOk.reason}` });
-          continue;
-        }
+          if (plan.mode === "seed" && plan.orders.length) {
+            const q = plan.quote;
+            console.log(
+              `    [SEED] fair=${q.fair} tick=${meta.tickSize} bid=${q.bidPx}x${q.bidSize} ask=${q.askPx}x${q.askSize} ` +
+                `place=${plan.orders.map((o) => o.kind).join(",")}`
+            );
+          }
 
-        // Place a small maker buy (legacy behavior)
-        if (activeBuys.length >= CONFIG.MAX_OPEN_ORDERS_PER_TOKEN) {
-          stats.skipped.push({ asset, outcome: tok.outcome, reason: "max_orders" });
-          continue;
+          for (const order of plan.orders) {
+            const { orderId } = await placeOrder(client, { asset, slug, outcome: tok.outcome, tokenId: tok.tokenId, ...order, meta });
+            if (orderId) {
+              stats.orders_placed++;
+              noteOwnQuote(ourBest, tok.tokenId, order.side, order.price);
+            }
+          }
         }
-
-        const tick = book.tickSize || market.tickSize || 0.01;
-        const improve = Math.min(CONFIG.MAKER_TICK_IMPROVE * tick, (book.bestBid * CONFIG.MAKER_MAX_IMPROVE_BPS) / 10000);
-        let target = roundToTick(book.bestBid + improve, tick);
-        target = clamp(target, 0.01, 0.99);
-
-        const buySize = Math.max(CONFIG.MIN_ORDER_SIZE, Math.floor(CONFIG.ORDER_USD_PER_TRADE / target));
-
-        const { orderId } = await placeOrder(client, {
-          tokenId: tok.tokenId,
-          side: "BUY",
-          price: target,
-          size: buySize,
-          orderType: "GTC",
-          tickSize: tick,
-          negRisk: false,
-        });
-
-        await insertOrder({
-          asset,
-          slug,
-          token_id: tok.tokenId,
-          outcome: tok.outcome,
-          side: "BUY",
-          order_type: "GTC",
-          price: target,
-          size: buySize,
-          tick_size: String(tick),
-          neg_risk: false,
-          status: orderId ? "ACTIVE" : "FAILED",
-          order_id: orderId,
-          client_order_id: `${asset}_${tok.outcome}_BUY_${nowMs}`,
-          last_error: orderId ? null : "Failed",
-          window_start_epoch: null,
-        });
-
-        if (orderId) stats.orders_placed++;
       }
     }
 
+    // Stream whatever this cycle resolved; a changed set resubscribes.
+    if (marketData) marketData.setAssets(cycleTokens);
+
+    stats.risk = risk.status();
+    stats.errors.push(...risk.drainBreaches());
+
     const duration = Date.now() - startTime;
     console.log(
-      `\n[Cycle] Done in ${duration}ms: placed=${stats.orders_placed} cancelled=${stats.orders_cancelled} skipped=${stats.skipped.length}`
+      `\n[Cycle] Done in ${duration}ms: placed=${stats.orders_placed} cancelled=${stats.orders_cancelled} fills=${stats.fills_ingested} skipped=${stats.skipped.length}`
     );
 
     await insertRun({
@@ -850,9 +2148,17 @@ async function runCycle() {
 
     lastRunTime = new Date();
     lastRunError = null;
+    recordCycleMetrics(stats, duration, "ok");
+    alertCycle(stats);
+    clearAlert("cycle_error", `Cycle ${runId} succeeded`);
+    clearAlert("runner_stuck", `Cycle ${runId} succeeded`);
   } catch (err) {
     console.error("[Cycle] Error:", err);
     lastRunError = err?.message || String(err);
+    recordCycleMetrics(stats, Date.now() - startTime, "error");
+    raiseAlert({ key: "cycle_error", severity: "error", title: "Cycle failed", message: lastRunError, fields: { runId, trigger } });
+  } finally {
+    currentRun = null;
   }
 }
 
@@ -860,17 +2166,253 @@ async function runCycle() {
 // RUNNER CONTROL
 // =============================================================================
 
+// One cycle at a time (src/scheduler.js): interval ticks, stream events and
+// run-once all go through scheduler.run(); RUNNER_OVERLAP decides what a
+// trigger landing mid-cycle does. A tripped kill switch refuses every trigger.
+const scheduler = new CycleScheduler({
+  runCycle,
+  intervalMs: RUNNER_INTERVAL_MS,
+  jitterMs: RUNNER_JITTER_MS,
+  overlap: RUNNER_OVERLAP,
+  blocked: () => (risk.tripped ? "kill_switch" : shuttingDown ? "shutdown" : null),
+  onSkip: (trigger, reason) => metric.cycleSkipped.inc({ trigger, reason }),
+  onQueue: (trigger) => metric.cycleQueued.inc({ trigger }),
+});
+
 function startRunner() {
-  if (!RUNNER_ENABLED) return;
+  if (!runnerEnabled || scheduler.active || shuttingDown) return;
+  if (risk.tripped) {
+    console.error(`[Runner] Not starting: kill switch tripped (${risk.state.reason}); POST /risk/reset to resume`);
+    return;
+  }
+
+  if (!storage) {
+    console.error(`[Runner] FATAL: storage unavailable (${STORAGE_BACKEND}): ${storageError || "not ready"}`);
+    return;
+  }
+
+  console.log(`[Runner] Starting (${RUNNER_INTERVAL_MS}ms interval, ±${RUNNER_JITTER_MS}ms jitter, overlap=${RUNNER_OVERLAP})...`);
+  runnerStartedAt = Date.now();
+  scheduler.start();
+}
+
+function stopRunner() {
+  scheduler.stop();
+  clearTimeout(eventCycleTimer);
+  eventCycleTimer = null;
+  console.log("[Runner] Stopped");
+}
+
+let eventCycleTimer = null;
+let lastEventCycleAt = 0;
+
+// Stream events (book updates, our fills) arm one timer (MARKET_WS_DEBOUNCE_MS,
+// and no sooner than MARKET_WS_MIN_CYCLE_MS after the last event-driven cycle);
+// everything that arrives meanwhile folds into the same cycle.
+function scheduleEventCycle(trigger) {
+  if (!runnerEnabled || eventCycleTimer) return;
+  const wait = Math.max(MARKET_WS_DEBOUNCE_MS, lastEventCycleAt + MARKET_WS_MIN_CYCLE_MS - Date.now());
+  eventCycleTimer = setTimeout(async () => {
+    eventCycleTimer = null;
+    if (scheduler.running) return scheduleEventCycle(trigger);
+    lastEventCycleAt = Date.now();
+    await scheduler.run(trigger);
+  }, wait);
+}
+
+// =============================================================================
+// MARKET DATA
+// =============================================================================
+
+let marketData = null;
+
+function startMarketData() {
+  if (!MARKET_WS_ENABLED) return;
+
+  marketData = new MarketDataFeed({
+    url: MARKET_WS_URL,
+    fetchSnapshot: fetchRawBook,
+    onUpdate: () => scheduleEventCycle("book_event"),
+  });
+  marketData.start();
+  console.log(`[MarketData] Started (${MARKET_WS_URL}); tokens subscribe after the first cycle`);
+}
+
+// =============================================================================
+// USER STREAM
+// =============================================================================
+
+let userChannel = null;
+const userStreamStats = { fills_ingested: 0, fills_unmatched: 0, fills_reversed: 0, cancels: 0, replays: 0, errors: 0, lastError: null };
+
+function userStreamError(stage, e) {
+  userStreamStats.errors++;
+  userStreamStats.lastError = `${stage}: ${e?.message || String(e)}`;
+  console.error(`[UserStream] ${stage} ERROR:`, e?.message || e);
+}
+
+// Fills go through the same path as polling (pm_fills dedups the MATCHED /
+// MINED / CONFIRMED repeats; a FAILED reverses what was applied), then
+// requote right away.
+async function onUserTrade(trade) {
+  const ourAddress = tradingAddress();
+  const fills = extractOurFills(trade, ourAddress).filter((f) => f.orderId && f.size > 0);
+  if (!fills.length) return;
+
+  const stats = { fills_ingested: 0, fills_unmatched: 0, fills_reversed: 0 };
+  await applyFills(fills, stats);
+  userStreamStats.fills_ingested += stats.fills_ingested;
+  userStreamStats.fills_unmatched += stats.fills_unmatched;
+  userStreamStats.fills_reversed += stats.fills_reversed;
+  if (stats.fills_ingested || stats.fills_reversed) scheduleEventCycle("fill");
+}
+
+// Cancellations we didn't make (expiry, exchange-side cancels) show up here
+// before reconcileOrders would notice them.
+async function onUserOrder(ev) {
+  if (String(ev.type).toUpperCase() !== "CANCELLATION") return;
+  const [row] = await getOrdersByIds([String(ev.id)]);
+  if (!row || (row.status !== "ACTIVE" && row.status !== "PARTIALLY_FILLED")) return;
+
+  await updateOrderStatus(row.order_id, "CANCELLED");
+  userStreamStats.cancels++;
+  scheduleEventCycle("order_cancelled");
+}
+
+// Whatever traded while we were disconnected comes back through REST trades.
+async function replayFills() {
+  const client = await initClient();
+  const stats = { fills_ingested: 0, fills_unmatched: 0, fills_reversed: 0 };
+  await ingestFills(client, stats);
+  userStreamStats.replays++;
+  userStreamStats.fills_ingested += stats.fills_ingested;
+  userStreamStats.fills_unmatched += stats.fills_unmatched;
+  userStreamStats.fills_reversed += stats.fills_reversed;
+  if (stats.fills_ingested) scheduleEventCycle("fill");
+}
 
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-    console.error("[Runner] FATAL: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY required");
+async function startUserStream() {
+  if (!USER_WS_ENABLED) return;
+  if (PAPER_MODE) {
+    console.log("[UserStream] Not available in PAPER_MODE (fills come from the paper matcher)");
     return;
   }
 
-  console.log(`[Runner] Starting (${RUNNER_INTERVAL_MS}ms interval)...`);
-  runCycle().catch(() => {});
-  runnerInterval = setInterval(() => runCycle().catch(() => {}), RUNNER_INTERVAL_MS);
+  await initClient();
+  userChannel = new UserChannel({ url: USER_WS_URL, creds: apiCreds });
+  userChannel.on("trade", (ev) => onUserTrade(ev).catch((e) => userStreamError("trade", e)));
+  userChannel.on("order", (ev) => onUserOrder(ev).catch((e) => userStreamError("order", e)));
+  userChannel.on("open", ({ reconnect }) => {
+    if (reconnect) replayFills().catch((e) => userStreamError("replay", e));
+  });
+  userChannel.start();
+  console.log(`[UserStream] Started (${USER_WS_URL})`);
+}
+
+// =============================================================================
+// RECORDER
+// =============================================================================
+
+let recorder = null;
+
+async function recorderMarkets() {
+  const assets = RECORDER_ASSETS.length ? RECORDER_ASSETS : (await getEnabledAssets()).map((a) => a.asset);
+  const out = [];
+  for (const asset of assets) {
+    try {
+      // current and next window, so recordings span the rollover
+      const windows = await resolveAssetWindows(asset);
+      for (const m of windows.slice(0, 2)) out.push({ asset, ...m });
+    } catch (e) {
+      console.error(`[Recorder] ${asset} discovery ERROR:`, e?.message || e);
+    }
+  }
+  return out;
+}
+
+function startRecorder() {
+  if (!RECORDER_ENABLED) return;
+
+  const sink =
+    RECORDER_SINK === "db" || RECORDER_SINK === "supabase"
+      ? new TableSink({ insertRows: async (rows) => (await db()).bookSnapshots.insert(rows) })
+      : new FileSink({
+          dir: RECORDER_DIR,
+          maxBytes: RECORDER_ROTATE_MB * 1024 * 1024,
+          maxAgeMs: RECORDER_ROTATE_MINUTES * 60 * 1000,
+        });
+
+  recorder = new BookRecorder({
+    sink,
+    discoverMarkets: recorderMarkets,
+    fetchRawBook,
+    fetchMarketBySlug: fetchGammaMarketBySlug,
+    fetchPrice: priceFeed ? (asset) => priceFeed.getPrice(asset) : null,
+    intervalMs: RECORDER_INTERVAL_MS,
+    discoveryMs: RECORDER_DISCOVERY_MS,
+  });
+
+  console.log(`[Recorder] Starting (${RECORDER_SINK}, ${RECORDER_INTERVAL_MS}ms)...`);
+  recorder.start();
+}
+
+// =============================================================================
+// CONTROL
+// =============================================================================
+
+// Cancels our resting orders, everywhere or scoped to an asset / slug, and
+// closes the matching pm_orders rows. Scoped cancels go token by token through
+// the CLOB's cancel-market call; the tokens come from our active orders plus
+// the markets the asset (or slug) currently trades.
+async function cancelAllScoped(client, { asset, slug } = {}, reason = "Cancelled via control API") {
+  const A = asset ? String(asset).toUpperCase() : null;
+  const open = (await getAllActiveOrders()).filter(
+    (o) => (!A || String(o.asset).toUpperCase() === A) && (!slug || o.slug === slug)
+  );
+  const tokens = new Set(open.map((o) => String(o.token_id)));
+
+  if (!A && !slug) {
+    const resp = await client.cancelAll();
+    if (resp?.error) throw new Error(`Cancel-all failed: ${JSON.stringify(resp.error).slice(0, 200)}`);
+  } else {
+    const markets = slug ? [await discovery.bySlug(slug).catch(() => null)] : lifecycle.marketsFor(A);
+    for (const m of markets.filter(Boolean)) tokens.add(String(m.yesTokenId)).add(String(m.noTokenId));
+
+    for (const tokenId of tokens) {
+      const resp = await client.cancelMarketOrders({ asset_id: tokenId });
+      if (resp?.error) throw new Error(`Cancel-market failed for ${tokenId}: ${JSON.stringify(resp.error).slice(0, 200)}`);
+    }
+  }
+
+  for (const o of open) {
+    if (!o.order_id) continue;
+    risk.orderClosed(o.order_id);
+    await updateOrderStatus(o.order_id, "CANCELLED", reason);
+  }
+  metric.ordersCancelled.inc({ reason: "cancel_all" }, open.length);
+  return { scope: slug ? "slug" : A ? "asset" : "all", tokens: [...tokens], orders_cancelled: open.length };
+}
+
+// Sells whatever is held in a market right away: a closeout at full aggression
+// (cancel the slug's orders, FOK into the bid). Token ids come from Gamma, or
+// from our position rows for markets it no longer lists.
+async function flattenMarket(client, { asset, slug }) {
+  let market = await discovery.bySlug(slug).catch(() => null);
+  if (!market) {
+    const rows = (await getAllPositions()).filter((p) => p.asset === asset && p.slug === slug);
+    const yes = rows.find((p) => String(p.outcome).toUpperCase() === "YES");
+    const no = rows.find((p) => String(p.outcome).toUpperCase() === "NO");
+    if (!yes && !no) return { slug, flattened: false, reason: "no_position" };
+    market = { slug, yesTokenId: yes?.token_id, noTokenId: no?.token_id, endDateMs: 0 };
+  }
+
+  const tracked = closeoutMarkets.has(slug);
+  const stats = { orders_placed: 0, orders_cancelled: 0, closeouts: [], skipped: [], errors: [] };
+  await runCloseout(client, { asset, slug, market, secsLeft: 0, stats });
+  // without an end date there's no resolution to wait for
+  if (!tracked && !market.endDateMs) closeoutMarkets.delete(slug);
+
+  return { slug, flattened: true, ...stats };
 }
 
 // =============================================================================
@@ -884,62 +2426,310 @@ function authMiddleware(req, res, next) {
   next();
 }
 
+// Effective global config (per-asset overrides: GET /config?asset=) and the
+// layer each key came from.
 app.get("/version", (req, res) => {
+  const { values, sources } = settings.resolve();
   res.json({
     version: VERSION,
     runnerEnabled: RUNNER_ENABLED,
     runnerIntervalMs: RUNNER_INTERVAL_MS,
-    targetModeEnabled: TARGET_MODE_ENABLED,
-    seedEnabled: SEED_ENABLED,
-    seedFairPrice: SEED_FAIR_PRICE,
-    seedHalfSpreadBps: SEED_HALF_SPREAD_BPS,
-    maxOrdersPerSide: MAX_ORDERS_PER_SIDE,
-    config: CONFIG,
+    targetModeEnabled: values.TARGET_MODE_ENABLED,
+    seedEnabled: values.SEED_ENABLED,
+    paperMode: PAPER_MODE,
+    seedFairPrice: values.SEED_FAIR_PRICE,
+    fairModel: values.FAIR_MODEL,
+    priceFeed: PRICE_FEED || null,
+    marketWs: MARKET_WS_ENABLED ? MARKET_WS_URL : null,
+    userWs: USER_WS_ENABLED ? USER_WS_URL : null,
+    seedHalfSpreadBps: values.SEED_HALF_SPREAD_BPS,
+    maxOrdersPerSide: values.MAX_ORDERS_PER_SIDE,
+    ladderEnabled: values.LADDER_ENABLED,
+    inventorySkew: {
+      enabled: values.INVENTORY_SKEW_ENABLED,
+      riskAversion: values.INV_RISK_AVERSION,
+      maxSkew: values.INV_MAX_SKEW,
+    },
+    config: Object.fromEntries(Object.keys(values).map((key) => [key, { value: values[key], source: sources[key] }])),
+    configPending: settings.pending,
   });
 });
 
 app.get("/health", (req, res) => {
   res.json({
-    ok: !lastRunError,
+    ok: !lastRunError && !risk.tripped && !storageError,
     version: VERSION,
+    storage: { backend: STORAGE_BACKEND, ready: !!storage, error: storageError },
     clientReady: !!clobClient,
     wallet: walletAddress || bootWalletAddress,
-    runnerEnabled: RUNNER_ENABLED,
-    runnerActive: !!runnerInterval,
+    runnerEnabled,
+    runnerActive: scheduler.active,
+    scheduler: scheduler.status(),
+    orders: orderManager.status(),
     runCount,
     lastRunTime: lastRunTime?.toISOString() || null,
     lastRunError,
+    paper: PAPER_MODE && clobClient ? clobClient.summary() : undefined,
+    recorder: recorder ? recorder.status() : undefined,
+    marketData: marketData ? marketData.status() : undefined,
+    userStream: userChannel ? { ...userChannel.status(), ...userStreamStats } : undefined,
+    discovery: discovery.status(),
+    marketMeta: marketMeta.status(),
+    lifecycle: lifecycle.status(),
+    settlement: settlement ? settlement.status() : undefined,
+    risk: risk.status(),
+    config: settings.status(),
+    alerts: alerts.status(),
   });
 });
 
-app.get("/orders", authMiddleware, async (req, res) => {
+// Prometheus scrape (unauthenticated, like /health)
+app.get("/metrics", (req, res) => {
+  refreshScrapeGauges();
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Effective config for ?asset= (global without it); pending is true while
+// patched values wait for the next cycle.
+app.get("/config", authMiddleware, (req, res) => {
+  const asset = req.query.asset ? String(req.query.asset).toUpperCase() : null;
+  const { values, sources } = settings.resolve(asset);
+  const staged = settings.resolve(asset, settings).values;
+  const pending = Object.keys(values).filter((key) => JSON.stringify(values[key]) !== JSON.stringify(staged[key]));
+  res.json({
+    success: true,
+    scope: asset || "*",
+    config: Object.fromEntries(Object.keys(values).map((key) => [key, { value: values[key], source: sources[key] }])),
+    pending: Object.fromEntries(pending.map((key) => [key, staged[key]])),
+    status: settings.status(),
+  });
+});
+
+// ?scope=&key=&limit= (newest first)
+app.get("/config/history", authMiddleware, async (req, res) => {
   try {
-    const client = await initClient();
-    const orders = await client.getOpenOrders();
-    res.json({ success: true, orders });
+    const history = await getConfigHistory({
+      scope: req.query.scope ? String(req.query.scope).toUpperCase() : null,
+      key: req.query.key ? String(req.query.key) : null,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, history });
   } catch (err) {
     res.status(500).json({ success: false, error: err?.message || String(err) });
   }
 });
 
-app.post("/cancel", authMiddleware, async (req, res) => {
+app.get("/orders", authMiddleware, async (req, res) => {
   try {
-    const { orderId } = req.body || {};
-    if (!orderId) return res.status(400).json({ success: false, error: "Missing orderId" });
-
     const client = await initClient();
-    await cancelOrder(client, orderId);
-    res.json({ success: true });
+    const orders = await client.getOpenOrders();
+    res.json({ success: true, orders });
   } catch (err) {
     res.status(500).json({ success: false, error: err?.message || String(err) });
   }
 });
 
+// Control endpoints. Each call writes a pm_audit row (actor, action, params,
+// outcome; migrations/<dialect>/007_audit.sql); the actor is the X-Actor
+// header, since every caller shares WORKER_SECRET. A failed audit write is
+// logged and never fails the action.
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function controlRoute(path, action, handler, method = "post") {
+  app[method](path, authMiddleware, async (req, res) => {
+    const params = { ...(req.body || {}), ...req.params };
+    const actor = String(req.get("x-actor") || "unknown").slice(0, 100);
+    let result = null;
+    let error = null;
+    try {
+      result = (await handler(params, actor)) || {};
+      res.json({ success: true, ...result });
+    } catch (err) {
+      error = err?.message || String(err);
+      res.status(err?.status || 500).json({ success: false, error });
+    }
+
+    console.log(`[Control] ${action} ${JSON.stringify(params)} -> ${error ? `ERROR ${error}` : "ok"}`);
+    try {
+      await insertAudit({
+        actor,
+        ip: req.ip,
+        action,
+        params,
+        success: !error,
+        result,
+        error,
+        created_at: new Date().toISOString(),
+      });
+    } catch (e) {
+      console.error("[Audit] write failed:", e?.message || e);
+    }
+  });
+}
+
+controlRoute("/cancel", "cancel_order", async ({ orderId }) => {
+  if (!orderId) throw httpError(400, "Missing orderId");
+  await cancelOrder(await initClient(), orderId, "control");
+  await updateOrderStatus(orderId, "CANCELLED", "Cancelled via control API");
+  return { orderId };
+});
+
+// Both run in the cycle's slot (after a running cycle ends, before the next
+// starts), so a cycle can't requote a market mid-cancel or rebuy it right
+// after it was flattened.
+// Body: {} for everything, { asset } or { slug } (with its asset) to scope it.
+controlRoute("/cancel-all", "cancel_all", async ({ asset, slug }) => {
+  const client = await initClient();
+  return scheduler.exclusive("cancel_all", () => cancelAllScoped(client, { asset, slug }), { waitMs: SHUTDOWN_TIMEOUT_MS });
+});
+
+controlRoute("/flatten", "flatten", async ({ asset, slug }) => {
+  if (!asset || !slug) throw httpError(400, "Missing asset or slug");
+  const client = await initClient();
+  return scheduler.exclusive("flatten", () => flattenMarket(client, { asset, slug }), { waitMs: SHUTDOWN_TIMEOUT_MS });
+});
+
+controlRoute("/runner/pause", "runner_pause", async () => {
+  runnerEnabled = false;
+  stopRunner();
+  return { runnerEnabled };
+});
+
+controlRoute("/runner/resume", "runner_resume", async () => {
+  if (risk.tripped) throw httpError(409, `Kill switch tripped (${risk.state.reason}); POST /risk/reset first`);
+  runnerEnabled = true;
+  startRunner();
+  return { runnerEnabled, runnerActive: scheduler.active };
+});
+
+// One cycle now, paused or not; refused while another cycle runs.
+controlRoute("/run-once", "run_once", async () => {
+  if (scheduler.running) throw httpError(409, "A cycle is already running");
+  const ran = await scheduler.run("manual", { queue: false });
+  if (!ran) throw httpError(409, risk.tripped ? "Kill switch tripped" : "A cycle is already running");
+  return { runCount, lastRunTime: lastRunTime?.toISOString() || null, lastRunError };
+});
+
+controlRoute("/assets/:asset", "asset_enabled", async ({ asset, enabled }) => {
+  if (typeof enabled !== "boolean") throw httpError(400, "Body needs { enabled: true|false }");
+  const rows = await setAssetEnabled(asset, enabled);
+  if (!rows.length) throw httpError(404, `Unknown asset ${asset}`);
+  return { asset, enabled };
+});
+
+// Body: { values: { KEY: value | null }, scope: "*" | asset, persist }. null
+// drops the override; persist writes pm_config so it survives a restart.
+// Validated all-or-nothing, applied at the start of the next cycle. A failed
+// pm_config write answers 500 naming the keys that were saved before it.
+controlRoute(
+  "/config",
+  "config_patch",
+  async ({ scope, asset, values, persist }, actor) => {
+    return settings.patch({ scope: scope ?? asset ?? "*", values, persist: persist === true, actor });
+  },
+  "patch"
+);
+
+// Sends a test alert through every sink (bypasses dedup).
+controlRoute("/alerts/test", "alerts_test", async ({ message }) => {
+  if (!alerts.enabled) throw httpError(409, "No alert sinks configured");
+  await alerts.notify({
+    key: `test:${Date.now()}`,
+    dedup: false,
+    severity: "info",
+    title: "Test alert",
+    message: String(message || "Alerting works"),
+  });
+  return { alerts: alerts.status() };
+});
+
+// Clears a tripped kill switch and restarts the runner (unless paused).
+controlRoute("/risk/reset", "risk_reset", async () => {
+  await risk.reset();
+  clearAlert("kill_switch", "Kill switch reset");
+  startRunner();
+  return { risk: risk.status() };
+});
+
+// =============================================================================
+// SHUTDOWN
+// =============================================================================
+
+// SIGTERM / SIGINT: no new cycles, the running one gets SHUTDOWN_TIMEOUT_MS to
+// finish (it skips the assets it hasn't reached), and one that doesn't is
+// written to pm_runs as interrupted. With SHUTDOWN_CANCEL_ORDERS every open
+// order is cancelled before exiting. A second signal exits immediately.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.error(`[Shutdown] ${signal} again; exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`[Shutdown] ${signal}: stopping runner...`);
+  setTimeout(() => {
+    console.error("[Shutdown] Timed out; exiting");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS + 15000).unref();
+
+  stopRunner();
+  if (marketData) marketData.stop();
+  if (userChannel) userChannel.stop();
+  if (recorder) recorder.stop();
+
+  let code = 0;
+  const run = currentRun;
+  if (!(await scheduler.idle(SHUTDOWN_TIMEOUT_MS)) && run) {
+    console.error(`[Shutdown] ${run.runId} still running after ${SHUTDOWN_TIMEOUT_MS}ms; recording it as interrupted`);
+    try {
+      await insertRun({
+        run_id: run.runId,
+        started_at: new Date(run.startTime).toISOString(),
+        ended_at: new Date().toISOString(),
+        summary: { ...run.stats, interrupted: signal },
+        errors: [...run.stats.errors, { stage: "shutdown", error: `Interrupted by ${signal}` }],
+      });
+    } catch (e) {
+      console.error("[Shutdown] Run flush failed:", e?.message || e);
+      code = 1;
+    }
+  }
+
+  if (SHUTDOWN_CANCEL_ORDERS) {
+    try {
+      const result = await cancelAllScoped(await initClient(), {}, `Shutdown (${signal})`);
+      console.log(`[Shutdown] Cancelled ${result.orders_cancelled} open orders`);
+    } catch (e) {
+      console.error("[Shutdown] Cancel-all failed:", e?.message || e);
+      code = 1;
+    }
+  }
+
+  server.close();
+  if (storage) await storage.store.close().catch(() => {});
+  console.log("[Shutdown] Done");
+  process.exit(code);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 // =============================================================================
 // STARTUP
 // =============================================================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`[Worker] Listening on port ${PORT}`);
-  startRunner();
+  startMarketData();
+  startUserStream().catch((e) => userStreamError("start", e));
+  // A failed load is retried by the first cycle, which won't trade without it.
+  risk
+    .load()
+    .catch((e) => console.error("[Risk] State load failed:", e?.message || e))
+    .finally(startRunner);
+  startRecorder();
+  startStuckWatchdog();
 });
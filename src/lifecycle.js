@@ -0,0 +1,93 @@
+// Market lifecycle: which windows each asset trades right now.
+//
+// Per asset we track the current window and the one after it:
+//   - current stays current until its end time, even after discovery stops
+//     listing it (the last CLOSEOUT_SECONDS are exactly when we must keep
+//     working it)
+//   - next starts quoting leadSeconds before current enters closeout, so the
+//     book is seeded by the time current stops quoting
+//   - when current ends, next becomes current ("rollover")
+//
+// plan() is synchronous and side-effect free apart from the per-asset state;
+// the worker acts on the markets and transitions it returns.
+
+export class MarketLifecycle {
+  constructor({ closeoutSeconds, leadSeconds = 60 }) {
+    this.closeoutSeconds = closeoutSeconds;
+    this.leadSeconds = leadSeconds;
+    this.assets = new Map(); // ASSET -> { current, next, prepositioned }
+  }
+
+  // windows: candidate markets for the asset ({ slug, endDateMs, ... }), any order.
+  // Returns { markets: [{ market, role, phase, secsLeft }], transitions: [...] }
+  //   role:  "current" | "next"
+  //   phase: "quoting" | "closeout" | "prequote"
+  plan(asset, windows, nowMs = Date.now()) {
+    const key = String(asset).toUpperCase();
+    const state = this.assets.get(key) || { current: null, next: null, prepositioned: false };
+    const transitions = [];
+    const live = (windows || [])
+      .filter((m) => m?.slug && m.endDateMs > nowMs)
+      .sort((a, b) => a.endDateMs - b.endDateMs);
+
+    // Refresh our copy of current from discovery when it's still listed.
+    if (state.current) {
+      const fresh = live.find((m) => m.slug === state.current.slug);
+      if (fresh) state.current = fresh;
+    }
+
+    if (state.current && state.current.endDateMs <= nowMs) {
+      const ended = state.current;
+      const to = state.next && state.next.endDateMs > nowMs ? state.next : live[0] || null;
+      transitions.push({ type: "rollover", asset, from: ended.slug, to: to?.slug || null, ended });
+      state.current = to;
+      state.next = null;
+      state.prepositioned = false;
+    }
+
+    if (!state.current && live.length) {
+      state.current = live[0];
+      transitions.push({ type: "adopt", asset, slug: state.current.slug });
+    }
+
+    const current = state.current;
+    const markets = [];
+
+    if (current) {
+      const secsLeft = Math.max(0, Math.floor((current.endDateMs - nowMs) / 1000));
+      markets.push({ market: current, role: "current", phase: secsLeft <= this.closeoutSeconds ? "closeout" : "quoting", secsLeft });
+
+      state.next = live.find((m) => m.slug !== current.slug && m.endDateMs > current.endDateMs) || null;
+
+      if (state.next && secsLeft <= this.closeoutSeconds + this.leadSeconds) {
+        if (!state.prepositioned) {
+          transitions.push({ type: "preposition", asset, slug: state.next.slug, currentSecsLeft: secsLeft });
+          state.prepositioned = true;
+        }
+        const nextSecs = Math.max(0, Math.floor((state.next.endDateMs - nowMs) / 1000));
+        markets.push({ market: state.next, role: "next", phase: "prequote", secsLeft: nextSecs });
+      }
+    }
+
+    this.assets.set(key, state);
+    return { markets, transitions };
+  }
+
+  // Windows currently tracked for an asset (current first, then next).
+  marketsFor(asset) {
+    const s = this.assets.get(String(asset).toUpperCase());
+    return s ? [s.current, s.next].filter(Boolean) : [];
+  }
+
+  status() {
+    const out = {};
+    for (const [asset, s] of this.assets) {
+      out[asset] = {
+        current: s.current ? { slug: s.current.slug, endDate: new Date(s.current.endDateMs).toISOString() } : null,
+        next: s.next ? { slug: s.next.slug, endDate: new Date(s.next.endDateMs).toISOString() } : null,
+        prepositioned: s.prepositioned,
+      };
+    }
+    return out;
+  }
+}
@@ -0,0 +1,66 @@
+// Logging: level filtering and optional JSON lines on top of the console calls
+// the worker already makes.
+//
+// installConsole() routes console.debug/log/info/warn/error through here:
+//   LOG_LEVEL   debug | info | warn | error (console.log counts as info)
+//   LOG_FORMAT  text (unchanged console output) | json (one object per line)
+//
+// JSON lines carry { ts, level, component, msg, ...context }: component is the
+// first word of the message's leading "[Tag]", context whatever
+// withLogContext() set for the async call chain (the cycle's runId), and an
+// Error argument adds error/stack.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { format } from "node:util";
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with fields attached to every line it logs, awaits included.
+export function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+export function logContext() {
+  return context.getStore() || {};
+}
+
+function jsonLine(level, args) {
+  const msg = format(...args).trim();
+  const line = { ts: new Date().toISOString(), level };
+  const tag = msg.match(/^\[([^\]\s]+)/); // "[Cycle 3]" -> Cycle
+  if (tag) line.component = tag[1];
+  line.msg = msg;
+  Object.assign(line, logContext());
+
+  const err = args.find((a) => a instanceof Error);
+  if (err) {
+    line.error = err.message;
+    line.stack = err.stack;
+  }
+  return JSON.stringify(line);
+}
+
+export function installConsole({ level = "info", format: fmt = "text" } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const json = fmt === "json";
+  const write = {
+    debug: console.debug.bind(console),
+    info: console.log.bind(console),
+    warn: console.warn.bind(console),
+    error: console.error.bind(console),
+  };
+
+  const emit = (lvl) => (...args) => {
+    if (LEVELS[lvl] < min) return;
+    if (json) write[lvl === "error" || lvl === "warn" ? "error" : "info"](jsonLine(lvl, args));
+    else write[lvl](...args);
+  };
+
+  console.debug = emit("debug");
+  console.log = emit("info");
+  console.info = emit("info");
+  console.warn = emit("warn");
+  console.error = emit("error");
+}
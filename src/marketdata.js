@@ -0,0 +1,333 @@
+// Streaming market data.
+//
+// Subscribes to the CLOB market channel for a set of token ids and keeps a
+// local full-depth book per token:
+//   {"event_type":"book", asset_id, bids, asks, timestamp, hash}        -> snapshot
+//   {"event_type":"price_change", price_changes:[{asset_id, price, size, side, hash, best_bid, best_ask}], timestamp}
+//   {"event_type":"price_change", asset_id, changes:[{price, size, side}], hash, timestamp}   (older shape)
+//   {"event_type":"tick_size_change", asset_id, new_tick_size}
+// A level's size is the new total at that price (0 removes it).
+//
+// Consistency checks (any failure marks the book unsynced and queues a REST
+// snapshot via fetchSnapshot):
+//   - sequence: events older than the book's timestamp are dropped; deltas for
+//     a book without a snapshot are a gap
+//   - hash: every book state carries the server's hash of it (sha1 of the
+//     summary JSON, as the clob-client's generateOrderBookSummaryHash). A
+//     snapshot whose hash we reproduce locally turns on the check for that
+//     token: after each delta the local book must hash to the delta's hash, so
+//     a missed update shows up even when it didn't move the top of book.
+//     HASH_MISS_LIMIT mismatches in a row (the server hashing something we
+//     don't reproduce) turn the check off for the token until reconnect.
+//     A snapshot whose hash equals the current one is a no-op.
+//   - top of book: price_change carries the server's best_bid/best_ask after the
+//     change, which must match the local book
+//
+// Books are only served while the socket is connected and synced, so callers
+// fall back to REST when getBook() returns null.
+
+import crypto from "node:crypto";
+import { ReconnectingSocket } from "./socket.js";
+
+const EPS = 1e-9;
+const HASH_MISS_LIMIT = 3;
+
+// The server's book hash: sha1 of the summary's JSON with hash set to "".
+export function summaryHash(summary) {
+  return crypto.createHash("sha1").update(JSON.stringify({ ...summary, hash: "" })).digest("hex");
+}
+
+// price -> { price, size } with the strings as the server sent them (the hash
+// covers them verbatim)
+function levelMap(levels) {
+  return new Map(
+    levels
+      .map((l) => [Number(l.price), { price: String(l.price), size: String(l.size) }])
+      .filter(([p, l]) => p > 0 && Number(l.size) > 0)
+  );
+}
+
+// =============================================================================
+// LOCAL BOOK
+// =============================================================================
+
+export class LocalBook {
+  constructor(tokenId) {
+    this.tokenId = String(tokenId);
+    this.bids = new Map(); // price -> { price, size }
+    this.asks = new Map();
+    this.tickSize = null;
+    this.ts = 0;
+    this.hash = null;
+    this.synced = false;
+    this.updates = 0;
+    this.fields = null; // the last snapshot's fields, in order (what the hash covers)
+    this.hashOk = false; // that snapshot's hash reproduced: deltas' hashes are checked
+    this.hashMisses = 0; // consecutive delta hash mismatches
+    this.hashOff = false; // HASH_MISS_LIMIT reached; back on at reconnect
+  }
+
+  applySnapshot(snap) {
+    const { event_type, ...fields } = snap;
+    this.fields = fields;
+    this.bids = levelMap(fields.bids || []);
+    this.asks = levelMap(fields.asks || []);
+    if (fields.tick_size != null) this.tickSize = Number(fields.tick_size);
+    this.ts = Number(fields.timestamp) || Date.now();
+    this.hash = fields.hash || null;
+    this.hashOk = !this.hashOff && !!this.hash && summaryHash(this.summary()) === this.hash;
+    this.synced = true;
+    this.updates++;
+  }
+
+  applyChange({ side, price, size }) {
+    const levels = String(side).toUpperCase() === "SELL" ? this.asks : this.bids;
+    const p = Number(price);
+    if (!(p > 0)) return;
+    if (Number(size) > 0) levels.set(p, { price: String(price), size: String(size) });
+    else levels.delete(p);
+  }
+
+  setTickSize(tickSize) {
+    this.tickSize = Number(tickSize);
+    if (this.fields && "tick_size" in this.fields) this.fields.tick_size = String(tickSize);
+  }
+
+  // The snapshot's fields (same keys, same order) over the current levels:
+  // bids low to high, asks high to low, as the server lists them.
+  summary(timestamp = this.fields?.timestamp) {
+    const out = {};
+    for (const key of Object.keys(this.fields || { bids: 0, asks: 0 })) out[key] = this.fields?.[key];
+    out.bids = [...this.bids.values()].sort((a, b) => Number(a.price) - Number(b.price));
+    out.asks = [...this.asks.values()].sort((a, b) => Number(b.price) - Number(a.price));
+    if ("timestamp" in out) out.timestamp = timestamp;
+    return out;
+  }
+
+  // A delta left the book at hash: true if it matches (or can't be checked).
+  checkHash(hash, timestamp) {
+    if (!hash || !this.hashOk) return true;
+    if (summaryHash(this.summary(timestamp)) === hash) {
+      this.hashMisses = 0;
+      return true;
+    }
+    if (++this.hashMisses >= HASH_MISS_LIMIT) {
+      this.hashOff = true;
+      this.hashOk = false;
+    }
+    return false;
+  }
+
+  bestBid() {
+    return this.bids.size ? Math.max(...this.bids.keys()) : 0;
+  }
+
+  bestAsk() {
+    return this.asks.size ? Math.min(...this.asks.keys()) : 0;
+  }
+
+  // Same shape as the /book response levels (summarizeBook sorts them).
+  levels() {
+    const toLevels = (m) => [...m.values()].map((l) => ({ ...l }));
+    return { bids: toLevels(this.bids), asks: toLevels(this.asks) };
+  }
+}
+
+// =============================================================================
+// FEED
+// =============================================================================
+
+export class MarketDataFeed {
+  // fetchSnapshot: async (tokenId) => { data } | null   (data is the raw /book response)
+  // onUpdate:      optional (tokenId) => void, called after every applied change
+  // Socket options (WebSocketImpl, pingMs, reconnectMinMs, reconnectMaxMs) go to ReconnectingSocket.
+  constructor({ url, fetchSnapshot, onUpdate = null, ...socketOpts }) {
+    this.url = url;
+    this.fetchSnapshot = fetchSnapshot;
+    this.onUpdate = onUpdate;
+
+    this.assets = new Set();
+    this.books = new Map(); // tokenId -> LocalBook
+    this.resyncing = new Set();
+    this.stats = { snapshots: 0, changes: 0, gaps: 0, hashMismatches: 0, hashDisabled: 0, mismatches: 0, resyncs: 0, lastError: null };
+
+    this.socket = new ReconnectingSocket({
+      name: "MarketData",
+      url,
+      subscribe: () => (this.assets.size ? { type: "market", assets_ids: [...this.assets] } : null),
+      ...socketOpts,
+    });
+    this.socket.on("open", () => {
+      // the server answers the subscription with fresh snapshots
+      for (const id of this.assets) {
+        const b = this.bookFor(id);
+        b.synced = false;
+        b.hashOff = false;
+        b.hashMisses = 0;
+      }
+      console.log(`[MarketData] connected, ${this.assets.size} tokens`);
+    });
+    this.socket.on("events", (events) => {
+      for (const ev of events) this.handle(ev);
+    });
+  }
+
+  start() {
+    this.socket.start();
+  }
+
+  stop() {
+    this.socket.stop();
+  }
+
+  // Replaces the subscribed token set; reconnects when it changed so the new
+  // subscription starts from fresh snapshots.
+  setAssets(tokenIds) {
+    const next = new Set([...tokenIds].filter(Boolean).map(String));
+    const same = next.size === this.assets.size && [...next].every((id) => this.assets.has(id));
+    if (same) return false;
+
+    this.assets = next;
+    for (const id of this.books.keys()) if (!next.has(id)) this.books.delete(id);
+    this.socket.restart();
+    return true;
+  }
+
+  // Local book in /book shape, or null when it can't be trusted right now.
+  getBook(tokenId) {
+    const b = this.books.get(String(tokenId));
+    if (!this.socket.connected || !b?.synced) return null;
+    return { ...b.levels(), tick_size: b.tickSize, timestamp: b.ts, hash: b.hash };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  bookFor(tokenId) {
+    const id = String(tokenId);
+    let b = this.books.get(id);
+    if (!b) {
+      b = new LocalBook(id);
+      this.books.set(id, b);
+    }
+    return b;
+  }
+
+  handle(ev) {
+    const type = ev?.event_type;
+
+    if (type === "book") {
+      if (!this.assets.has(String(ev.asset_id))) return;
+      const b = this.bookFor(ev.asset_id);
+      if (b.synced && Number(ev.timestamp) < b.ts) return;
+      if (b.synced && ev.hash && ev.hash === b.hash) return;
+      b.applySnapshot(ev);
+      this.stats.snapshots++;
+      this.notify(b.tokenId);
+      return;
+    }
+
+    if (type === "price_change") {
+      const ts = Number(ev.timestamp) || Date.now();
+      const changes = ev.price_changes || (ev.changes || []).map((c) => ({ ...c, asset_id: ev.asset_id, hash: ev.hash }));
+
+      const touched = new Map(); // tokenId -> last change (carries best_bid/best_ask)
+      for (const c of changes) {
+        const id = String(c.asset_id);
+        if (!this.assets.has(id)) continue;
+        const b = this.bookFor(id);
+        if (!b.synced) {
+          this.gap(id, "gaps");
+          continue;
+        }
+        if (ts < b.ts) continue;
+        b.applyChange(c);
+        touched.set(id, c);
+        this.stats.changes++;
+      }
+
+      for (const [id, c] of touched) {
+        const b = this.books.get(id);
+        b.ts = ts;
+        b.updates++;
+        if (!b.checkHash(c.hash, ev.timestamp)) {
+          if (b.hashOff) {
+            this.stats.hashDisabled++;
+            console.log(`[MarketData] ${id}: book hashes don't reproduce locally; hash check off until reconnect`);
+          }
+          this.gap(id, "hashMismatches");
+          continue;
+        }
+        b.hash = c.hash || b.hash;
+        if (c.best_bid != null && c.best_ask != null) {
+          const bidOk = Math.abs(b.bestBid() - Number(c.best_bid)) < EPS;
+          const askOk = Math.abs(b.bestAsk() - Number(c.best_ask)) < EPS || (!b.asks.size && !(Number(c.best_ask) > 0 && Number(c.best_ask) < 1));
+          if (!bidOk || !askOk) {
+            this.gap(id, "mismatches");
+            continue;
+          }
+        }
+        this.notify(id);
+      }
+      return;
+    }
+
+    if (type === "tick_size_change") {
+      const b = this.books.get(String(ev.asset_id));
+      if (b && ev.new_tick_size != null) {
+        b.setTickSize(ev.new_tick_size);
+        this.notify(b.tokenId);
+      }
+    }
+  }
+
+  gap(tokenId, counter) {
+    const b = this.bookFor(tokenId);
+    b.synced = false;
+    this.stats[counter]++;
+    this.resync(tokenId);
+  }
+
+  // REST snapshot for a book that lost sync. Deltas that arrive meanwhile are
+  // dropped as gaps; the snapshot supersedes them.
+  async resync(tokenId) {
+    if (this.resyncing.has(tokenId)) return;
+    this.resyncing.add(tokenId);
+    try {
+      const raw = await this.fetchSnapshot(tokenId);
+      if (!raw?.data || !this.assets.has(tokenId)) return;
+      const b = this.bookFor(tokenId);
+      b.applySnapshot(raw.data); // as received: its hash covers the fields verbatim
+      this.stats.resyncs++;
+      this.notify(tokenId);
+    } catch (e) {
+      this.stats.lastError = e?.message || String(e);
+    } finally {
+      this.resyncing.delete(tokenId);
+    }
+  }
+
+  notify(tokenId) {
+    if (!this.onUpdate) return;
+    try {
+      this.onUpdate(tokenId);
+    } catch (e) {
+      this.stats.lastError = e?.message || String(e);
+    }
+  }
+
+  status() {
+    const books = [...this.books.values()];
+    return {
+      running: this.socket.running,
+      connected: this.socket.connected,
+      url: this.url,
+      tokens: this.assets.size,
+      synced: books.filter((b) => b.synced).length,
+      ...this.socket.stats,
+      ...this.stats,
+      lastError: this.stats.lastError || this.socket.stats.lastError,
+    };
+  }
+}
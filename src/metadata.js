@@ -0,0 +1,125 @@
+// Per-token market metadata the CLOB enforces on every order:
+//   { tokenId, tickSize, negRisk, minOrderSize, fetchedAt }
+//
+// - tickSize / negRisk come from the CLOB's /tick-size and /neg-risk and are
+//   cached for ttlMs
+// - /book responses (observeBook) carry tick_size, neg_risk and min_order_size,
+//   so every book fetch refreshes them for free
+// - a tick_size_change goes through setTickSize and fires onTickChange
+// - Gamma's view of the market (hint) fills in whatever the CLOB didn't answer
+//
+// An order signed with the wrong neg-risk flag targets the wrong exchange
+// contract, and prices off the tick grid or sizes under the minimum are
+// rejected, so every order path reads these from here instead of assuming
+// 0.01 / non-neg-risk.
+
+export class MarketMetadata {
+  // onTickChange: (tokenId, fromTick, toTick) => void
+  constructor({ host, ttlMs = 300000, onTickChange = null }) {
+    this.host = host;
+    this.ttlMs = ttlMs;
+    this.onTickChange = onTickChange;
+
+    this.tokens = new Map(); // tokenId -> { tickSize, negRisk, minOrderSize, fetchedAt }
+    this.inflight = new Map(); // tokenId -> Promise
+    this.stats = { fetches: 0, tickChanges: 0, errors: 0, lastError: null };
+  }
+
+  async fetchJson(path, tokenId) {
+    const resp = await fetch(`${this.host}${path}?token_id=${encodeURIComponent(tokenId)}`);
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => "");
+      throw new Error(`${path} not ok status=${resp.status} body=${t.slice(0, 200)}`);
+    }
+    return resp.json();
+  }
+
+  // hint: the market as discovery knows it ({ tickSize, negRisk, minOrderSize }).
+  async get(tokenId, hint = {}, nowMs = Date.now()) {
+    const id = String(tokenId);
+    const cached = this.tokens.get(id);
+    if (cached?.fetchedAt && nowMs - cached.fetchedAt < this.ttlMs) return this.view(id, hint);
+
+    if (!this.inflight.has(id)) {
+      const p = (async () => {
+        const [tick, neg] = await Promise.all([this.fetchJson("/tick-size", id), this.fetchJson("/neg-risk", id)]);
+        this.stats.fetches++;
+        const entry = this.entry(id);
+        entry.negRisk = Boolean(neg?.neg_risk);
+        entry.fetchedAt = Date.now();
+        if (tick?.minimum_tick_size != null) this.setTickSize(id, tick.minimum_tick_size);
+      })().finally(() => this.inflight.delete(id));
+      this.inflight.set(id, p);
+    }
+
+    try {
+      await this.inflight.get(id);
+    } catch (e) {
+      // keep trading on what we knew (or Gamma's view); retried next call
+      this.stats.errors++;
+      this.stats.lastError = e?.message || String(e);
+    }
+    return this.view(id, hint);
+  }
+
+  // Refresh from a /book response (REST or the streamed local book).
+  observeBook(tokenId, data) {
+    if (!data) return;
+    const id = String(tokenId);
+    const entry = this.entry(id);
+    if (data.neg_risk != null) entry.negRisk = Boolean(data.neg_risk);
+    if (data.min_order_size != null && Number(data.min_order_size) > 0) entry.minOrderSize = Number(data.min_order_size);
+    if (data.tick_size != null) this.setTickSize(id, data.tick_size);
+  }
+
+  setTickSize(tokenId, tick) {
+    const id = String(tokenId);
+    const next = Number(tick);
+    if (!(next > 0)) return false;
+
+    const entry = this.entry(id);
+    const prev = entry.tickSize;
+    entry.tickSize = next;
+    if (prev == null || Math.abs(prev - next) < 1e-12) return false;
+
+    this.stats.tickChanges++;
+    console.log(`[Metadata] ${id} tick size ${prev} -> ${next}`);
+    if (this.onTickChange) {
+      try {
+        this.onTickChange(id, prev, next);
+      } catch (e) {
+        this.stats.lastError = e?.message || String(e);
+      }
+    }
+    return true;
+  }
+
+  entry(id) {
+    let e = this.tokens.get(id);
+    if (!e) {
+      e = { tickSize: null, negRisk: null, minOrderSize: null, fetchedAt: 0 };
+      this.tokens.set(id, e);
+    }
+    return e;
+  }
+
+  view(id, hint = {}) {
+    const e = this.tokens.get(id) || {};
+    return {
+      tokenId: id,
+      tickSize: e.tickSize ?? (Number(hint.tickSize) || 0.01),
+      negRisk: e.negRisk ?? Boolean(hint.negRisk),
+      minOrderSize: e.minOrderSize ?? (Number(hint.minOrderSize) || null),
+      fetchedAt: e.fetchedAt || null,
+    };
+  }
+
+  status() {
+    return {
+      tokens: this.tokens.size,
+      ttlMs: this.ttlMs,
+      negRisk: [...this.tokens.values()].filter((e) => e.negRisk).length,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,148 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (0.0.4) for GET /metrics.
+//
+// Label values are whatever the caller passes; keep them bounded (asset,
+// outcome, reason), never order or token ids.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatNumber(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  if (Number.isNaN(v)) return "NaN";
+  return String(v);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, value }
+  }
+
+  key(labels = {}) {
+    return this.labelNames.map((l) => String(labels[l] ?? "")).join("\u0000");
+  }
+
+  get(labels = {}) {
+    const k = this.key(labels);
+    let s = this.series.get(k);
+    if (!s) {
+      s = { labels: Object.fromEntries(this.labelNames.map((l) => [l, String(labels[l] ?? "")])), value: 0 };
+      this.series.set(k, s);
+    }
+    return s;
+  }
+
+  labelString(labels, extra = {}) {
+    const all = { ...labels, ...extra };
+    const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(",")}}` : "";
+  }
+
+  // Drops every series (e.g. per-asset gauges before they are set again).
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const s of this.series.values()) lines.push(`${this.name}${this.labelString(s.labels)} ${formatNumber(s.value)}`);
+    return lines.join("\n");
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, n = 1) {
+    this.get(labels).value += n;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    const s = this.get(labels);
+    s.value = Number(value);
+    s.seen = true;
+  }
+
+  // Drops the series not set since the previous sweep, so labels that went
+  // away (a market that rolled off) stop reporting their last value.
+  sweep() {
+    for (const [k, s] of this.series) {
+      if (!s.seen) this.series.delete(k);
+      else s.seen = false;
+    }
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const s = this.get(labels);
+    if (!s.counts) Object.assign(s, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    this.buckets.forEach((b, i) => {
+      if (value <= b) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const s of this.series.values()) {
+      if (!s.counts) continue;
+      this.buckets.forEach((b, i) => {
+        lines.push(`${this.name}_bucket${this.labelString(s.labels, { le: formatNumber(b) })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${this.labelString(s.labels, { le: "+Inf" })} ${s.count}`);
+      lines.push(`${this.name}_sum${this.labelString(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${this.labelString(s.labels)} ${s.count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.map((m) => m.render()).join("\n") + "\n";
+  }
+}
@@ -0,0 +1,41 @@
+// Applies the pending migrations in migrations/<dialect>/ to the configured
+// SQL backend.
+//
+// Usage:
+//   STORAGE_BACKEND=postgres DATABASE_URL=postgres://... node src/migrate.js
+//   STORAGE_BACKEND=sqlite SQLITE_PATH=./data/worker.db node src/migrate.js
+//
+// SQLite files are also migrated whenever the worker opens them. Supabase is
+// Postgres: point DATABASE_URL at its database, or paste
+// migrations/postgres/*.sql into the SQL editor.
+
+import { pathToFileURL } from "node:url";
+import { PostgresStore, SqliteStore } from "./sqlstore.js";
+
+export async function runMigrations(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "supabase").trim().toLowerCase();
+  let store;
+  if (backend === "postgres") {
+    if (!env.DATABASE_URL) throw new Error("DATABASE_URL is required for STORAGE_BACKEND=postgres");
+    store = await PostgresStore.connect({ connectionString: env.DATABASE_URL.trim() });
+  } else if (backend === "sqlite") {
+    store = await SqliteStore.open({ file: env.SQLITE_PATH?.trim() || undefined, migrate: false });
+  } else {
+    throw new Error(`Nothing to migrate for STORAGE_BACKEND=${backend}; use postgres with DATABASE_URL set to the Supabase database`);
+  }
+
+  try {
+    const applied = await store.migrate();
+    console.log(`[Migrate] ${backend}: ${applied.length ? `applied ${applied.join(", ")}` : "up to date"}`);
+    return applied;
+  } finally {
+    await store.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runMigrations().catch((e) => {
+    console.error("[Migrate] FATAL:", e?.message || e);
+    process.exit(1);
+  });
+}
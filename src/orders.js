@@ -0,0 +1,177 @@
+// Order placement with a durable record, retries and error codes.
+//
+// place() writes the pm_orders row as PENDING (keyed by its client_order_id)
+// before anything reaches the CLOB, then submits:
+//   accepted    -> ACTIVE with the exchange order_id
+//   rejected    -> FAILED, no retry
+//   transient   -> retried with exponential backoff (RATE_LIMITED, EXCEPTION)
+//   ambiguous   -> no answer or a 5xx (NETWORK, SERVER_ERROR): the order may be
+//                  live, so open orders are searched for it before resending;
+//                  found -> ACTIVE. FOK orders never rest, so an ambiguous FOK
+//                  ends UNKNOWN instead of going out twice.
+// An ambiguous failure on the last attempt also ends UNKNOWN, anything else
+// FAILED. last_error holds "<CODE>: <detail>".
+//
+// A crash between submission and the final update leaves the row PENDING
+// without an order_id. Reconciliation looks for PENDING / UNKNOWN orders on
+// the book and in our trades, and attaches what it finds before anything
+// unclaimed is cancelled as an orphan. client_order_id is unique in pm_orders,
+// so the same order can't be recorded twice.
+
+import { setTimeout as sleep } from "node:timers/promises";
+
+// retryable: worth sending again; ambiguous: the order may have landed anyway
+export const ORDER_ERRORS = {
+  INVALID_TICK: { retryable: false },
+  MIN_SIZE: { retryable: false },
+  INSUFFICIENT_BALANCE: { retryable: false },
+  FOK_UNFILLED: { retryable: false },
+  RISK_LIMIT: { retryable: false },
+  REJECTED: { retryable: false },
+  RATE_LIMITED: { retryable: true },
+  EXCEPTION: { retryable: true }, // thrown before the POST (the CLOB client returns HTTP failures)
+  NETWORK: { retryable: true, ambiguous: true },
+  SERVER_ERROR: { retryable: true, ambiguous: true },
+};
+
+const PATTERNS = [
+  ["RATE_LIMITED", /rate limit|too many requests/i],
+  ["INVALID_TICK", /tick size|invalid price/i],
+  ["MIN_SIZE", /lower than the minimum|below (the )?(market )?minimum|minimum (order )?size|invalid size/i],
+  ["INSUFFICIENT_BALANCE", /not enough balance|allowance|insufficient/i],
+  ["FOK_UNFILLED", /fully filled or killed|couldn't be fully filled/i],
+];
+
+function errorText(e) {
+  if (e == null) return "";
+  if (typeof e === "string") return e;
+  if (e instanceof Error) return e.message;
+  return JSON.stringify(e);
+}
+
+// A createAndPostOrder outcome -> { code, message }. resp is the response, or
+// { thrown } when the call threw.
+export function classifyOrderError(resp) {
+  const thrown = resp?.thrown;
+  const message = errorText(thrown ?? resp?.error ?? resp?.errorMsg ?? resp).slice(0, 300);
+  const status = Number(resp?.status) || 0;
+
+  if (status === 429) return { code: "RATE_LIMITED", message };
+  for (const [code, re] of PATTERNS) if (re.test(message)) return { code, message };
+  if (thrown) return { code: "EXCEPTION", message };
+  if (status >= 500) return { code: "SERVER_ERROR", message };
+  if (!status && resp?.error) return { code: "NETWORK", message };
+  return { code: "REJECTED", message };
+}
+
+export function formatOrderError({ code, message }) {
+  return `${code}: ${message}`.slice(0, 300);
+}
+
+// A live order on the token with the row's side, price and size that no
+// pm_orders row claims: an earlier attempt that landed after all.
+// claimed: async (orderIds) => the pm_orders rows holding any of them.
+export async function findLandedOrder(client, row, claimed) {
+  const open = await client.getOpenOrders({ asset_id: String(row.token_id) });
+  if (!Array.isArray(open)) throw new Error(`getOpenOrders failed: ${JSON.stringify(open?.error ?? open).slice(0, 200)}`);
+  const matches = open.filter(
+    (o) =>
+      String(o.side).toUpperCase() === row.side &&
+      Math.abs(Number(o.price) - row.price) < 1e-9 &&
+      Math.abs(Number(o.original_size) - row.size) < 1e-6
+  );
+  if (!matches.length) return null;
+  const known = new Set((await claimed(matches.map((o) => String(o.id)))).map((r) => String(r.order_id)));
+  return matches.find((o) => !known.has(String(o.id)))?.id || null;
+}
+
+export class OrderManager {
+  // insertRow:   async (row) => void                    the PENDING / FAILED record
+  // patchRow:    async (clientOrderId, patch) => void
+  // findLanded:  async (row) => orderId | null          a live exchange order matching row we don't track yet
+  // onRetry:     ({ row, attempt, code }) => void
+  // onAmbiguous: ({ row, found }) => void
+  constructor({ insertRow, patchRow, findLanded, maxAttempts = 3, baseDelayMs = 250, maxDelayMs = 2000, onRetry = () => {}, onAmbiguous = () => {} }) {
+    this.insertRow = insertRow;
+    this.patchRow = patchRow;
+    this.findLanded = findLanded;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.onRetry = onRetry;
+    this.onAmbiguous = onAmbiguous;
+    this.stats = { placed: 0, failed: 0, unknown: 0, retries: 0, recovered: 0 };
+  }
+
+  // Full jitter: anywhere up to base * 2^(attempt - 1), capped.
+  delay(attempt) {
+    return Math.round(Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1)));
+  }
+
+  // Records an order refused before submission (market minimum, risk).
+  async reject(row, code, message) {
+    const error = { code, message };
+    await this.insertRow({ ...row, status: "FAILED", order_id: null, last_error: formatOrderError(error) });
+    this.stats.failed++;
+    return { orderId: null, status: "FAILED", error, attempts: 0 };
+  }
+
+  // submit: async () => createAndPostOrder response. Throws only if the
+  // PENDING row can't be written (nothing is sent then).
+  async place(row, submit) {
+    await this.insertRow({ ...row, status: "PENDING", order_id: null, last_error: null });
+
+    let error = null;
+    let attempt = 0;
+    while (attempt < this.maxAttempts) {
+      attempt++;
+      let resp;
+      try {
+        resp = await submit();
+      } catch (e) {
+        resp = { thrown: e };
+      }
+
+      const orderId = resp && !resp.thrown && !resp.error ? resp.orderID || resp.order_id || resp.id || null : null;
+      if (orderId) return this.settle(row, "ACTIVE", orderId, null, attempt);
+
+      error = classifyOrderError(resp);
+      const kind = ORDER_ERRORS[error.code];
+
+      if (kind.ambiguous) {
+        const found = row.order_type === "FOK" ? null : await this.findLanded(row).catch(() => null);
+        this.onAmbiguous({ row, found: !!found });
+        if (found) {
+          this.stats.recovered++;
+          return this.settle(row, "ACTIVE", found, null, attempt);
+        }
+        if (row.order_type === "FOK") return this.settle(row, "UNKNOWN", null, error, attempt);
+      }
+
+      if (!kind.retryable || attempt >= this.maxAttempts) break;
+      this.stats.retries++;
+      this.onRetry({ row, attempt, code: error.code });
+      await sleep(this.delay(attempt));
+    }
+
+    return this.settle(row, ORDER_ERRORS[error.code].ambiguous ? "UNKNOWN" : "FAILED", null, error, attempt);
+  }
+
+  async settle(row, status, orderId, error, attempts) {
+    if (status === "ACTIVE") this.stats.placed++;
+    else if (status === "UNKNOWN") this.stats.unknown++;
+    else this.stats.failed++;
+
+    try {
+      await this.patchRow(row.client_order_id, { status, order_id: orderId, last_error: error ? formatOrderError(error) : null });
+    } catch (e) {
+      // the order stands either way; the row stays PENDING for reconciliation
+      console.error(`[Orders] ${row.client_order_id} -> ${status} not recorded:`, e?.message || e);
+    }
+    return { orderId, status, error, attempts };
+  }
+
+  status() {
+    return { maxAttempts: this.maxAttempts, baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs, ...this.stats };
+  }
+}
@@ -0,0 +1,370 @@
+// Paper trading: an in-process stand-in for ClobClient.
+//
+// Implements the part of the ClobClient surface the worker uses
+// (createAndPostOrder, cancelOrder, cancelOrders, cancelAll, cancelMarketOrders,
+// getOpenOrders, getOrder, getTrades) and answers in the same shapes, including
+// failures reported as { error, status } instead of thrown exceptions.
+//
+// Matching:
+// - On placement an order that crosses the last seen book takes liquidity at the
+//   book price (top level only). FOK orders that can't fully fill are killed.
+// - Resting orders are matched against every later snapshot pushed via onBook():
+//   a BUY fills when the best ask is at or below its price, a SELL when the best
+//   bid is at or above it. Maker fills happen at our limit price and are capped by
+//   the top-of-book size, shared across our orders best price first.
+//
+// Balances are simulated: BUYs reserve cash, SELLs need unreserved shares, the
+// same way the exchange rejects orders with "not enough balance / allowance".
+//
+// Matching and balances only walk the LIVE orders (this.live). MATCHED and
+// CANCELED orders stay answerable through getOrder() for as long as trades are
+// kept (tradeRetentionSec), then they are dropped too.
+
+const EPS = 1e-9;
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+export class PaperExchange {
+  // tradeRetentionSec: trades and finished orders older than this are dropped
+  // as new ones come in (the worker passes its fill lookback); 0 keeps them all.
+  constructor({ address, startingCash = 1000, now = () => Date.now(), tradeRetentionSec = 0 } = {}) {
+    this.address = String(address || "0xpaper").toLowerCase();
+    this.startingCash = Number(startingCash);
+    this.cash = Number(startingCash);
+    this.now = now;
+    this.tradeRetentionSec = Number(tradeRetentionSec) || 0;
+
+    this.orders = new Map(); // id -> order
+    this.live = new Map(); // id -> order, LIVE ones only
+    this.finished = []; // { id, at }: MATCHED / CANCELED orders, oldest first
+    this.positions = new Map(); // tokenId -> shares
+    this.books = new Map(); // tokenId -> last snapshot
+    this.trades = [];
+    this.seq = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Market data
+  // ---------------------------------------------------------------------------
+
+  onBook(tokenId, book) {
+    if (!book || book.stale) return [];
+    const id = String(tokenId);
+    this.books.set(id, book);
+    return this.matchResting(id, book);
+  }
+
+  matchResting(tokenId, book) {
+    const fills = [];
+    const resting = [...this.live.values()].filter((o) => o.tokenId === tokenId);
+
+    let askAvail = Number(book.askSize || 0);
+    const buys = resting.filter((o) => o.side === "BUY").sort((a, b) => b.price - a.price);
+    for (const o of buys) {
+      if (!(book.bestAsk > 0 && book.bestAsk < 1) || book.bestAsk > o.price + EPS || askAvail <= EPS) break;
+      const qty = round2(Math.min(o.size - o.matched, askAvail));
+      if (qty <= 0) continue;
+      askAvail -= qty;
+      fills.push(this.fill(o, qty, o.price, "MAKER"));
+    }
+
+    let bidAvail = Number(book.bidSize || 0);
+    const sells = resting.filter((o) => o.side === "SELL").sort((a, b) => a.price - b.price);
+    for (const o of sells) {
+      if (!(book.bestBid > 0) || book.bestBid + EPS < o.price || bidAvail <= EPS) break;
+      const qty = round2(Math.min(o.size - o.matched, bidAvail));
+      if (qty <= 0) continue;
+      bidAvail -= qty;
+      fills.push(this.fill(o, qty, o.price, "MAKER"));
+    }
+
+    return fills;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Balances
+  // ---------------------------------------------------------------------------
+
+  sharesOf(tokenId) {
+    return this.positions.get(String(tokenId)) || 0;
+  }
+
+  reservedCash() {
+    let r = 0;
+    for (const o of this.live.values()) {
+      if (o.side === "BUY") r += (o.size - o.matched) * o.price;
+    }
+    return r;
+  }
+
+  reservedShares(tokenId) {
+    let r = 0;
+    for (const o of this.live.values()) {
+      if (o.side === "SELL" && o.tokenId === tokenId) r += o.size - o.matched;
+    }
+    return r;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Orders
+  // ---------------------------------------------------------------------------
+
+  async createAndPostOrder(userOrder, options = {}, orderType = "GTC") {
+    const tokenId = String(userOrder.tokenID);
+    const side = String(userOrder.side).toUpperCase() === "SELL" ? "SELL" : "BUY";
+    const price = Number(userOrder.price);
+    const size = round2(Number(userOrder.size));
+    const type = String(orderType).toUpperCase() === "FOK" ? "FOK" : "GTC";
+    const tick = Number(options.tickSize) || 0.01;
+
+    if (!(price > 0 && price < 1)) return { error: `invalid price (${price})`, status: 400 };
+    if (Math.abs(price / tick - Math.round(price / tick)) > 1e-6) {
+      return { error: `invalid price (${price}), min tick size: ${tick}`, status: 400 };
+    }
+    if (!(size > 0)) return { error: `invalid size (${size})`, status: 400 };
+
+    if (side === "BUY" && this.cash - this.reservedCash() + EPS < price * size) {
+      return { error: "not enough balance / allowance", status: 400 };
+    }
+    if (side === "SELL" && this.sharesOf(tokenId) - this.reservedShares(tokenId) + EPS < size) {
+      return { error: "not enough balance / allowance", status: 400 };
+    }
+
+    const book = this.books.get(tokenId);
+    const crossQty = book ? this.crossableQty(side, price, book) : 0;
+    const takeQty = round2(Math.min(size, crossQty));
+
+    if (type === "FOK" && takeQty + EPS < size) {
+      return {
+        error: "order couldn't be fully filled. FOK orders are fully filled or killed.",
+        status: 400,
+      };
+    }
+
+    const id = `paper_${this.now()}_${++this.seq}`;
+    const order = {
+      id,
+      tokenId,
+      side,
+      price,
+      size,
+      matched: 0,
+      type,
+      status: "LIVE",
+      createdAt: Math.floor(this.now() / 1000),
+    };
+    this.orders.set(id, order);
+    this.live.set(id, order);
+
+    if (takeQty > 0) this.fill(order, takeQty, side === "BUY" ? book.bestAsk : book.bestBid, "TAKER");
+    if (type === "FOK" && order.status === "LIVE") this.finish(order, "CANCELED");
+
+    return {
+      success: true,
+      errorMsg: "",
+      orderID: id,
+      status: order.status === "MATCHED" ? "matched" : "live",
+      transactionsHashes: [],
+    };
+  }
+
+  crossableQty(side, price, book) {
+    if (side === "BUY") return book.bestAsk > 0 && book.bestAsk < 1 && book.bestAsk <= price + EPS ? book.askSize : 0;
+    return book.bestBid > 0 && book.bestBid + EPS >= price ? book.bidSize : 0;
+  }
+
+  fill(order, qty, price, traderSide) {
+    order.matched = round2(order.matched + qty);
+    if (order.matched + EPS >= order.size) this.finish(order, "MATCHED");
+
+    const held = this.sharesOf(order.tokenId);
+    if (order.side === "BUY") {
+      this.cash -= qty * price;
+      this.positions.set(order.tokenId, held + qty);
+    } else {
+      this.cash += qty * price;
+      this.positions.set(order.tokenId, held - qty);
+    }
+
+    const matchTime = String(Math.floor(this.now() / 1000));
+    const trade = {
+      id: `paper_trade_${++this.seq}`,
+      market: "",
+      asset_id: order.tokenId,
+      side: order.side,
+      size: String(qty),
+      price: String(price),
+      status: "CONFIRMED",
+      match_time: matchTime,
+      last_update: matchTime,
+      outcome: "",
+      maker_address: this.address,
+      trader_side: traderSide,
+      taker_order_id: traderSide === "TAKER" ? order.id : "",
+      maker_orders:
+        traderSide === "MAKER"
+          ? [
+              {
+                order_id: order.id,
+                maker_address: this.address,
+                matched_amount: String(qty),
+                price: String(price),
+                asset_id: order.tokenId,
+                side: order.side,
+                outcome: "",
+              },
+            ]
+          : [],
+    };
+    this.trades.push(trade);
+    this.pruneTrades(Number(matchTime));
+    return trade;
+  }
+
+  // trades are appended in match order, so the expired ones are a prefix
+  pruneTrades(nowSec) {
+    if (!this.tradeRetentionSec) return;
+    const cutoff = nowSec - this.tradeRetentionSec;
+    const keep = this.trades.findIndex((t) => Number(t.match_time) >= cutoff);
+    if (keep > 0) this.trades.splice(0, keep);
+  }
+
+  finish(order, status) {
+    order.status = status;
+    this.live.delete(order.id);
+    const nowSec = Math.floor(this.now() / 1000);
+    this.finished.push({ id: order.id, at: nowSec });
+    this.pruneOrders(nowSec);
+  }
+
+  // same as trades: finished orders are recorded in order, expired ones first
+  pruneOrders(nowSec) {
+    if (!this.tradeRetentionSec) return;
+    const cutoff = nowSec - this.tradeRetentionSec;
+    let n = 0;
+    while (n < this.finished.length && this.finished[n].at < cutoff) this.orders.delete(this.finished[n++].id);
+    if (n) this.finished.splice(0, n);
+  }
+
+  async cancelOrder({ orderID }) {
+    return this.cancelOrders([orderID]);
+  }
+
+  async cancelOrders(ids) {
+    const canceled = [];
+    const not_canceled = {};
+    for (const id of ids) {
+      const o = this.orders.get(String(id));
+      if (!o) not_canceled[id] = "order not found";
+      else if (o.status !== "LIVE") not_canceled[id] = "order already matched or canceled";
+      else {
+        this.finish(o, "CANCELED");
+        canceled.push(id);
+      }
+    }
+    return { canceled, not_canceled };
+  }
+
+  async cancelAll() {
+    return this.cancelOrders([...this.live.keys()]);
+  }
+
+  async cancelMarketOrders({ asset_id } = {}) {
+    return this.cancelOrders(
+      [...this.live.values()]
+        .filter((o) => !asset_id || o.tokenId === String(asset_id))
+        .map((o) => o.id)
+    );
+  }
+
+  toOpenOrder(o) {
+    return {
+      id: o.id,
+      status: o.status,
+      owner: "paper",
+      maker_address: this.address,
+      market: "",
+      asset_id: o.tokenId,
+      side: o.side,
+      original_size: String(o.size),
+      size_matched: String(o.matched),
+      price: String(o.price),
+      associate_trades: [],
+      outcome: "",
+      created_at: o.createdAt,
+      expiration: "0",
+      order_type: o.type,
+    };
+  }
+
+  async getOpenOrders(params = {}) {
+    return [...this.live.values()]
+      .filter((o) => !params.asset_id || o.tokenId === String(params.asset_id))
+      .map((o) => this.toOpenOrder(o));
+  }
+
+  async getOrder(orderID) {
+    const o = this.orders.get(String(orderID));
+    return o ? this.toOpenOrder(o) : { error: "order not found", status: 404 };
+  }
+
+  async getTrades(params = {}) {
+    const after = Number(params.after || 0);
+    return this.trades.filter(
+      (t) => Number(t.match_time) >= after && (!params.asset_id || t.asset_id === String(params.asset_id))
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Settlement (what the CTF contract does on chain)
+  // ---------------------------------------------------------------------------
+
+  // Redeem every share of a resolved token at its payout (1 or 0).
+  redeem(tokenId, payout) {
+    const id = String(tokenId);
+    const shares = this.sharesOf(id);
+    this.cash += shares * payout;
+    this.positions.set(id, 0);
+    return shares;
+  }
+
+  // Merge YES+NO pairs back into collateral, $1 per pair.
+  merge(yesTokenId, noTokenId, pairs) {
+    const yes = String(yesTokenId);
+    const no = String(noTokenId);
+    const n = round2(Math.min(pairs, this.sharesOf(yes), this.sharesOf(no)));
+    if (!(n > 0)) return 0;
+    this.positions.set(yes, this.sharesOf(yes) - n);
+    this.positions.set(no, this.sharesOf(no) - n);
+    this.cash += n;
+    return n;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reporting
+  // ---------------------------------------------------------------------------
+
+  // Marks positions at the last seen best bid (what we could sell into).
+  summary() {
+    let markValue = 0;
+    const positions = [];
+    for (const [tokenId, shares] of this.positions) {
+      if (Math.abs(shares) < EPS) continue;
+      const mark = Number(this.books.get(tokenId)?.bestBid || 0);
+      markValue += shares * mark;
+      positions.push({ tokenId, shares: round2(shares), mark });
+    }
+
+    return {
+      cash: Number(this.cash.toFixed(4)),
+      reservedCash: Number(this.reservedCash().toFixed(4)),
+      equity: Number((this.cash + markValue).toFixed(4)),
+      pnl: Number((this.cash + markValue - this.startingCash).toFixed(4)),
+      openOrders: this.live.size,
+      trades: this.trades.length,
+      positions,
+    };
+  }
+}
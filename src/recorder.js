@@ -0,0 +1,304 @@
+// Order book recorder.
+//
+// Polls full-depth books for every tracked market at a fixed cadence and writes
+// them as JSONL events (the format src/backtest.js replays):
+//   {"type":"market", asset, slug, yesTokenId, noTokenId, endDateMs, tickSize, negRisk}
+//   {"type":"book", ts, asset, slug, tokenId, outcome, bids, asks, tickSize, minOrderSize, hash, serverTs, fetchMs}
+//   {"type":"resolution", ts, asset, slug, winner, outcomePrices}
+//   {"type":"price", ts, asset, price}   (underlying, when a price feed is configured)
+//
+// Markets come from a discovery callback (the worker passes resolveActiveMarket
+// per asset). A market is recorded until its end time, then polled for its
+// outcome until resolved (or RESOLUTION_TIMEOUT) and dropped.
+//
+// Sinks: FileSink (gzip JSONL, rotated by size/age; every file starts with the
+// market headers it needs; a filesystem error disables it rather than taking
+// the worker down) and TableSink (rows in pm_book_snapshots,
+// migrations/<dialect>/003_book_snapshots.sql, through whichever storage
+// backend the worker uses).
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { winnerFromOutcomePrices } from "./discovery.js";
+
+// =============================================================================
+// SINKS
+// =============================================================================
+
+function stamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+export class FileSink {
+  constructor({ dir, prefix = "books", maxBytes = 64 * 1024 * 1024, maxAgeMs = 60 * 60 * 1000 } = {}) {
+    this.dir = dir;
+    this.prefix = prefix;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.stream = null;
+    this.file = null;
+    this.bytes = 0;
+    this.openedAt = 0;
+    this.disabled = null; // reason, once a write error stopped the sink
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+    } catch (e) {
+      this.disable(e);
+    }
+  }
+
+  disable(e) {
+    if (this.disabled) return;
+    this.disabled = `${this.file || this.dir}: ${e?.message || e}`;
+    console.error(`[Recorder] file sink disabled: ${this.disabled}`);
+    this.stream?.destroy();
+    this.stream = null;
+  }
+
+  // Returns true when a new file was started (caller re-emits headers).
+  rotateIfNeeded(now = Date.now()) {
+    if (this.disabled) return false;
+    if (this.stream && this.bytes < this.maxBytes && now - this.openedAt < this.maxAgeMs) return false;
+    this.close();
+
+    this.file = path.join(this.dir, `${this.prefix}-${stamp(now)}.jsonl.gz`);
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(this.file);
+    // Unhandled, either 'error' would crash the process. A file that fails
+    // after rotation has already been closed, so only the current one counts.
+    const onError = (e) => {
+      if (this.stream === gzip) this.disable(e);
+      else console.error(`[Recorder] error closing previous file: ${e?.message || e}`);
+    };
+    gzip.on("error", onError);
+    out.on("error", onError);
+    gzip.pipe(out);
+    this.stream = gzip;
+    this.bytes = 0;
+    this.openedAt = now;
+    console.log(`[Recorder] writing ${this.file}`);
+    return true;
+  }
+
+  async write(events) {
+    if (!this.stream) this.rotateIfNeeded();
+    if (this.disabled) return;
+    for (const ev of events) {
+      const line = JSON.stringify(ev) + "\n";
+      this.bytes += Buffer.byteLength(line);
+      this.stream.write(line);
+    }
+  }
+
+  close() {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+  }
+}
+
+// insertRows: async (rows) => void, e.g. the storage bookSnapshots repository
+export class TableSink {
+  constructor({ insertRows }) {
+    this.insertRows = insertRows;
+  }
+
+  rotateIfNeeded() {
+    return false;
+  }
+
+  async write(events) {
+    if (!events.length) return;
+    await this.insertRows(
+      events.map((ev) => ({
+        ts: new Date(ev.ts || Date.now()).toISOString(),
+        type: ev.type,
+        asset: ev.asset || null,
+        slug: ev.slug || null,
+        token_id: ev.tokenId || null,
+        payload: ev,
+      }))
+    );
+  }
+
+  close() {}
+}
+
+// =============================================================================
+// RECORDER
+// =============================================================================
+
+export class BookRecorder {
+  // discoverMarkets: async () => [{ asset, slug, yesTokenId, noTokenId, endDateMs, tickSize, negRisk }]
+  // fetchRawBook:    async (tokenId) => { data, fetchMs } | null   (data is the raw /book response)
+  // fetchMarketBySlug: async (slug) => Gamma market object | null
+  // fetchPrice:      optional async (asset) => { ts, price } | null
+  constructor({
+    sink,
+    discoverMarkets,
+    fetchRawBook,
+    fetchMarketBySlug,
+    fetchPrice = null,
+    intervalMs = 2000,
+    discoveryMs = 30000,
+    resolutionPollMs = 30000,
+    resolutionTimeoutMs = 60 * 60 * 1000,
+  }) {
+    this.sink = sink;
+    this.discoverMarkets = discoverMarkets;
+    this.fetchRawBook = fetchRawBook;
+    this.fetchMarketBySlug = fetchMarketBySlug;
+    this.fetchPrice = fetchPrice;
+    this.lastPriceTs = new Map(); // asset -> ts of last recorded price sample
+    this.intervalMs = intervalMs;
+    this.discoveryMs = discoveryMs;
+    this.resolutionPollMs = resolutionPollMs;
+    this.resolutionTimeoutMs = resolutionTimeoutMs;
+
+    this.markets = new Map(); // slug -> { market, lastResolutionPoll }
+    this.lastDiscovery = 0;
+    this.timer = null;
+    this.busy = false;
+    this.stats = { ticks: 0, snapshots: 0, errors: 0, resolved: 0, lastError: null };
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = () => {
+      if (this.busy) return;
+      this.busy = true;
+      this.tick()
+        .catch((e) => {
+          this.stats.errors++;
+          this.stats.lastError = e?.message || String(e);
+          console.error("[Recorder] ERROR:", this.stats.lastError);
+        })
+        .finally(() => {
+          this.busy = false;
+        });
+    };
+    tick();
+    this.timer = setInterval(tick, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.sink.close();
+  }
+
+  marketEvent({ asset, slug, yesTokenId, noTokenId, endDateMs, tickSize, negRisk }) {
+    return { type: "market", ts: Date.now(), asset, slug, yesTokenId, noTokenId, endDateMs, tickSize, negRisk };
+  }
+
+  async tick(now = Date.now()) {
+    if (this.sink.disabled) {
+      this.stats.lastError = `sink disabled: ${this.sink.disabled}`;
+      return;
+    }
+    this.stats.ticks++;
+    const events = [];
+
+    if (this.sink.rotateIfNeeded(now)) {
+      for (const { market } of this.markets.values()) events.push(this.marketEvent(market));
+    }
+
+    // ---- discovery ----
+    if (now - this.lastDiscovery >= this.discoveryMs) {
+      this.lastDiscovery = now;
+      const found = (await this.discoverMarkets()) || [];
+      for (const m of found) {
+        if (!m?.slug || this.markets.has(m.slug)) continue;
+        this.markets.set(m.slug, { market: m, lastResolutionPoll: 0 });
+        events.push(this.marketEvent(m));
+        console.log(`[Recorder] tracking ${m.asset} ${m.slug} until ${new Date(m.endDateMs).toISOString()}`);
+      }
+    }
+
+    // ---- underlying prices ----
+    if (this.fetchPrice) {
+      const assets = new Set([...this.markets.values()].map((e) => e.market.asset));
+      for (const asset of assets) {
+        const sample = await this.fetchPrice(asset).catch(() => null);
+        if (!sample || sample.ts === this.lastPriceTs.get(asset)) continue;
+        this.lastPriceTs.set(asset, sample.ts);
+        events.push({ type: "price", ts: sample.ts, asset, price: sample.price });
+      }
+    }
+
+    // ---- books / resolution ----
+    for (const [slug, entry] of this.markets) {
+      const m = entry.market;
+
+      if (!m.endDateMs || now < m.endDateMs) {
+        for (const [tokenId, outcome] of [
+          [m.yesTokenId, "YES"],
+          [m.noTokenId, "NO"],
+        ]) {
+          let raw;
+          try {
+            raw = await this.fetchRawBook(tokenId);
+          } catch (e) {
+            // one bad book shouldn't cost the rest of the tick
+            this.stats.errors++;
+            this.stats.lastError = `${slug} ${outcome}: ${e?.message || e}`;
+            continue;
+          }
+          if (!raw?.data) continue;
+          const d = raw.data;
+          events.push({
+            type: "book",
+            ts: Date.now(),
+            asset: m.asset,
+            slug,
+            tokenId,
+            outcome,
+            bids: d.bids || [],
+            asks: d.asks || [],
+            tickSize: Number(d.tick_size) || m.tickSize || 0.01,
+            minOrderSize: d.min_order_size != null ? Number(d.min_order_size) : null,
+            hash: d.hash || null,
+            serverTs: d.timestamp || null,
+            fetchMs: raw.fetchMs,
+          });
+          this.stats.snapshots++;
+        }
+        continue;
+      }
+
+      if (now - entry.lastResolutionPoll < this.resolutionPollMs) continue;
+      entry.lastResolutionPoll = now;
+
+      const g = await this.fetchMarketBySlug(slug).catch(() => null);
+      const winner = g?.closed ? winnerFromOutcomePrices(g.outcomePrices) : null;
+      const timedOut = now - m.endDateMs > this.resolutionTimeoutMs;
+
+      if (winner || timedOut) {
+        events.push({
+          type: "resolution",
+          ts: now,
+          asset: m.asset,
+          slug,
+          winner,
+          outcomePrices: g?.outcomePrices ?? null,
+          timedOut: !winner,
+        });
+        this.markets.delete(slug);
+        this.stats.resolved++;
+        console.log(`[Recorder] ${slug} resolved winner=${winner || "unknown"}`);
+      }
+    }
+
+    if (events.length) await this.sink.write(events);
+  }
+
+  status() {
+    return {
+      running: !!this.timer,
+      markets: [...this.markets.keys()],
+      file: this.sink.file || null,
+      sinkDisabled: this.sink.disabled || null,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,354 @@
+// Portfolio risk: mark-to-market exposure, daily loss and drawdown limits, an
+// order-rate limit, the pre-trade check and the kill switch.
+//
+// PnL is cumulative over every pm_positions row: realized_pnl plus open shares
+// marked to market. Matched YES/NO pairs are worth $1 (they merge), the rest is
+// marked at the token's last two-sided mid, or at cost until a book was seen.
+// Daily PnL is that figure minus its value at the first evaluation of the UTC
+// day; drawdown is the distance from its running peak.
+//
+// Breaching MAX_DAILY_LOSS_USD or MAX_DRAWDOWN_USD trips the kill switch:
+// onTrip cancels everything and stops the runner, and the tripped state is
+// persisted so a restart stays halted until reset(). A save that still fails
+// after its retries throws, failing the cycle; the state stays marked unsaved
+// and the next evaluate() writes it again. Breaches (limits and rejected
+// orders) queue up for the cycle's pm_runs.errors via drainBreaches().
+//
+// The pre-trade caps count resting BUY orders at their unfilled notional on
+// top of the positions: setOpenOrders() loads them each cycle, orderOpened()
+// and orderClosed() follow the cycle's own placements and cancels. Fills
+// within a cycle count twice (as shares and as resting) until the next reload.
+//
+// Limits set to 0 are off.
+
+import { marketExposure } from "./strategy.js";
+import { isMissingTable } from "./storage.js";
+
+const RATE_WINDOW_MS = 60000;
+
+// positions: pm_positions rows; marks: tokenId -> price.
+// Returns { pnl, realizedPnl, unrealizedPnl, totalUsd, byAsset, tokens } where
+// tokens is tokenId -> { asset, slug, shares, mark, exposureUsd, otherTokenId }.
+export function markToMarket(positions, marks = new Map()) {
+  const markets = new Map();
+  let realizedPnl = 0;
+  for (const p of positions) {
+    realizedPnl += Number(p.realized_pnl || 0);
+    const key = `${p.asset}|${p.slug}`;
+    const m = markets.get(key) || { asset: p.asset, slug: p.slug };
+    if (String(p.outcome).toUpperCase() === "NO") m.no = p;
+    else m.yes = p;
+    markets.set(key, m);
+  }
+
+  let unrealizedPnl = 0;
+  let totalUsd = 0;
+  const byAsset = new Map();
+  const tokens = new Map();
+
+  for (const { asset, slug, yes, no } of markets.values()) {
+    const e = marketExposure(yes, no);
+    unrealizedPnl += e.lockedPnl;
+
+    for (const [pos, other] of [
+      [yes, no],
+      [no, yes],
+    ]) {
+      if (!pos) continue;
+      const shares = Math.max(0, Number(pos.shares || 0));
+      const avgCost = Number(pos.avg_cost || 0);
+      const mark = marks.get(String(pos.token_id)) ?? avgCost;
+      const unhedged = shares - e.pairs;
+      const exposureUsd = unhedged * mark;
+
+      unrealizedPnl += unhedged * (mark - avgCost);
+      totalUsd += exposureUsd;
+      byAsset.set(asset, (byAsset.get(asset) || 0) + exposureUsd);
+      tokens.set(String(pos.token_id), {
+        asset,
+        slug,
+        shares,
+        mark,
+        exposureUsd,
+        otherTokenId: other ? String(other.token_id) : null,
+      });
+    }
+  }
+
+  return { pnl: realizedPnl + unrealizedPnl, realizedPnl, unrealizedPnl, totalUsd, byAsset, tokens };
+}
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+export class RiskManager {
+  // loadState: async () => persisted state or null
+  // saveState: async (state) => void
+  // onTrip:    async (reason, detail) => void (cancel everything, stop trading)
+  constructor({ cfg, loadState, saveState, onTrip, saveAttempts = 3, saveRetryMs = 500 }) {
+    this.cfg = cfg;
+    this.loadState = loadState;
+    this.saveState = saveState;
+    this.onTrip = onTrip;
+    this.saveAttempts = saveAttempts;
+    this.saveRetryMs = saveRetryMs;
+
+    this.state = { tripped: false, reason: null, tripped_at: null, day: null, day_start_pnl: 0, peak_pnl: null };
+    this.loaded = false;
+    this.unsaved = false;
+    this.marks = new Map();
+    this.snapshot = null;
+    this.resting = new Map(); // orderId -> { tokenId, asset, usd }: resting BUYs
+    this.orderTimes = [];
+    this.breaches = [];
+    this.stats = { evaluations: 0, checks: 0, rejected: 0, trips: 0, lastError: null };
+  }
+
+  get tripped() {
+    return this.state.tripped;
+  }
+
+  // Returns false while the state can't be read (nothing may trade until it
+  // can); each distinct failure is logged once.
+  async load() {
+    try {
+      const saved = await this.loadState();
+      if (saved) {
+        for (const key of Object.keys(this.state)) if (saved[key] !== undefined) this.state[key] = saved[key];
+      }
+      this.loaded = true;
+      this.stats.lastError = null;
+      if (this.state.tripped) console.log(`[Risk] Kill switch is TRIPPED (${this.state.reason} at ${this.state.tripped_at})`);
+      return true;
+    } catch (e) {
+      const msg = isMissingTable(e)
+        ? `pm_risk_state table is missing; run the migrations (npm run migrate) (${e?.message || e})`
+        : `Can't read the risk state: ${e?.message || e}`;
+      if (msg !== this.stats.lastError) console.error(`[Risk] ${msg}; not trading until it loads`);
+      this.stats.lastError = msg;
+      return false;
+    }
+  }
+
+  // Retries, then throws: a kill switch that isn't persisted would be lost
+  // on restart.
+  async persist() {
+    this.unsaved = true;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.saveState({ ...this.state });
+        this.unsaved = false;
+        return;
+      } catch (e) {
+        this.stats.lastError = `save failed (attempt ${attempt}): ${e?.message || e}`;
+        if (attempt >= this.saveAttempts) throw new Error(`Risk state not saved: ${e?.message || e}`);
+        await new Promise((r) => setTimeout(r, this.saveRetryMs * attempt));
+      }
+    }
+  }
+
+  // pm_orders rows; only BUYs with an unfilled remainder count.
+  setOpenOrders(orders) {
+    this.resting = new Map();
+    for (const o of orders) this.orderOpened(o);
+  }
+
+  orderOpened({ order_id, asset, token_id, side, price, size, filled_size = 0 }) {
+    const remaining = Number(size || 0) - Number(filled_size || 0);
+    if (!order_id || String(side).toUpperCase() !== "BUY" || !(remaining > 0)) return;
+    this.resting.set(String(order_id), { tokenId: String(token_id), asset, usd: remaining * Number(price || 0) });
+  }
+
+  orderClosed(orderId) {
+    this.resting.delete(String(orderId));
+  }
+
+  // USD resting in BUY orders, all of them or for one token / asset.
+  restingUsd({ tokenId, asset } = {}) {
+    let usd = 0;
+    for (const r of this.resting.values()) {
+      if (tokenId != null && r.tokenId !== String(tokenId)) continue;
+      if (asset != null && r.asset !== asset) continue;
+      usd += r.usd;
+    }
+    return usd;
+  }
+
+  // Latest book for a token: two-sided books move the mark.
+  mark(tokenId, book) {
+    if (book?.bestBid > 0 && book.bestAsk < 1) this.marks.set(String(tokenId), (book.bestBid + book.bestAsk) / 2);
+  }
+
+  breach(rule, detail = {}) {
+    const b = { stage: "risk", rule, ...detail, at: new Date().toISOString() };
+    this.breaches.push(b);
+    return b;
+  }
+
+  drainBreaches() {
+    const out = this.breaches;
+    this.breaches = [];
+    return out;
+  }
+
+  // Marks the portfolio, rolls the day, and trips the kill switch on a loss or
+  // drawdown breach. Returns the snapshot the caps and pre-trade checks use.
+  async evaluate(positions, nowMs = Date.now()) {
+    const cfg = this.cfg;
+    const snap = markToMarket(positions, this.marks);
+    const before = JSON.stringify(this.state);
+    const day = utcDay(nowMs);
+
+    if (this.state.day !== day) {
+      this.state.day = day;
+      this.state.day_start_pnl = round2(snap.pnl);
+    }
+    if (this.state.peak_pnl == null || snap.pnl > this.state.peak_pnl) this.state.peak_pnl = round2(snap.pnl);
+
+    snap.dailyPnl = snap.pnl - this.state.day_start_pnl;
+    snap.drawdown = Math.max(0, this.state.peak_pnl - snap.pnl);
+    this.snapshot = snap;
+    this.stats.evaluations++;
+
+    if (!this.state.tripped) {
+      if (cfg.MAX_DAILY_LOSS_USD > 0 && -snap.dailyPnl >= cfg.MAX_DAILY_LOSS_USD) {
+        await this.trip("max_daily_loss", { daily_pnl: round2(snap.dailyPnl), limit: cfg.MAX_DAILY_LOSS_USD });
+      } else if (cfg.MAX_DRAWDOWN_USD > 0 && snap.drawdown >= cfg.MAX_DRAWDOWN_USD) {
+        await this.trip("max_drawdown", { drawdown: round2(snap.drawdown), limit: cfg.MAX_DRAWDOWN_USD });
+      }
+    }
+
+    if (this.unsaved || JSON.stringify(this.state) !== before) await this.persist();
+    return snap;
+  }
+
+  async trip(reason, detail = {}) {
+    if (this.state.tripped) return;
+    Object.assign(this.state, { tripped: true, reason, tripped_at: new Date().toISOString() });
+    this.stats.trips++;
+    this.breach(reason, { ...detail, kill_switch: true });
+    console.error(`[Risk] KILL SWITCH tripped: ${reason} ${JSON.stringify(detail)}`);
+
+    // Halt first either way; a failed save then fails the cycle.
+    let saveError = null;
+    try {
+      await this.persist();
+    } catch (e) {
+      saveError = e;
+      this.breach("kill_switch_persist", { error: e?.message || String(e) });
+    }
+    try {
+      await this.onTrip(reason, detail);
+    } catch (e) {
+      this.stats.lastError = e?.message || String(e);
+      this.breach("kill_switch_action", { error: this.stats.lastError });
+    }
+    if (saveError) throw saveError;
+  }
+
+  // Clears the kill switch. The day start and peak restart from the current
+  // PnL, otherwise the same breach would trip it again on the next cycle.
+  async reset() {
+    const pnl = this.snapshot ? round2(this.snapshot.pnl) : this.state.peak_pnl;
+    Object.assign(this.state, { tripped: false, reason: null, tripped_at: null, day_start_pnl: pnl ?? 0, peak_pnl: pnl });
+    this.orderTimes = [];
+    console.log("[Risk] Kill switch reset");
+    await this.persist();
+  }
+
+  exposure(tokenId) {
+    return this.snapshot?.tokens.get(String(tokenId))?.exposureUsd || 0;
+  }
+
+  assetExposure(asset) {
+    return this.snapshot?.byAsset.get(asset) || 0;
+  }
+
+  // Unhedged USD a BUY adds: shares beyond what pairs with the other token,
+  // minus the other token's unhedged shares it pairs off.
+  buyExposureDelta(tokenId, price, size) {
+    const t = this.snapshot?.tokens.get(String(tokenId));
+    if (!t) return price * size;
+    const o = t.otherTokenId ? this.snapshot.tokens.get(t.otherTokenId) : null;
+    const otherShares = o?.shares || 0;
+    const before = Math.max(0, t.shares - otherShares);
+    const after = Math.max(0, t.shares + size - otherShares);
+    const paired = Math.min(size, Math.max(0, otherShares - t.shares));
+    return (after - before) * price - paired * (o?.mark || 0);
+  }
+
+  // Every order goes through here before it reaches the exchange.
+  // Returns { ok: true } or { ok: false, reason }.
+  check({ asset, tokenId, side, price, size }, nowMs = Date.now()) {
+    const cfg = this.cfg;
+    this.stats.checks++;
+
+    const reject = (reason, detail = {}) => {
+      this.stats.rejected++;
+      this.breach(reason, { asset, token_id: String(tokenId), side, price, size, ...detail });
+      return { ok: false, reason };
+    };
+
+    if (this.state.tripped) return reject("kill_switch", { tripped_reason: this.state.reason });
+
+    // SELLs count toward the order rate but are never held back by it: exits
+    // and closeouts reduce exposure.
+    const buy = String(side).toUpperCase() === "BUY";
+    this.orderTimes = this.orderTimes.filter((t) => nowMs - t < RATE_WINDOW_MS);
+    if (buy && cfg.MAX_ORDERS_PER_MINUTE > 0 && this.orderTimes.length >= cfg.MAX_ORDERS_PER_MINUTE) {
+      return reject("order_rate", { limit: cfg.MAX_ORDERS_PER_MINUTE });
+    }
+
+    if (buy && this.snapshot) {
+      const delta = this.buyExposureDelta(tokenId, price, size);
+      const token = this.exposure(tokenId) + this.restingUsd({ tokenId }) + delta;
+      const byAsset = this.assetExposure(asset) + this.restingUsd({ asset }) + delta;
+      const total = this.snapshot.totalUsd + this.restingUsd() + delta;
+
+      if (delta > 0) {
+        if (cfg.MAX_POSITION_USD_PER_TOKEN > 0 && token > cfg.MAX_POSITION_USD_PER_TOKEN) {
+          return reject("token_cap", { exposure_usd: round2(token), limit: cfg.MAX_POSITION_USD_PER_TOKEN });
+        }
+        if (cfg.MAX_POSITION_USD_PER_ASSET > 0 && byAsset > cfg.MAX_POSITION_USD_PER_ASSET) {
+          return reject("asset_cap", { exposure_usd: round2(byAsset), limit: cfg.MAX_POSITION_USD_PER_ASSET });
+        }
+        if (cfg.MAX_TOTAL_POSITION_USD > 0 && total > cfg.MAX_TOTAL_POSITION_USD) {
+          return reject("total_cap", { exposure_usd: round2(total), limit: cfg.MAX_TOTAL_POSITION_USD });
+        }
+      }
+    }
+
+    this.orderTimes.push(nowMs);
+    return { ok: true };
+  }
+
+  status() {
+    const s = this.snapshot;
+    return {
+      ...this.state,
+      loaded: this.loaded,
+      unsaved: this.unsaved,
+      pnl: s ? round2(s.pnl) : null,
+      realizedPnl: s ? round2(s.realizedPnl) : null,
+      unrealizedPnl: s ? round2(s.unrealizedPnl) : null,
+      dailyPnl: s ? round2(s.dailyPnl) : null,
+      drawdown: s ? round2(s.drawdown) : null,
+      exposureUsd: s ? round2(s.totalUsd) : null,
+      restingBuyUsd: round2(this.restingUsd()),
+      byAsset: s ? Object.fromEntries([...s.byAsset].map(([a, v]) => [a, round2(v)])) : {},
+      ordersLastMinute: this.orderTimes.filter((t) => Date.now() - t < RATE_WINDOW_MS).length,
+      limits: {
+        maxDailyLossUsd: this.cfg.MAX_DAILY_LOSS_USD,
+        maxDrawdownUsd: this.cfg.MAX_DRAWDOWN_USD,
+        maxOrdersPerMinute: this.cfg.MAX_ORDERS_PER_MINUTE,
+        maxPositionUsdPerToken: this.cfg.MAX_POSITION_USD_PER_TOKEN,
+        maxPositionUsdPerAsset: this.cfg.MAX_POSITION_USD_PER_ASSET,
+        maxTotalPositionUsd: this.cfg.MAX_TOTAL_POSITION_USD,
+      },
+      ...this.stats,
+    };
+  }
+}
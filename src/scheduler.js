@@ -0,0 +1,158 @@
+// Cycle scheduler: runs the worker's cycle on a (jittered) interval and on
+// demand (stream events, run-once), never two at a time.
+//
+// A trigger that arrives while a cycle runs is handled per overlap policy:
+//   skip   dropped and counted; the next tick or event picks the work up
+//   queue  held in a single slot (later triggers fold into it) and run as
+//          soon as the current cycle ends
+//
+// Ticks are a setTimeout chain armed when each tick fires, intervalMs ±
+// jitterMs apart, so the cadence holds like setInterval's but instances
+// sharing an interval drift apart instead of hitting the APIs in lockstep.
+// A cycle outlasting the interval makes the next tick an overlap.
+//
+// exclusive() runs something other than a cycle (flatten, cancel-all) in the
+// same slot, so no cycle can requote around it.
+//
+// stop() ends the ticks and drops a queued trigger; it doesn't interrupt the
+// running cycle: idle() waits for that.
+
+export class CycleScheduler {
+  // runCycle: async (trigger) => void   (records its own errors)
+  // blocked:  () => reason | null        refuse every trigger while set (kill switch)
+  // onSkip:   (trigger, reason) => void  reason: overlap, or what blocked() said
+  // onQueue:  (trigger) => void
+  constructor({ runCycle, intervalMs, jitterMs = 0, overlap = "skip", blocked = () => null, onSkip = () => {}, onQueue = () => {} }) {
+    this.runCycle = runCycle;
+    this.intervalMs = intervalMs;
+    this.jitterMs = jitterMs;
+    this.overlap = overlap;
+    this.blocked = blocked;
+    this.onSkip = onSkip;
+    this.onQueue = onQueue;
+
+    this.active = false;
+    this.timer = null;
+    this.nextTickAt = null;
+    this.current = null; // { trigger, startedAt, done }
+    this.queued = null;
+    this.stats = { runs: 0, skipped: 0, queued: 0, lastSkip: null };
+  }
+
+  get running() {
+    return this.current !== null;
+  }
+
+  // First tick right away, like the setInterval loop it replaces.
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.tick();
+  }
+
+  stop() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextTickAt = null;
+    this.queued = null;
+  }
+
+  nextDelay() {
+    const jitter = this.jitterMs > 0 ? (Math.random() * 2 - 1) * this.jitterMs : 0;
+    return Math.max(0, Math.round(this.intervalMs + jitter));
+  }
+
+  tick() {
+    if (!this.active) return;
+    const delay = this.nextDelay();
+    this.nextTickAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.run("interval");
+  }
+
+  // Resolves true once the cycle ran, false if it was skipped or queued.
+  // queue overrides the policy for one call (run-once wants an answer now).
+  async run(trigger, { queue = this.overlap === "queue" } = {}) {
+    const blocked = this.blocked();
+    if (blocked) {
+      this.skip(trigger, blocked);
+      return false;
+    }
+    if (this.current) {
+      if (!queue) {
+        this.skip(trigger, "overlap");
+        return false;
+      }
+      this.queued = trigger;
+      this.stats.queued++;
+      this.onQueue(trigger);
+      return false;
+    }
+
+    try {
+      await this.occupy(trigger, () => this.runCycle(trigger));
+    } catch {
+      // runCycle records its own errors
+    }
+    this.stats.runs++;
+    return true;
+  }
+
+  // Waits (up to waitMs each time) for the slot, then holds it while fn runs:
+  // triggers arriving meanwhile are skipped or queued as if a cycle were
+  // running. blocked() doesn't apply; cancelling has to work with the kill
+  // switch tripped. Resolves with fn's result; fn's errors propagate.
+  async exclusive(name, fn, { waitMs = 60000 } = {}) {
+    while (this.current) {
+      if (!(await this.idle(waitMs))) throw new Error(`Timed out waiting for the running ${this.current.trigger} cycle`);
+    }
+    return this.occupy(name, fn);
+  }
+
+  // Holds the slot while fn runs, then starts what was queued meanwhile.
+  async occupy(trigger, fn) {
+    let finish;
+    this.current = { trigger, startedAt: Date.now(), done: new Promise((r) => (finish = r)) };
+    try {
+      return await fn();
+    } finally {
+      this.current = null;
+      finish();
+      if (this.queued) {
+        const next = this.queued;
+        this.queued = null;
+        this.run(next);
+      }
+    }
+  }
+
+  skip(trigger, reason) {
+    this.stats.skipped++;
+    this.stats.lastSkip = { trigger, reason, at: new Date().toISOString() };
+    this.onSkip(trigger, reason);
+  }
+
+  // Waits for the running cycle (if any): true once idle, false on timeout.
+  async idle(timeoutMs) {
+    if (!this.current) return true;
+    let timer;
+    const timeout = new Promise((r) => (timer = setTimeout(() => r(false), timeoutMs)));
+    const ok = await Promise.race([this.current.done.then(() => true), timeout]);
+    clearTimeout(timer);
+    return ok;
+  }
+
+  status() {
+    return {
+      active: this.active,
+      intervalMs: this.intervalMs,
+      jitterMs: this.jitterMs,
+      overlap: this.overlap,
+      nextTickAt: this.nextTickAt ? new Date(this.nextTickAt).toISOString() : null,
+      running: this.current ? { trigger: this.current.trigger, startedAt: new Date(this.current.startedAt).toISOString() } : null,
+      queuedTrigger: this.queued,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,234 @@
+// Runtime configuration: the schema in src/config.js resolved through layers,
+// lowest first:
+//
+//   default < env < pm_config "*" < pm_config <ASSET> < API "*" < API <ASSET>
+//
+// pm_config rows are { scope, key, value } with scope "*" (every asset) or an
+// asset ("BTC"). API overrides live in memory until the process restarts, or
+// land in pm_config when patched with persist. Keys flagged global in SCHEMA
+// only take "*" overrides; perAsset keys only take asset ones.
+//
+// Changes are staged: patch() and pm_config edits take effect at the next
+// refresh(), which the worker calls at the start of every cycle. Until then
+// resolve() keeps answering with the values the running cycle started with.
+//
+// Invalid pm_config rows are skipped (reported in status().errors); patch()
+// validates every value first and applies nothing if one fails. With persist
+// the rows are then written one key at a time: if a write fails, the keys
+// already written stay applied and the error names both lists.
+
+import { SCHEMA, defaultValues, envValues, validateValue } from "./config.js";
+
+const GLOBAL = "*";
+
+function normScope(scope) {
+  const s = String(scope ?? GLOBAL).trim().toUpperCase();
+  return s || GLOBAL;
+}
+
+function scopeAllows(scope, key) {
+  const s = SCHEMA[key];
+  if (scope === GLOBAL) return !s.perAsset;
+  return !s.global;
+}
+
+// { scope: { key: value } }, deep enough for the layer maps
+function cloneLayer(layer) {
+  return Object.fromEntries(Object.entries(layer).map(([scope, values]) => [scope, { ...values }]));
+}
+
+export class RuntimeConfig {
+  // loadRows:      async () => pm_config rows
+  // saveRow:       async ({ scope, key, value, updated_by }) => void
+  // deleteRow:     async (scope, key) => void
+  // recordHistory: async (rows) => void
+  constructor({ loadRows, saveRow, deleteRow, recordHistory, env = process.env }) {
+    this.loadRows = loadRows;
+    this.saveRow = saveRow;
+    this.deleteRow = deleteRow;
+    this.recordHistory = recordHistory;
+    this.env = env;
+
+    // staged layers (edited by patch / reloaded from pm_config) ...
+    this.db = {};
+    this.api = {};
+    // ... and the ones resolve() answers from, swapped in by refresh()
+    this.applied = { db: {}, api: {} };
+
+    this.errors = [];
+    this.stats = { refreshes: 0, patches: 0, lastRefreshAt: null, lastError: null };
+  }
+
+  // Reloads pm_config and makes every staged change effective. A failed load
+  // keeps the last pm_config layer and rethrows; API changes still apply.
+  async refresh() {
+    let failure = null;
+    try {
+      const rows = (await this.loadRows()) || [];
+      const db = {};
+      const errors = [];
+      for (const row of rows) {
+        const scope = normScope(row.scope);
+        const r = validateValue(row.key, row.value);
+        if (!r.ok) errors.push(`pm_config ${scope}.${row.key}: ${r.error}`);
+        else if (!scopeAllows(scope, row.key)) errors.push(`pm_config ${scope}.${row.key}: not allowed at this scope`);
+        else (db[scope] ||= {})[row.key] = r.value;
+      }
+      this.db = db;
+      this.errors = errors;
+    } catch (e) {
+      failure = e;
+      this.stats.lastError = e?.message || String(e);
+    }
+
+    this.applied = { db: cloneLayer(this.db), api: cloneLayer(this.api) };
+    this.stats.refreshes++;
+    this.stats.lastRefreshAt = new Date().toISOString();
+    if (failure) throw failure;
+  }
+
+  // Effective values for an asset (or globally, leaving per-asset keys at
+  // their defaults) with the layer each one came from.
+  resolve(asset = null, layers = this.applied) {
+    const A = asset ? normScope(asset) : null;
+    const values = defaultValues();
+    const sources = Object.fromEntries(Object.keys(values).map((k) => [k, "default"]));
+
+    const set = (vals, source, scope) => {
+      for (const [key, value] of Object.entries(vals || {})) {
+        if (!SCHEMA[key] || (scope && !scopeAllows(scope, key))) continue;
+        if (SCHEMA[key].perAsset && !A) continue;
+        values[key] = value;
+        sources[key] = source;
+      }
+    };
+
+    set(envValues(A, this.env).values, "env");
+    set(layers.db[GLOBAL], "db", GLOBAL);
+    if (A) set(layers.db[A], `db:${A}`, A);
+    set(layers.api[GLOBAL], "api", GLOBAL);
+    if (A) set(layers.api[A], `api:${A}`, A);
+
+    return { values, sources };
+  }
+
+  values(asset = null) {
+    return this.resolve(asset).values;
+  }
+
+  // Stages overrides for one scope. values: { KEY: value }, null clears the
+  // override. persist writes pm_config instead of the in-memory API layer.
+  // Returns { scope, changes: [{ key, from, to }] }; throws (status 400) with
+  // every validation error when any value is bad, and (status 500, with
+  // e.applied / e.failed) when a pm_config write fails part way.
+  async patch({ scope = GLOBAL, values = {}, persist = false, actor = "unknown" }) {
+    const S = normScope(scope);
+    const errors = [];
+    const next = {};
+
+    if (!values || typeof values !== "object" || Array.isArray(values) || !Object.keys(values).length) {
+      errors.push("values must be a non-empty object of { KEY: value }");
+    } else {
+      for (const [key, raw] of Object.entries(values)) {
+        if (!SCHEMA[key]) {
+          errors.push(`unknown key ${key}`);
+          continue;
+        }
+        if (!scopeAllows(S, key)) {
+          errors.push(`${key} can't be set for scope ${S} (${SCHEMA[key].global ? "global only" : "per-asset only"})`);
+          continue;
+        }
+        if (raw === null) {
+          next[key] = null;
+          continue;
+        }
+        const r = validateValue(key, raw);
+        if (r.ok) next[key] = r.value;
+        else errors.push(r.error);
+      }
+    }
+
+    if (errors.length) {
+      const e = new Error(`Invalid config: ${errors.join("; ")}`);
+      e.status = 400;
+      e.errors = errors;
+      throw e;
+    }
+
+    const asset = S === GLOBAL ? null : S;
+    const before = this.resolve(asset, this).values;
+    const layer = persist ? this.db : this.api;
+    const target = (layer[S] ||= {});
+
+    const applied = [];
+    let failure = null;
+    for (const [key, value] of Object.entries(next)) {
+      if (persist) {
+        try {
+          if (value === null) await this.deleteRow(S, key);
+          else await this.saveRow({ scope: S, key, value, updated_by: actor });
+        } catch (e) {
+          failure = e;
+          break;
+        }
+      }
+      if (value === null) delete target[key];
+      else target[key] = value;
+      applied.push(key);
+    }
+
+    const after = this.resolve(asset, this).values;
+    const changes = applied.map((key) => ({ key, from: before[key], to: after[key] }));
+    this.stats.patches++;
+
+    const createdAt = new Date().toISOString();
+    try {
+      await this.recordHistory(
+        changes.map((c) => ({
+          scope: S,
+          key: c.key,
+          old_value: c.from,
+          new_value: c.to,
+          override: next[c.key],
+          layer: persist ? "db" : "api",
+          actor,
+          created_at: createdAt,
+        }))
+      );
+    } catch (e) {
+      this.stats.lastError = e?.message || String(e);
+    }
+
+    if (changes.length) {
+      console.log(`[Config] ${actor} ${S} ${persist ? "db" : "api"}: ${changes.map((c) => `${c.key} ${c.from} -> ${c.to}`).join(", ")}`);
+    }
+
+    if (failure) {
+      const failed = Object.keys(next).filter((key) => !applied.includes(key));
+      this.stats.lastError = failure?.message || String(failure);
+      const e = new Error(
+        `pm_config write failed (${this.stats.lastError}); applied: ${applied.join(", ") || "none"}; not applied: ${failed.join(", ")}`
+      );
+      e.status = 500;
+      e.applied = applied;
+      e.failed = failed;
+      throw e;
+    }
+    return { scope: S, persist, changes };
+  }
+
+  // True while patched values wait for the next refresh().
+  get pending() {
+    return JSON.stringify({ db: this.db, api: this.api }) !== JSON.stringify(this.applied);
+  }
+
+  status() {
+    return {
+      pending: this.pending,
+      dbOverrides: Object.values(this.applied.db).reduce((n, v) => n + Object.keys(v).length, 0),
+      apiOverrides: Object.values(this.applied.api).reduce((n, v) => n + Object.keys(v).length, 0),
+      errors: this.errors,
+      ...this.stats,
+    };
+  }
+}
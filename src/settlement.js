@@ -0,0 +1,368 @@
+// Settlement: what happens to shares still held when a window is over.
+//
+// For every market with open shares in pm_positions, once its end time passed:
+//   - ended, not yet resolved: merge YES+NO pairs back into collateral ($1 per pair)
+//   - resolved (on-chain payouts, else Gamma outcomePrices): redeem everything
+//     held at its payout, close the positions at that price and record the
+//     outcome and final PnL per position in pm_settlements
+//     (migrations/<dialect>/005_settlements.sql)
+//
+// Redeemers do the token side:
+//   - CtfRedeemer:   ConditionalTokens (or the NegRiskAdapter for negRisk
+//                    markets) via ethers; dryRun builds and logs the
+//                    transactions without sending them
+//   - PaperRedeemer: PaperExchange balances
+//
+// In dry-run positions are left untouched (the tokens are still held); the
+// settlement row is recorded with status DRY_RUN, and the market is skipped
+// until its positions differ from what that row recorded.
+//
+// Once a transaction went through, its pm_settlements row (tx hash and every
+// leg's closing position) is written before any position is saved, as
+// REDEEMING (MERGING for a merge; migrations/<dialect>/011_settlement_merge.sql),
+// and marked REDEEMED (MERGED) after. A market with a REDEEMED row is skipped;
+// a row still pending on a later poll is completed from what it recorded
+// instead of sending the transaction again.
+
+import { ethers } from "ethers";
+import { winnerFromOutcomePrices } from "./discovery.js";
+import { applyFill, marketExposure } from "./strategy.js";
+
+// Polygon mainnet
+export const CTF_ADDRESS = "0x4D97DCd97eC945f40cF65F87097ACe5EA0476045";
+export const USDC_ADDRESS = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+export const NEG_RISK_ADAPTER_ADDRESS = "0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296";
+
+const CTF_ABI = [
+  "function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)",
+  "function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)",
+  "function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)",
+  "function payoutDenominator(bytes32 conditionId) view returns (uint256)",
+];
+
+const NEG_RISK_ADAPTER_ABI = [
+  "function redeemPositions(bytes32 conditionId, uint256[] amounts)",
+  "function mergePositions(bytes32 conditionId, uint256 amount)",
+];
+
+const ZERO_BYTES32 = ethers.constants.HashZero;
+const BINARY_PARTITION = [1, 2]; // index sets for outcome 0 (YES) and 1 (NO)
+const SHARE_DECIMALS = 6;
+
+// pending settlement status -> status once the positions are saved
+const COMPLETES = { REDEEMING: "REDEEMED", MERGING: "MERGED" };
+
+function toUnits(shares) {
+  return ethers.utils.parseUnits(Math.max(0, shares).toFixed(SHARE_DECIMALS), SHARE_DECIMALS);
+}
+
+// =============================================================================
+// REDEEMERS
+// =============================================================================
+
+export class CtfRedeemer {
+  // provider: ethers provider (a local fork node works for testing)
+  // signer:   ethers Signer holding the conditional tokens; null forces dry-run
+  constructor({ provider, signer = null, dryRun = true, confirmations = 1 }) {
+    this.provider = provider;
+    this.signer = signer ? signer.connect(provider) : null;
+    this.dryRun = dryRun || !this.signer;
+    this.confirmations = confirmations;
+    this.ctf = new ethers.Contract(CTF_ADDRESS, CTF_ABI, this.signer || provider);
+    this.adapter = new ethers.Contract(NEG_RISK_ADAPTER_ADDRESS, NEG_RISK_ADAPTER_ABI, this.signer || provider);
+  }
+
+  // [YES, NO] payout fractions once the condition is resolved on chain, else null.
+  async payouts(conditionId) {
+    if (!conditionId) return null;
+    const den = await this.ctf.payoutDenominator(conditionId);
+    if (den.isZero()) return null;
+    const nums = await Promise.all([0, 1].map((i) => this.ctf.payoutNumerators(conditionId, i)));
+    return nums.map((n) => Number(n.toString()) / Number(den.toString()));
+  }
+
+  async redeem({ conditionId, negRisk, legs }) {
+    const tx = negRisk
+      ? await this.adapter.populateTransaction.redeemPositions(conditionId, [toUnits(legs.YES?.shares || 0), toUnits(legs.NO?.shares || 0)])
+      : await this.ctf.populateTransaction.redeemPositions(USDC_ADDRESS, ZERO_BYTES32, conditionId, BINARY_PARTITION);
+    return this.send("redeem", tx);
+  }
+
+  async merge({ conditionId, negRisk, pairs }) {
+    const amount = toUnits(pairs);
+    const tx = negRisk
+      ? await this.adapter.populateTransaction.mergePositions(conditionId, amount)
+      : await this.ctf.populateTransaction.mergePositions(USDC_ADDRESS, ZERO_BYTES32, conditionId, BINARY_PARTITION, amount);
+    return this.send("merge", tx);
+  }
+
+  async send(kind, tx) {
+    const built = { to: tx.to, data: tx.data };
+    if (this.dryRun) {
+      console.log(`[Settlement] DRY RUN ${kind} tx to=${built.to} data=${built.data}`);
+      return { dryRun: true, tx: built, hash: null };
+    }
+    const sent = await this.signer.sendTransaction(tx);
+    console.log(`[Settlement] ${kind} tx sent ${sent.hash}`);
+    const receipt = await sent.wait(this.confirmations);
+    if (receipt.status !== 1) throw new Error(`${kind} tx ${sent.hash} reverted`);
+    return { dryRun: false, tx: built, hash: sent.hash };
+  }
+}
+
+export class PaperRedeemer {
+  constructor({ paper }) {
+    this.paper = paper;
+    this.dryRun = false;
+  }
+
+  async payouts() {
+    return null; // paper markets resolve from Gamma
+  }
+
+  async redeem({ legs, payouts }) {
+    for (const [i, outcome] of ["YES", "NO"].entries()) {
+      if (legs[outcome]) this.paper.redeem(legs[outcome].tokenId, payouts[i]);
+    }
+    return { dryRun: false, tx: null, hash: null };
+  }
+
+  async merge({ legs, pairs }) {
+    this.paper.merge(legs.YES.tokenId, legs.NO.tokenId, pairs);
+    return { dryRun: false, tx: null, hash: null };
+  }
+}
+
+// =============================================================================
+// SETTLEMENT
+// =============================================================================
+
+export class SettlementManager {
+  // fetchMarket:      async (slug) => raw Gamma market (closed ones included) | null
+  // getPositions:     async () => pm_positions rows
+  // savePosition:     async (row) => void   (upsert)
+  // getSettlement:    async (slug) => pm_settlements row | null
+  // recordSettlement: async (row) => void   (upsert into pm_settlements by slug)
+  constructor({ redeemer, fetchMarket, getPositions, savePosition, getSettlement, recordSettlement, pollMs = 60000, minMergeShares = 1 }) {
+    this.redeemer = redeemer;
+    this.fetchMarket = fetchMarket;
+    this.getPositions = getPositions;
+    this.savePosition = savePosition;
+    this.getSettlement = getSettlement;
+    this.recordSettlement = recordSettlement;
+    this.pollMs = pollMs;
+    this.minMergeShares = minMergeShares;
+    this.lastChecked = new Map(); // slug -> ms
+    this.stats = { checks: 0, merged: 0, settled: 0, dryRuns: 0, lastError: null };
+  }
+
+  // Groups open positions by market: "asset|slug" -> { asset, slug, YES, NO }
+  async openMarkets() {
+    const markets = new Map();
+    for (const p of (await this.getPositions()) || []) {
+      if (!(Number(p.shares) > 0)) continue;
+      const key = `${p.asset}|${p.slug}`;
+      const m = markets.get(key) || { asset: p.asset, slug: p.slug };
+      m[String(p.outcome).toUpperCase() === "NO" ? "NO" : "YES"] = p;
+      markets.set(key, m);
+    }
+    return [...markets.values()];
+  }
+
+  async run(nowMs = Date.now()) {
+    const summary = { checked: 0, merged: [], settled: [], errors: [] };
+
+    for (const m of await this.openMarkets()) {
+      if (nowMs - (this.lastChecked.get(m.slug) || 0) < this.pollMs) continue;
+      this.lastChecked.set(m.slug, nowMs);
+      summary.checked++;
+      this.stats.checks++;
+
+      try {
+        const prior = await this.getSettlement(m.slug);
+        if (COMPLETES[prior?.status]) {
+          const done = await this.complete(prior);
+          if (done.status === "MERGED") summary.merged.push(mergeSummary(done));
+          else summary.settled.push(done);
+          continue;
+        }
+        if (prior?.status === "REDEEMED") continue;
+        if (prior?.status === "DRY_RUN" && sameShares(prior, m)) continue;
+
+        const g = await this.fetchMarket(m.slug);
+        if (!g) continue;
+        const endMs = new Date(g.endDate || g.end_date_iso || 0).getTime();
+        if (!g.closed && !(endMs && endMs <= nowMs)) continue;
+
+        const payouts = await this.resolvedPayouts(g);
+        if (payouts) summary.settled.push(await this.settle(m, g, payouts, nowMs));
+        else if (prior?.status !== "MERGED") {
+          const merged = await this.mergePairs(m, g);
+          if (merged) summary.merged.push(merged);
+        }
+      } catch (e) {
+        this.stats.lastError = e?.message || String(e);
+        summary.errors.push({ asset: m.asset, slug: m.slug, stage: "settlement", error: this.stats.lastError });
+      }
+    }
+
+    return summary;
+  }
+
+  // On-chain payouts win; Gamma's settled outcomePrices are the fallback.
+  async resolvedPayouts(g) {
+    const onChain = await this.redeemer.payouts(g.conditionId).catch(() => null);
+    if (onChain) return onChain;
+    if (!g.closed) return null;
+    const winner = winnerFromOutcomePrices(g.outcomePrices);
+    return winner ? (winner === "YES" ? [1, 0] : [0, 1]) : null;
+  }
+
+  legs(m) {
+    const legs = {};
+    for (const outcome of ["YES", "NO"]) {
+      const p = m[outcome];
+      if (p) legs[outcome] = { tokenId: String(p.token_id), shares: Number(p.shares), avgCost: Number(p.avg_cost || 0) };
+    }
+    return legs;
+  }
+
+  // Ended but unresolved: pairs are worth exactly $1 whatever the outcome. The
+  // locked PnL is split evenly between the legs.
+  async mergePairs(m, g) {
+    if (!m.YES || !m.NO) return null;
+    const exp = marketExposure(m.YES, m.NO);
+    const pairs = Math.floor(exp.pairs * 100) / 100;
+    if (pairs < this.minMergeShares) return null;
+
+    const legs = this.legs(m);
+    const result = await this.redeemer.merge({ conditionId: g.conditionId, negRisk: Boolean(g.negRisk), pairs, legs });
+    const edgePerLeg = (1 - legs.YES.avgCost - legs.NO.avgCost) / 2;
+
+    if (result.dryRun) {
+      this.stats.dryRuns++;
+      console.log(`[Settlement] ${m.asset} ${m.slug} merged ${pairs} pairs (dry run)`);
+      return { asset: m.asset, slug: m.slug, pairs, locked_pnl: Number((pairs * edgePerLeg * 2).toFixed(4)), dry_run: true, tx: null };
+    }
+
+    const tokens = ["YES", "NO"].map((outcome) => {
+      const pos = m[outcome];
+      const price = legs[outcome].avgCost + edgePerLeg;
+      return {
+        outcome,
+        token_id: pos.token_id,
+        shares: pairs,
+        avg_cost: legs[outcome].avgCost,
+        payout: price,
+        pnl: Number((pairs * edgePerLeg).toFixed(4)),
+        position: applyFill(pos, "SELL", pairs, price),
+      };
+    });
+    const row = {
+      slug: m.slug,
+      asset: m.asset,
+      condition_id: g.conditionId || null,
+      tokens,
+      status: "MERGING",
+      merged_pairs: pairs,
+      merge_tx: result.hash,
+    };
+    await this.recordSettlement(row);
+    return mergeSummary(await this.complete(row));
+  }
+
+  async settle(m, g, payouts, nowMs) {
+    const legs = this.legs(m);
+    const winner = payouts[0] > payouts[1] ? "YES" : payouts[1] > payouts[0] ? "NO" : "SPLIT";
+    const result = await this.redeemer.redeem({ conditionId: g.conditionId, negRisk: Boolean(g.negRisk), legs, payouts });
+
+    const tokens = [];
+    let pnl = 0;
+    for (const [i, outcome] of ["YES", "NO"].entries()) {
+      const pos = m[outcome];
+      if (!pos) continue;
+      const next = applyFill(pos, "SELL", Number(pos.shares), payouts[i]);
+      const legPnl = next.realized_pnl - Number(pos.realized_pnl || 0);
+      pnl += legPnl;
+      tokens.push({
+        outcome,
+        token_id: pos.token_id,
+        shares: Number(pos.shares),
+        avg_cost: Number(pos.avg_cost || 0),
+        payout: payouts[i],
+        pnl: Number(legPnl.toFixed(4)),
+        position: next,
+      });
+    }
+
+    const row = {
+      slug: m.slug,
+      asset: m.asset,
+      condition_id: g.conditionId || null,
+      winner,
+      payouts,
+      tokens,
+      pnl: Number(pnl.toFixed(4)),
+      status: result.dryRun ? "DRY_RUN" : "REDEEMING",
+      redeem_tx: result.hash,
+      settled_at: new Date(nowMs).toISOString(),
+    };
+    await this.recordSettlement(row);
+    if (!result.dryRun) return this.complete(row);
+
+    this.stats.dryRuns++;
+    console.log(`[Settlement] ${m.asset} ${m.slug} winner=${winner} pnl=${row.pnl} DRY_RUN`);
+    return row;
+  }
+
+  // Saves the closing positions a pending row recorded, then marks it done.
+  // Positions are set to the recorded values, so repeating this after a
+  // partial save doesn't apply a leg twice.
+  async complete(row) {
+    for (const t of row.tokens || []) {
+      await this.savePosition({
+        asset: row.asset,
+        slug: row.slug,
+        token_id: t.token_id,
+        outcome: t.outcome,
+        ...t.position,
+        updated_at: new Date().toISOString(),
+      });
+    }
+
+    const done = { ...row, status: COMPLETES[row.status] };
+    await this.recordSettlement(done);
+
+    if (done.status === "MERGED") {
+      this.stats.merged++;
+      console.log(`[Settlement] ${row.asset} ${row.slug} merged ${row.merged_pairs} pairs`);
+    } else {
+      this.stats.settled++;
+      console.log(`[Settlement] ${row.asset} ${row.slug} winner=${row.winner} pnl=${row.pnl} ${done.status}`);
+    }
+    return done;
+  }
+
+  status() {
+    return { dryRun: this.redeemer.dryRun, pollMs: this.pollMs, ...this.stats };
+  }
+}
+
+function mergeSummary(row) {
+  const lockedPnl = (row.tokens || []).reduce((sum, t) => sum + Number(t.pnl || 0), 0);
+  return { asset: row.asset, slug: row.slug, pairs: Number(row.merged_pairs), locked_pnl: Number(lockedPnl.toFixed(4)), dry_run: false, tx: row.merge_tx };
+}
+
+// True while the market's open positions are the ones a settlement row
+// recorded: same tokens, same shares.
+function sameShares(row, m) {
+  const tokens = row.tokens || [];
+  const held = ["YES", "NO"].filter((outcome) => m[outcome]);
+  return (
+    tokens.length === held.length &&
+    tokens.every((t) => {
+      const pos = m[t.outcome];
+      return pos && String(pos.token_id) === String(t.token_id) && Math.abs(Number(pos.shares) - Number(t.shares)) < 1e-6;
+    })
+  );
+}
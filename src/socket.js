@@ -0,0 +1,151 @@
+// WebSocket connection with the CLOB subscription conventions: send one
+// subscription message on open, keep alive with text "PING" (answered by
+// "PONG"), reconnect with exponential backoff.
+//
+// Emits:
+//   "open"   ({ reconnect })  after the subscription was sent; reconnect is true
+//                             for every connection after the first
+//   "events" (array)          parsed messages (a single object arrives as [obj])
+//   "close"  ()               connection lost (a reconnect is already scheduled)
+
+import { EventEmitter } from "node:events";
+import WebSocket from "ws";
+
+export class ReconnectingSocket extends EventEmitter {
+  // subscribe: () => subscription message (object), or null to stay disconnected
+  constructor({
+    name = "Socket",
+    url,
+    subscribe,
+    WebSocketImpl = WebSocket,
+    pingMs = 10000,
+    reconnectMinMs = 1000,
+    reconnectMaxMs = 30000,
+  }) {
+    super();
+    this.name = name;
+    this.url = url;
+    this.subscribe = subscribe;
+    this.WebSocketImpl = WebSocketImpl;
+    this.pingMs = pingMs;
+    this.reconnectMinMs = reconnectMinMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+
+    this.ws = null;
+    this.connected = false;
+    this.running = false;
+    this.opened = 0;
+    this.pingTimer = null;
+    this.reconnectTimer = null;
+    this.backoffMs = reconnectMinMs;
+    this.stats = { messages: 0, reconnects: 0, lastError: null };
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.teardown();
+  }
+
+  // Drops the current connection and subscribes again right away (e.g. the
+  // subscription changed).
+  restart() {
+    if (!this.running) return;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.teardown();
+    this.connect();
+  }
+
+  connect() {
+    if (!this.running) return;
+    const sub = this.subscribe();
+    if (!sub) return;
+
+    let ws;
+    try {
+      ws = new this.WebSocketImpl(this.url);
+    } catch (e) {
+      // a bad URL or a failing constructor backs off like a dropped connection
+      this.stats.lastError = e?.message || String(e);
+      this.scheduleReconnect();
+      return;
+    }
+    this.ws = ws;
+
+    ws.on("open", () => {
+      this.connected = true;
+      this.backoffMs = this.reconnectMinMs;
+      ws.send(JSON.stringify(sub));
+      this.pingTimer = setInterval(() => {
+        if (ws.readyState === ws.OPEN) ws.send("PING");
+      }, this.pingMs);
+      this.emit("open", { reconnect: this.opened++ > 0 });
+    });
+
+    ws.on("message", (raw) => {
+      const text = String(raw);
+      if (text === "PONG") return;
+      this.stats.messages++;
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        this.stats.lastError = `bad message: ${text.slice(0, 100)}`;
+        return;
+      }
+      try {
+        this.emit("events", Array.isArray(msg) ? msg : [msg]);
+      } catch (e) {
+        this.stats.lastError = e?.message || String(e);
+      }
+    });
+
+    ws.on("error", (e) => {
+      this.stats.lastError = e?.message || String(e);
+    });
+
+    ws.on("close", () => {
+      if (this.ws !== ws) return; // replaced by restart()
+      this.teardown();
+      this.scheduleReconnect();
+      this.emit("close");
+    });
+  }
+
+  teardown() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    this.connected = false;
+    const ws = this.ws;
+    this.ws = null;
+    if (ws) {
+      ws.removeAllListeners?.();
+      ws.on?.("error", () => {});
+      try {
+        ws.terminate ? ws.terminate() : ws.close();
+      } catch {
+        // already closed
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+    const delay = this.backoffMs;
+    this.backoffMs = Math.min(this.reconnectMaxMs, this.backoffMs * 2);
+    this.stats.reconnects++;
+    console.log(`[${this.name}] disconnected, reconnecting in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+}
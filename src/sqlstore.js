@@ -0,0 +1,288 @@
+// SQL table stores for src/storage.js: PostgresStore (pg) and SqliteStore
+// (better-sqlite3), sharing one statement builder. Both drivers are optional
+// dependencies, imported only when their backend is selected.
+//
+// Rows come back shaped like PostgREST's: numbers as numbers, booleans as
+// booleans, json columns parsed, timestamps as ISO strings. SQLite has no
+// boolean or json types, so the columns listed in TABLES are encoded as 0/1
+// and JSON text on the way in and decoded on the way out.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { tableMeta } from "./storage.js";
+
+const IDENT = /^[a-z_][a-z0-9_]*$/i;
+
+function ident(name) {
+  if (!IDENT.test(name)) throw new Error(`Bad SQL identifier ${name}`);
+  return `"${name}"`;
+}
+
+async function loadDriver(pkg, backend) {
+  try {
+    return (await import(pkg)).default;
+  } catch (e) {
+    if (e?.code !== "ERR_MODULE_NOT_FOUND") throw e;
+    throw new Error(`STORAGE_BACKEND=${backend} needs the ${pkg} package (npm install ${pkg})`);
+  }
+}
+
+class SqlStore {
+  // param(i) -> placeholder for the i-th (1-based) parameter
+  constructor({ name, dialect, param }) {
+    this.name = name;
+    this.dialect = dialect;
+    this.param = param;
+  }
+
+  encode(table, row) {
+    const meta = tableMeta(table);
+    const out = {};
+    for (const [col, v] of Object.entries(row)) {
+      if (v === undefined) continue;
+      out[col] = this.encodeValue(v, meta.json?.includes(col));
+    }
+    return out;
+  }
+
+  encodeValue(v, json) {
+    if (v === null) return null;
+    if (json || (typeof v === "object" && !(v instanceof Date))) return JSON.stringify(v);
+    return v;
+  }
+
+  decode(table, row) {
+    return row;
+  }
+
+  where(where = {}, params) {
+    const parts = Object.entries(where).map(([col, v]) => {
+      if (v === null) return `${ident(col)} IS NULL`;
+      if (Array.isArray(v)) {
+        if (!v.length) return "1 = 0";
+        const list = v.map((x) => {
+          params.push(this.encodeValue(x, false));
+          return this.param(params.length);
+        });
+        return `${ident(col)} IN (${list.join(", ")})`;
+      }
+      params.push(this.encodeValue(v, false));
+      return `${ident(col)} = ${this.param(params.length)}`;
+    });
+    return parts.length ? ` WHERE ${parts.join(" AND ")}` : "";
+  }
+
+  async select(table, where = {}, { order, limit } = {}) {
+    const params = [];
+    let sql = `SELECT * FROM ${ident(table)}${this.where(where, params)}`;
+    if (order) sql += ` ORDER BY ${ident(order[0])} ${order[1] === "desc" ? "DESC" : "ASC"}`;
+    if (limit) sql += ` LIMIT ${Math.floor(Number(limit))}`;
+    return (await this.query(sql, params)).map((r) => this.decode(table, r));
+  }
+
+  // One statement per row; onConflict with ignoreDuplicates skips rows that
+  // already exist and leaves them out of the result.
+  async insert(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+    const out = [];
+    for (const row of rows) {
+      const { sql, params } = this.insertSql(table, row, ignoreDuplicates ? `ON CONFLICT (${(onConflict || []).map(ident).join(", ")}) DO NOTHING` : "");
+      out.push(...(await this.query(sql, params)));
+    }
+    return out.map((r) => this.decode(table, r));
+  }
+
+  // Merges on onConflict, or the table's natural key from TABLES.
+  async upsert(table, rows, { onConflict } = {}) {
+    const key = onConflict || tableMeta(table).key;
+    if (!key) throw new Error(`No conflict key for upsert into ${table}`);
+    for (const row of rows) {
+      const cols = Object.keys(this.encode(table, row)).filter((c) => !key.includes(c));
+      const action = cols.length ? `DO UPDATE SET ${cols.map((c) => `${ident(c)} = excluded.${ident(c)}`).join(", ")}` : "DO NOTHING";
+      const { sql, params } = this.insertSql(table, row, `ON CONFLICT (${key.map(ident).join(", ")}) ${action}`);
+      await this.query(sql, params);
+    }
+  }
+
+  insertSql(table, row, conflict) {
+    const enc = this.encode(table, row);
+    const cols = Object.keys(enc);
+    const params = Object.values(enc);
+    const values = cols.length ? `(${cols.map(ident).join(", ")}) VALUES (${cols.map((_, i) => this.param(i + 1)).join(", ")})` : "DEFAULT VALUES";
+    return { sql: `INSERT INTO ${ident(table)} ${values}${conflict ? ` ${conflict}` : ""} RETURNING *`, params };
+  }
+
+  async update(table, where, patch) {
+    const enc = this.encode(table, patch);
+    const params = Object.values(enc);
+    const set = Object.keys(enc).map((c, i) => `${ident(c)} = ${this.param(i + 1)}`);
+    const sql = `UPDATE ${ident(table)} SET ${set.join(", ")}${this.where(where, params)} RETURNING *`;
+    return (await this.query(sql, params)).map((r) => this.decode(table, r));
+  }
+
+  async remove(table, where) {
+    const params = [];
+    await this.query(`DELETE FROM ${ident(table)}${this.where(where, params)}`, params);
+  }
+
+  // ===========================================================================
+  // MIGRATIONS
+  // ===========================================================================
+
+  // Files in migrations/<dialect>/ named NNN_name.sql, applied in order, each
+  // in its own transaction and recorded in pm_schema_migrations.
+  async migrate(dir = fileURLToPath(new URL(`../migrations/${this.dialect}/`, import.meta.url))) {
+    await this.execScript("CREATE TABLE IF NOT EXISTS pm_schema_migrations (version TEXT PRIMARY KEY, applied_at TEXT NOT NULL)");
+    const done = new Set((await this.select("pm_schema_migrations")).map((r) => r.version));
+    const files = fs
+      .readdirSync(dir)
+      .filter((f) => /^\d+_.*\.sql$/.test(f))
+      .sort();
+
+    const applied = [];
+    for (const file of files) {
+      const version = file.replace(/\.sql$/, "");
+      if (done.has(version)) continue;
+      const sql = fs.readFileSync(path.join(dir, file), "utf8");
+      await this.transaction(async () => {
+        await this.execScript(sql);
+        await this.insert("pm_schema_migrations", [{ version, applied_at: new Date().toISOString() }]);
+      });
+      console.log(`[Storage] Applied migration ${version} (${this.name})`);
+      applied.push(version);
+    }
+    return applied;
+  }
+}
+
+// =============================================================================
+// POSTGRES
+// =============================================================================
+
+const PG_TYPES = { INT8: 20, NUMERIC: 1700, TIMESTAMPTZ: 1184 };
+
+export class PostgresStore extends SqlStore {
+  constructor(pool) {
+    super({ name: "postgres", dialect: "postgres", param: (i) => `$${i}` });
+    this.pool = pool;
+    this.client = null; // set inside transaction()
+  }
+
+  static async connect({ connectionString, max = 4 }) {
+    const pg = await loadDriver("pg", "postgres");
+    const builtin = pg.types;
+    const pool = new pg.Pool({
+      connectionString,
+      max,
+      types: {
+        getTypeParser(oid, format) {
+          if (oid === PG_TYPES.INT8 || oid === PG_TYPES.NUMERIC) return (v) => (v === null ? null : Number(v));
+          if (oid === PG_TYPES.TIMESTAMPTZ) {
+            const parse = builtin.getTypeParser(oid, format);
+            return (v) => (v === null ? null : parse(v).toISOString());
+          }
+          return builtin.getTypeParser(oid, format);
+        },
+      },
+    });
+    pool.on("error", (e) => console.error("[Storage] postgres pool error:", e?.message || e));
+    await pool.query("SELECT 1");
+    return new PostgresStore(pool);
+  }
+
+  async query(sql, params = []) {
+    return (await (this.client || this.pool).query(sql, params)).rows;
+  }
+
+  async execScript(sql) {
+    await (this.client || this.pool).query(sql);
+  }
+
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    this.client = client;
+    try {
+      await client.query("BEGIN");
+      const out = await fn();
+      await client.query("COMMIT");
+      return out;
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      this.client = null;
+      client.release();
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+// =============================================================================
+// SQLITE
+// =============================================================================
+
+export class SqliteStore extends SqlStore {
+  constructor(db, file) {
+    super({ name: "sqlite", dialect: "sqlite", param: () => "?" });
+    this.db = db;
+    this.file = file;
+  }
+
+  // Creates the file (and its directory) if needed and, unless told not to,
+  // brings the schema up to date: nobody else migrates a local file.
+  static async open({ file = "./data/worker.db", migrate = true } = {}) {
+    const Database = await loadDriver("better-sqlite3", "sqlite");
+    if (file !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.pragma("busy_timeout = 5000");
+    const store = new SqliteStore(db, file);
+    if (migrate) await store.migrate();
+    return store;
+  }
+
+  encodeValue(v, json) {
+    if (typeof v === "boolean" && !json) return v ? 1 : 0;
+    return super.encodeValue(v, json);
+  }
+
+  decode(table, row) {
+    const meta = tableMeta(table);
+    const out = { ...row };
+    for (const col of meta.bool || []) if (out[col] != null) out[col] = Boolean(out[col]);
+    for (const col of meta.json || []) if (typeof out[col] === "string") out[col] = JSON.parse(out[col]);
+    return out;
+  }
+
+  async query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    if (stmt.reader) return stmt.all(...params);
+    stmt.run(...params);
+    return [];
+  }
+
+  async execScript(sql) {
+    this.db.exec(sql);
+  }
+
+  // better-sqlite3 is synchronous, so nothing else runs between BEGIN and
+  // COMMIT as long as fn doesn't await real I/O.
+  async transaction(fn) {
+    this.db.exec("BEGIN");
+    try {
+      const out = await fn();
+      this.db.exec("COMMIT");
+      return out;
+    } catch (e) {
+      this.db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
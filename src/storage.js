@@ -0,0 +1,259 @@
+// Persistence: repositories over a pluggable table store.
+//
+// Backends (STORAGE_BACKEND):
+//   supabase  PostgREST over HTTPS (SupabaseStore, below)
+//   postgres  direct connection, e.g. Supabase's own database (src/sqlstore.js)
+//   sqlite    a local file, for running and testing without a hosted service
+//
+// Every store speaks the same table-level interface; where is { col: value }
+// with an array meaning IN (...):
+//   select(table, where, { order: [col, "asc" | "desc"], limit }) -> rows
+//   insert(table, rows, { onConflict, ignoreDuplicates }) -> rows written
+//       (with ignoreDuplicates, only the rows that were new)
+//   upsert(table, rows, { onConflict }) -> void (merge on conflict)
+//   update(table, where, patch) -> rows
+//   remove(table, where) -> void
+//   close()
+//
+// The repositories on top are what the worker calls. PAPER_MODE points the
+// trading tables at their pm_paper_ twins; pm_assets stays shared.
+//
+// Schemas ship in migrations/<dialect>/ (see src/migrate.js).
+
+// Per-table metadata the SQL stores need: the natural key upserts merge on,
+// and the columns SQLite keeps as JSON text or 0/1 integers.
+export const TABLES = {
+  pm_assets: { key: ["asset"], bool: ["enabled"] },
+  pm_positions: { key: ["asset", "slug", "token_id"] },
+  pm_orders: { bool: ["neg_risk"] },
+  pm_fills: { key: ["trade_id", "order_id"] },
+  pm_runs: { key: ["run_id"], json: ["summary", "errors"] },
+  pm_settlements: { key: ["slug"], json: ["payouts", "tokens"] },
+  pm_risk_state: { key: ["id"], bool: ["tripped"] },
+  pm_audit: { json: ["params", "result"], bool: ["success"] },
+  pm_config: { key: ["scope", "key"], json: ["value"] },
+  pm_config_history: { json: ["old_value", "new_value", "override"] },
+  pm_book_snapshots: { json: ["payload"] },
+};
+
+export const PAPER_TABLES = new Set([
+  "pm_orders",
+  "pm_positions",
+  "pm_fills",
+  "pm_runs",
+  "pm_settlements",
+  "pm_risk_state",
+  "pm_audit",
+  "pm_config",
+  "pm_config_history",
+]);
+
+export function tableMeta(table) {
+  return TABLES[String(table).replace(/^pm_paper_/, "pm_")] || {};
+}
+
+// The "table doesn't exist" error of any backend (SQLite, Postgres,
+// PostgREST): a schema that was never migrated.
+export function isMissingTable(e) {
+  return /no such table|relation "?[\w.]+"? does not exist|42P01|PGRST205|could not find the table/i.test(e?.message || String(e));
+}
+
+const ACTIVE = ["ACTIVE", "PARTIALLY_FILLED"]; // partially filled orders still rest on the book
+
+// =============================================================================
+// SUPABASE (PostgREST)
+// =============================================================================
+
+function restValue(v) {
+  return encodeURIComponent(v === null ? "null" : String(v));
+}
+
+function restFilters(where = {}) {
+  return Object.entries(where).map(([col, v]) => {
+    if (Array.isArray(v)) return `${col}=in.(${encodeURIComponent(v.map((x) => `"${x}"`).join(","))})`;
+    if (v === null) return `${col}=is.null`;
+    return `${col}=eq.${restValue(v)}`;
+  });
+}
+
+export class SupabaseStore {
+  constructor({ url, serviceRoleKey }) {
+    this.name = "supabase";
+    this.url = url;
+    this.key = serviceRoleKey;
+  }
+
+  async request(path, options = {}) {
+    const res = await fetch(`${this.url}/rest/v1${path}`, {
+      ...options,
+      headers: {
+        apikey: this.key,
+        Authorization: `Bearer ${this.key}`,
+        "Content-Type": "application/json",
+        Prefer: options.prefer || "return=representation",
+        ...(options.headers || {}),
+      },
+    });
+
+    const text = await res.text();
+    if (!res.ok) throw new Error(`Supabase ${res.status}: ${text.slice(0, 250)}`);
+
+    return text ? JSON.parse(text) : null;
+  }
+
+  async select(table, where = {}, { order, limit } = {}) {
+    const q = ["select=*", ...restFilters(where)];
+    if (order) q.push(`order=${order[0]}.${order[1] || "asc"}`);
+    if (limit) q.push(`limit=${limit}`);
+    return (await this.request(`/${table}?${q.join("&")}`)) || [];
+  }
+
+  async insert(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+    const q = onConflict ? `?on_conflict=${onConflict.join(",")}` : "";
+    return (
+      (await this.request(`/${table}${q}`, {
+        method: "POST",
+        body: JSON.stringify(rows),
+        headers: ignoreDuplicates ? { Prefer: "resolution=ignore-duplicates,return=representation" } : {},
+      })) || []
+    );
+  }
+
+  // Without onConflict PostgREST merges on the primary key.
+  async upsert(table, rows, { onConflict } = {}) {
+    const q = onConflict ? `?on_conflict=${onConflict.join(",")}` : "";
+    await this.request(`/${table}${q}`, {
+      method: "POST",
+      body: JSON.stringify(rows),
+      headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    });
+  }
+
+  async update(table, where, patch) {
+    return (
+      (await this.request(`/${table}?${restFilters(where).join("&")}`, {
+        method: "PATCH",
+        body: JSON.stringify(patch),
+      })) || []
+    );
+  }
+
+  async remove(table, where) {
+    await this.request(`/${table}?${restFilters(where).join("&")}`, {
+      method: "DELETE",
+      headers: { Prefer: "return=minimal" },
+    });
+  }
+
+  async close() {}
+}
+
+// =============================================================================
+// REPOSITORIES
+// =============================================================================
+
+export function createRepositories(store, { paper = false } = {}) {
+  const t = (table) => (paper && PAPER_TABLES.has(table) ? table.replace(/^pm_/, "pm_paper_") : table);
+  const now = () => new Date().toISOString();
+  const first = (rows) => rows[0] || null;
+
+  return {
+    store,
+
+    assets: {
+      listEnabled: () => store.select("pm_assets", { enabled: true }),
+      // rows updated ([] for an unknown asset)
+      setEnabled: (asset, enabled) => store.update("pm_assets", { asset }, { enabled }),
+    },
+
+    positions: {
+      get: async (asset, slug, tokenId) => first(await store.select(t("pm_positions"), { asset, slug, token_id: String(tokenId) })),
+      list: () => store.select(t("pm_positions")),
+      upsert: (pos) => store.upsert(t("pm_positions"), [pos]),
+    },
+
+    orders: {
+      activeForToken: (asset, slug, tokenId) =>
+        store.select(t("pm_orders"), { asset, slug, token_id: String(tokenId), status: ACTIVE }),
+      activeForSlug: (asset, slug) => store.select(t("pm_orders"), { asset, slug, status: ACTIVE }),
+      allActive: () => store.select(t("pm_orders"), { status: ACTIVE }),
+      // submissions that never got an exchange order id (see src/orders.js)
+      unresolved: () =>
+        store.select(t("pm_orders"), { status: ["PENDING", "UNKNOWN"], order_id: null }, { order: ["placed_at", "asc"] }),
+      byIds: async (orderIds) => (orderIds.length ? store.select(t("pm_orders"), { order_id: orderIds.map(String) }) : []),
+      insert: (order) => store.insert(t("pm_orders"), [{ ...order, placed_at: now(), updated_at: now() }]),
+      patch: (orderId, patch) => store.update(t("pm_orders"), { order_id: orderId }, { ...patch, updated_at: now() }),
+      patchByClientId: (clientOrderId, patch) =>
+        store.update(t("pm_orders"), { client_order_id: clientOrderId }, { ...patch, updated_at: now() }),
+    },
+
+    runs: {
+      insert: (run) => store.insert(t("pm_runs"), [run]),
+    },
+
+    fills: {
+      // [] when (trade_id, order_id) was already recorded
+      insertOnce: (fill) => store.insert(t("pm_fills"), [fill], { onConflict: ["trade_id", "order_id"], ignoreDuplicates: true }),
+      get: async (tradeId, orderId) => first(await store.select(t("pm_fills"), { trade_id: String(tradeId), order_id: String(orderId) })),
+      patch: (tradeId, orderId, patch) => store.update(t("pm_fills"), { trade_id: String(tradeId), order_id: String(orderId) }, patch),
+    },
+
+    settlements: {
+      get: async (slug) => first(await store.select(t("pm_settlements"), { slug })),
+      upsert: (row) => store.upsert(t("pm_settlements"), [row], { onConflict: ["slug"] }),
+    },
+
+    // One row (id "worker") holding the kill switch and the PnL baselines.
+    riskState: {
+      get: async () => first(await store.select(t("pm_risk_state"), { id: "worker" })),
+      save: (state) => store.upsert(t("pm_risk_state"), [{ id: "worker", ...state, updated_at: now() }], { onConflict: ["id"] }),
+    },
+
+    // Runtime config overrides (src/settings.js) and their change history.
+    config: {
+      list: () => store.select(t("pm_config")),
+      save: (row) => store.upsert(t("pm_config"), [{ ...row, updated_at: now() }], { onConflict: ["scope", "key"] }),
+      remove: (scope, key) => store.remove(t("pm_config"), { scope, key }),
+      addHistory: async (rows) => (rows.length ? store.insert(t("pm_config_history"), rows) : []),
+      history: ({ scope, key, limit = 100 } = {}) => {
+        const where = {};
+        if (scope) where.scope = scope;
+        if (key) where.key = key;
+        const n = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+        return store.select(t("pm_config_history"), where, { order: ["created_at", "desc"], limit: n });
+      },
+    },
+
+    audit: {
+      insert: (row) => store.insert(t("pm_audit"), [row]),
+    },
+
+    bookSnapshots: {
+      insert: (rows) => store.insert("pm_book_snapshots", rows),
+    },
+  };
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+// Throws when the backend's settings are missing; the SQL drivers (pg,
+// better-sqlite3) are optional dependencies and load only when selected.
+export async function createStorage({ backend = "supabase", supabaseUrl, supabaseKey, databaseUrl, sqlitePath, paper = false }) {
+  let store;
+  if (backend === "supabase") {
+    if (!supabaseUrl || !supabaseKey) throw new Error("Supabase not configured (SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY)");
+    store = new SupabaseStore({ url: supabaseUrl, serviceRoleKey: supabaseKey });
+  } else if (backend === "postgres") {
+    if (!databaseUrl) throw new Error("DATABASE_URL is required for STORAGE_BACKEND=postgres");
+    const { PostgresStore } = await import("./sqlstore.js");
+    store = await PostgresStore.connect({ connectionString: databaseUrl });
+  } else if (backend === "sqlite") {
+    const { SqliteStore } = await import("./sqlstore.js");
+    store = await SqliteStore.open({ file: sqlitePath });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND ${backend} (supabase | postgres | sqlite)`);
+  }
+  return createRepositories(store, { paper });
+}
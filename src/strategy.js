@@ -0,0 +1,592 @@
+// Quoting, eligibility and exit decisions.
+//
+// Pure functions only (no I/O, no env): the worker's runCycle and the offline
+// backtester both call these, so a parameter set behaves the same in both.
+// Anything that depends on configuration takes it as the last argument `cfg`
+// (same keys as CONFIG in src/config.js).
+
+// =============================================================================
+// PRICE HELPERS
+// =============================================================================
+
+// Results are cut to the tick's decimals (0.01 -> 2, 0.001 -> 3) so prices
+// compare exactly and never carry float noise into a signed order.
+function onTick(steps, t) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(t) - 1e-9));
+  return Number((steps * t).toFixed(decimals));
+}
+
+export function roundToTick(price, tick) {
+  const t = Number(tick) || 0.01;
+  return onTick(Math.round(price / t), t);
+}
+
+export function roundDownToTick(price, tick) {
+  const t = Number(tick) || 0.01;
+  return onTick(Math.floor(price / t + 1e-9), t);
+}
+
+export function roundUpToTick(price, tick) {
+  const t = Number(tick) || 0.01;
+  return onTick(Math.ceil(price / t - 1e-9), t);
+}
+
+export function clamp(price, min, max) {
+  return Math.max(min, Math.min(max, price));
+}
+
+// The CLOB's price range for a market: [tick, 1 - tick].
+export function priceBounds(tick) {
+  const t = Number(tick) || 0.01;
+  return { min: t, max: roundToTick(1 - t, t) };
+}
+
+// Nearest price the CLOB accepts for the market: on the tick grid, within
+// priceBounds.
+export function validPrice(price, tick) {
+  const { min, max } = priceBounds(tick);
+  return clamp(roundToTick(price, tick), min, max);
+}
+
+// Sizing for one market: the exchange's min order size raises MIN_ORDER_SIZE.
+export function withMarketMinimum(cfg, minOrderSize) {
+  const min = Number(minOrderSize);
+  return min > cfg.MIN_ORDER_SIZE ? { ...cfg, MIN_ORDER_SIZE: min } : cfg;
+}
+
+// CLOB sizes carry 2 decimals; never try to sell more than we hold.
+export function sellableShares(shares) {
+  return Math.floor(Number(shares || 0) * 100) / 100;
+}
+
+export function priceMovedBps(from, to) {
+  return from > 0 ? Math.abs((to - from) / from) * 10000 : 99999;
+}
+
+// =============================================================================
+// ORDERBOOK
+// =============================================================================
+
+// Top-of-book summary in the shape runCycle works with. Levels are sorted here
+// because /book does not return them best-first.
+export function summarizeBook(rawBids, rawAsks, tickSize, minOrderSize = null) {
+  const bids = (Array.isArray(rawBids) ? rawBids : [])
+    .map((l) => ({ price: Number(l.price), size: Number(l.size) }))
+    .sort((a, b) => b.price - a.price);
+  const asks = (Array.isArray(rawAsks) ? rawAsks : [])
+    .map((l) => ({ price: Number(l.price), size: Number(l.size) }))
+    .sort((a, b) => a.price - b.price);
+
+  const bestBid = bids.length ? bids[0].price : 0;
+  const bestAsk = asks.length ? asks[0].price : 1;
+
+  const bidSize = bids.length ? bids[0].size : 0;
+  const askSize = asks.length ? asks[0].size : 0;
+
+  const bidDepthUsd = bidSize * bestBid;
+  const askDepthUsd = askSize * bestAsk;
+
+  return {
+    stale: false,
+    bestBid,
+    bestAsk,
+    bidSize,
+    askSize,
+    bidDepthUsd,
+    askDepthUsd,
+    topSumDepthUsd: bidDepthUsd + askDepthUsd,
+    tickSize: Number(tickSize) || 0.01,
+    minOrderSize: minOrderSize != null ? Number(minOrderSize) : null,
+  };
+}
+
+// =============================================================================
+// BOOK STATE + ELIGIBILITY
+// =============================================================================
+
+export function classifyBook(book, cfg) {
+  const empty = (book.bestBid <= 0.01 && book.bestAsk >= 0.99) || book.bestBid <= 0 || book.bestAsk >= 1.0;
+  const thin = !empty && (book.topSumDepthUsd < cfg.MIN_TOP_SUM_DEPTH_USD || book.bidDepthUsd < 1 || book.askDepthUsd < 1);
+  if (empty) return "EMPTY";
+  if (thin) return "THIN";
+  return "REAL";
+}
+
+export function spreadBpsMid(bestBid, bestAsk) {
+  const mid = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+  return mid > 0 ? Math.round((spread / mid) * 10000) : 99999;
+}
+
+// mode: MAKER, or FOK to also require FOK_MIN_DEPTH_USD on both sides.
+export function checkEligibilityNonSeed(book, side, mode, cfg) {
+  const { bestBid, bestAsk, bidDepthUsd, askDepthUsd, topSumDepthUsd } = book;
+  const spreadBps = spreadBpsMid(bestBid, bestAsk);
+
+  if (bestBid <= 0.01 && bestAsk >= 0.99) return { eligible: false, reason: "DEAD_BOOK" };
+  if (!bestAsk || bestAsk >= 1.0) return { eligible: false, reason: "NO_ASK" };
+  if (!bestBid || bestBid <= 0.0) return { eligible: false, reason: "NO_BID" };
+  if (bestBid < cfg.MIN_BID) return { eligible: false, reason: "MIN_BID" };
+  if (bestAsk > cfg.MAX_ASK) return { eligible: false, reason: "MAX_ASK" };
+  if (spreadBps > cfg.MAX_SPREAD_BPS) return { eligible: false, reason: "SPREAD" };
+  if (topSumDepthUsd < cfg.MIN_TOP_SUM_DEPTH_USD) return { eligible: false, reason: "SUM_DEPTH" };
+
+  if (mode === "FOK") {
+    if (bidDepthUsd < cfg.FOK_MIN_DEPTH_USD) return { eligible: false, reason: "FOK_BID_DEPTH" };
+    if (askDepthUsd < cfg.FOK_MIN_DEPTH_USD) return { eligible: false, reason: "FOK_ASK_DEPTH" };
+  }
+
+  if (String(side).toUpperCase() === "BUY") {
+    if (askDepthUsd < cfg.MIN_ASK_DEPTH_USD) return { eligible: false, reason: "ASK_DEPTH" };
+  } else {
+    if (bidDepthUsd < cfg.MIN_BID_DEPTH_USD) return { eligible: false, reason: "BID_DEPTH" };
+  }
+
+  return { eligible: true, reason: "OK" };
+}
+
+// =============================================================================
+// ENTRY QUOTES
+// =============================================================================
+
+// Seed: symmetric bid/ask around a fair, sized to ORDER_USD_PER_TRADE.
+export function seedQuote(fairPrice, halfSpreadBps, tick, cfg) {
+  const fair = clamp(fairPrice, 0.05, 0.95);
+
+  // Half-spread as price offset
+  const half = Math.max(tick, fair * (halfSpreadBps / 10000));
+
+  const bidPx = validPrice(fair - half, tick);
+  const askPx = validPrice(fair + half, tick);
+
+  // Size: aim $2 notional, minimum 1 share
+  const bidSize = Math.max(cfg.MIN_ORDER_SIZE, Math.floor(cfg.ORDER_USD_PER_TRADE / bidPx));
+  const askSize = Math.max(cfg.MIN_ORDER_SIZE, Math.floor(cfg.ORDER_USD_PER_TRADE / askPx));
+
+  return { fair, bidPx, askPx, bidSize, askSize };
+}
+
+// Non-seed: join the best bid improved by up to MAKER_TICK_IMPROVE ticks. With
+// a fair value the bid is capped MIN_EDGE_BPS below it; edgeOk=false means the
+// cap would leave no valid price.
+export function makerBuyQuote(book, tick, fair, cfg) {
+  const improve = Math.min(cfg.MAKER_TICK_IMPROVE * tick, (book.bestBid * cfg.MAKER_MAX_IMPROVE_BPS) / 10000);
+  let price = roundToTick(book.bestBid + improve, tick);
+
+  const { min, max } = priceBounds(tick);
+  let edgeOk = true;
+  if (fair !== null && fair !== undefined) {
+    const maxPx = roundDownToTick(fair * (1 - cfg.MIN_EDGE_BPS / 10000), tick);
+    if (maxPx < min) edgeOk = false;
+    price = Math.min(price, maxPx);
+  }
+
+  price = clamp(price, min, max);
+  const size = Math.max(cfg.MIN_ORDER_SIZE, Math.floor(cfg.ORDER_USD_PER_TRADE / price));
+  return { price, size, edgeOk };
+}
+
+// =============================================================================
+// LADDERS
+// =============================================================================
+
+// N levels per side stepping away from the level-0 prices by
+// LADDER_SPACING_TICKS, notional growing geometrically by LADDER_SIZE_RATIO.
+// sides: { bid, ask } booleans to build only one side.
+export function buildLadder(bidPx, askPx, tick, cfg, sides = { bid: true, ask: true }) {
+  const levels = Math.max(1, Math.floor(cfg.LADDER_LEVELS));
+  const step = Math.max(1, cfg.LADDER_SPACING_TICKS) * tick;
+  const { min, max } = priceBounds(tick);
+  const bids = [];
+  const asks = [];
+
+  for (let i = 0; i < levels; i++) {
+    const notional = cfg.ORDER_USD_PER_TRADE * Math.pow(cfg.LADDER_SIZE_RATIO, i);
+
+    const bp = roundToTick(bidPx - i * step, tick);
+    if (sides.bid && bp >= min - 1e-9) {
+      bids.push({ level: i, side: "BUY", price: bp, size: Math.max(cfg.MIN_ORDER_SIZE, Math.floor(notional / bp)) });
+    }
+
+    const ap = roundToTick(askPx + i * step, tick);
+    if (sides.ask && ap <= max + 1e-9) {
+      asks.push({ level: i, side: "SELL", price: ap, size: Math.max(cfg.MIN_ORDER_SIZE, Math.floor(notional / ap)) });
+    }
+  }
+
+  return [...bids, ...asks];
+}
+
+// Matches resting orders ({ id, side, price, remaining }) to desired levels by
+// side and price. A level is kept while an order rests at its price with at
+// least MIN_ORDER_SIZE left; everything else is cancelled or placed.
+export function diffLadder(desired, existing, tick, cfg) {
+  const unmatched = [...existing];
+  const place = [];
+
+  for (const lvl of desired) {
+    const i = unmatched.findIndex(
+      (o) => o.side === lvl.side && Math.abs(o.price - lvl.price) < tick / 2 && o.remaining >= cfg.MIN_ORDER_SIZE
+    );
+    if (i >= 0) unmatched.splice(i, 1);
+    else place.push(lvl);
+  }
+
+  return { cancel: unmatched, place };
+}
+
+// =============================================================================
+// COMPLEMENT (YES + NO)
+// =============================================================================
+
+// YES and NO pay $1 together, so our bids on the pair must sum to at most
+// 1 - edge and our asks to at least 1 + edge, otherwise the pair can be taken
+// against us risk-free. edge is MIN_EDGE_BPS of the $1 payout.
+export function complementEdge(cfg) {
+  return cfg.MIN_EDGE_BPS / 10000;
+}
+
+// Highest bid allowed on one token given our best resting bid on the other.
+export function maxComplementBid(otherBid, tick, cfg) {
+  if (!(otherBid > 0)) return priceBounds(tick).max;
+  return roundDownToTick(1 - complementEdge(cfg) - otherBid, tick);
+}
+
+// Lowest ask allowed on one token given our best resting ask on the other.
+export function minComplementAsk(otherAsk, tick, cfg) {
+  if (!(otherAsk > 0 && otherAsk < 1)) return priceBounds(tick).min;
+  return roundUpToTick(1 + complementEdge(cfg) - otherAsk, tick);
+}
+
+function sizeFor(price, cfg) {
+  return Math.max(cfg.MIN_ORDER_SIZE, Math.floor(cfg.ORDER_USD_PER_TRADE / price));
+}
+
+// Seed quotes for both tokens from one P(up): YES around p, NO around 1 - p,
+// then the pair is widened a tick at a time (higher bid down, lower ask up)
+// until the complement constraints hold. ok=false if the price bounds made
+// that impossible.
+export function complementSeedQuotes(pUp, halfSpreadBps, tick, cfg) {
+  const yes = seedQuote(pUp, halfSpreadBps, tick, cfg);
+  const no = seedQuote(1 - pUp, halfSpreadBps, tick, cfg);
+  const edge = complementEdge(cfg);
+  const { min, max } = priceBounds(tick);
+
+  for (let i = 0; i < 200 && yes.bidPx + no.bidPx > 1 - edge + 1e-9; i++) {
+    const q = yes.bidPx >= no.bidPx ? yes : no;
+    if (q.bidPx <= min) break;
+    q.bidPx = validPrice(q.bidPx - tick, tick);
+  }
+  for (let i = 0; i < 200 && yes.askPx + no.askPx < 1 + edge - 1e-9; i++) {
+    const q = yes.askPx <= no.askPx ? yes : no;
+    if (q.askPx >= max) break;
+    q.askPx = validPrice(q.askPx + tick, tick);
+  }
+
+  for (const q of [yes, no]) {
+    q.bidSize = sizeFor(q.bidPx, cfg);
+    q.askSize = sizeFor(q.askPx, cfg);
+  }
+
+  const ok = yes.bidPx + no.bidPx <= 1 - edge + 1e-9 && yes.askPx + no.askPx >= 1 + edge - 1e-9;
+  return { YES: yes, NO: no, ok };
+}
+
+// Risk view of one market's YES/NO positions. Matched pairs merge back into $1
+// of collateral, so only their locked-in loss (cost above $1) is exposure; the
+// unmatched remainder of each side is exposed at cost.
+export function marketExposure(yesPos, noPos) {
+  const yesShares = Math.max(0, Number(yesPos?.shares || 0));
+  const noShares = Math.max(0, Number(noPos?.shares || 0));
+  const yesAvg = Number(yesPos?.avg_cost || 0);
+  const noAvg = Number(noPos?.avg_cost || 0);
+
+  const pairs = Math.min(yesShares, noShares);
+  const lockedPnl = pairs * (1 - yesAvg - noAvg);
+  const yesUnhedgedUsd = (yesShares - pairs) * yesAvg;
+  const noUnhedgedUsd = (noShares - pairs) * noAvg;
+
+  return {
+    pairs,
+    lockedPnl,
+    yesUnhedgedUsd,
+    noUnhedgedUsd,
+    exposureUsd: yesUnhedgedUsd + noUnhedgedUsd + Math.max(0, -lockedPnl),
+  };
+}
+
+// Exposure for a flat list of position rows ({ asset, slug, outcome, shares, avg_cost }).
+// Returns the total plus a per-token lookup (unhedged USD), keyed by token_id.
+export function portfolioExposure(positions) {
+  const markets = new Map();
+  for (const p of positions) {
+    const key = `${p.asset}|${p.slug}`;
+    const m = markets.get(key) || {};
+    if (String(p.outcome).toUpperCase() === "NO") m.no = p;
+    else m.yes = p;
+    markets.set(key, m);
+  }
+
+  let totalUsd = 0;
+  const byToken = new Map();
+  for (const { yes, no } of markets.values()) {
+    const e = marketExposure(yes, no);
+    totalUsd += e.exposureUsd;
+    if (yes) byToken.set(String(yes.token_id), e.yesUnhedgedUsd);
+    if (no) byToken.set(String(no.token_id), e.noUnhedgedUsd);
+  }
+  return { totalUsd, byToken };
+}
+
+// =============================================================================
+// INVENTORY SKEW
+// =============================================================================
+
+// Signed unhedged inventory of one market in units of MAX_POSITION_USD_PER_TOKEN:
+// positive when long YES, negative when long NO (short YES). 0 with the cap
+// off: there is nothing to scale the skew by.
+export function inventoryRatio(yesPos, noPos, cfg) {
+  if (!(cfg.MAX_POSITION_USD_PER_TOKEN > 0)) return 0;
+  const m = marketExposure(yesPos, noPos);
+  return clamp((m.yesUnhedgedUsd - m.noUnhedgedUsd) / cfg.MAX_POSITION_USD_PER_TOKEN, -1, 1);
+}
+
+// Avellaneda–Stoikov on P(up), with the binary variance p(1 - p) as sigma^2:
+//   reservation = p - q * gamma * sigma^2 * (2 - tau)   (capped at INV_MAX_SKEW)
+//   half spread += gamma * sigma^2 * tau / 2            (in bps)
+// tau is the fraction of the window left. Unlike textbook A-S the skew grows
+// into expiry, since whatever we still hold then resolves to 0 or 1.
+// Skewing P(up) moves YES and NO quotes in opposite directions, so the pair
+// keeps its complement edge.
+export function inventorySkew(pUp, q, secsLeft, halfSpreadBps, cfg) {
+  const tau = clamp(secsLeft / cfg.FAIR_WINDOW_SECONDS, 0, 1);
+  const variance = pUp * (1 - pUp);
+  const skew = clamp(q * cfg.INV_RISK_AVERSION * variance * (2 - tau), -cfg.INV_MAX_SKEW, cfg.INV_MAX_SKEW);
+
+  return {
+    q: Number(q.toFixed(4)),
+    tau: Number(tau.toFixed(4)),
+    skew: Number(skew.toFixed(4)),
+    pUp: clamp(pUp - skew, 0.01, 0.99),
+    halfSpreadBps: halfSpreadBps + (cfg.INV_RISK_AVERSION * variance * tau * 10000) / 2,
+  };
+}
+
+// =============================================================================
+// POSITIONS
+// =============================================================================
+
+const FILL_EPS = 1e-6;
+
+// Volume-weighted average cost on buys; sells reduce shares at the existing
+// average and book the difference as realized PnL.
+export function applyFill(pos, side, size, price) {
+  const shares = Number(pos?.shares || 0);
+  const avgCost = Number(pos?.avg_cost || 0);
+  const realized = Number(pos?.realized_pnl || 0);
+
+  if (side === "BUY") {
+    const newShares = shares + size;
+    const newAvg = newShares > FILL_EPS ? (shares * avgCost + size * price) / newShares : 0;
+    return { shares: newShares, avg_cost: newAvg, realized_pnl: realized };
+  }
+
+  const sold = Math.min(size, Math.max(0, shares));
+  const newShares = Math.max(0, shares - size);
+  return {
+    shares: newShares,
+    avg_cost: newShares > FILL_EPS ? avgCost : 0,
+    realized_pnl: realized + sold * (price - avgCost),
+  };
+}
+
+// Undoes applyFill for a trade the exchange reported FAILED after it was
+// applied. avgCostBefore is the average cost the fill was applied against;
+// a sell booked its realized PnL from it and returns the shares at it.
+export function reverseFill(pos, side, size, price, avgCostBefore) {
+  const shares = Number(pos?.shares || 0);
+  const avgCost = Number(pos?.avg_cost || 0);
+  const realized = Number(pos?.realized_pnl || 0);
+
+  if (side === "BUY") {
+    const newShares = Math.max(0, shares - size);
+    const newAvg = newShares > FILL_EPS ? Math.max(0, (shares * avgCost - size * price) / newShares) : 0;
+    return { shares: newShares, avg_cost: newAvg, realized_pnl: realized };
+  }
+
+  const basis = avgCostBefore != null ? Number(avgCostBefore) : avgCost;
+  const newShares = shares + size;
+  return {
+    shares: newShares,
+    avg_cost: newShares > FILL_EPS ? (shares * avgCost + size * basis) / newShares : 0,
+    realized_pnl: realized - size * (price - basis),
+  };
+}
+
+export function unrealizedPnl(avgCost, shares, book) {
+  return shares * (Number(book.bestBid || 0) - avgCost);
+}
+
+// =============================================================================
+// EXITS
+// =============================================================================
+
+// Lowest price that still earns the configured edge on the whole position.
+export function takeProfitFloor(avgCost, shares, cfg) {
+  const edge = Math.max(
+    avgCost * (cfg.TAKE_PROFIT_BPS / 10000),
+    cfg.TAKE_PROFIT_USD,
+    shares > 0 ? cfg.MIN_PROFIT_USD / shares : 0
+  );
+  return avgCost + edge;
+}
+
+// Rest one tick inside the best ask, but never below the profit floor. When
+// the best ask is our own resting TP (ownAsk), it stays where it is instead
+// of being undercut a tick at a time down to the floor.
+export function takeProfitPrice(avgCost, shares, book, tick, cfg, ownAsk = null) {
+  const floor = roundUpToTick(takeProfitFloor(avgCost, shares, cfg), tick);
+  const ours = ownAsk > 0 && Math.abs(ownAsk - book.bestAsk) < tick / 2;
+  const inside = ours ? ownAsk : book.bestAsk < 1 ? roundToTick(book.bestAsk - tick, tick) : floor;
+  return validPrice(Math.max(floor, inside), tick);
+}
+
+export function stopLossTriggered(avgCost, shares, book, cfg) {
+  return Boolean(cfg.STOP_LOSS_ENABLED) && -unrealizedPnl(avgCost, shares, book) > cfg.STOP_LOSS_USD;
+}
+
+// =============================================================================
+// CLOSEOUT
+// =============================================================================
+
+// 0 -> rest at the best ask, 1 -> FOK into the bid (last CLOSEOUT_FOK_SECONDS).
+export function closeoutAggression(secsLeft, cfg) {
+  if (secsLeft <= cfg.CLOSEOUT_FOK_SECONDS) return 1;
+  const window = Math.max(1, cfg.CLOSEOUT_SECONDS - cfg.CLOSEOUT_FOK_SECONDS);
+  return clamp(1 - (secsLeft - cfg.CLOSEOUT_FOK_SECONDS) / window, 0, 0.99);
+}
+
+// Resting flatten price for aggression < 1: slides from the ask toward the bid.
+export function closeoutSellPrice(book, aggression, tick) {
+  const { min, max } = priceBounds(tick);
+  const ask = book.bestAsk < 1 ? book.bestAsk : Math.min(max, book.bestBid + 10 * tick);
+  const bid = book.bestBid > 0 ? book.bestBid : min;
+  return clamp(Math.max(roundUpToTick(ask - aggression * (ask - bid), tick), bid), min, max);
+}
+
+// =============================================================================
+// CYCLE DECISIONS
+// =============================================================================
+
+// What runCycle and the backtester decide per market and token, as plans each
+// carries out with its own orders. Orders are { side, price, size, orderType,
+// kind } with kind SEED_BID, SEED_ASK, BUY (maker), TP, SL or CO.
+
+// Fair price of an outcome token from the market's P(up): NO is its complement.
+export function fairForOutcome(pUp, outcome) {
+  return String(outcome).toUpperCase() === "NO" ? 1 - pUp : pUp;
+}
+
+// Where a market's quotes center: the fair P(up), skewed by the market's
+// inventory when INVENTORY_SKEW_ENABLED. inv is the inventorySkew() result.
+export function quoteCenter(fv, yesPos, noPos, secsLeft, cfg) {
+  if (!cfg.INVENTORY_SKEW_ENABLED) return { pUp: fv.pUp, halfSpreadBps: cfg.SEED_HALF_SPREAD_BPS, inv: null };
+  const inv = inventorySkew(fv.pUp, inventoryRatio(yesPos, noPos, cfg), secsLeft, cfg.SEED_HALF_SPREAD_BPS, cfg);
+  return { pUp: inv.pUp, halfSpreadBps: inv.halfSpreadBps, inv };
+}
+
+// Seed mode quotes EMPTY and THIN books; with LADDER_ENABLED as a ladder,
+// whose levels are diffed rather than aged out by STALE_MS.
+export function seedsBook(state, cfg) {
+  return Boolean(cfg.SEED_ENABLED) && (state === "EMPTY" || state === "THIN");
+}
+
+export function ladderActive(state, cfg) {
+  return Boolean(cfg.LADDER_ENABLED) && seedsBook(state, cfg);
+}
+
+// Exits for a position. exits: our resting exit orders with numeric price and
+// remaining, handed back as-is in cancel. A stop-loss sells into the bid (FOK);
+// otherwise one GTC take-profit rests for the whole position and is kept while
+// its price is within REQUOTE_BPS and its size still matches.
+// Returns { cancel, order, skip }.
+export function planExit({ shares, avgCost, book, exits }, tick, cfg) {
+  const size = sellableShares(shares);
+  if (size < cfg.MIN_ORDER_SIZE || avgCost <= 0) return { cancel: exits, order: null, skip: null };
+
+  if (stopLossTriggered(avgCost, shares, book, cfg)) {
+    if (book.bidDepthUsd < cfg.FOK_MIN_DEPTH_USD) return { cancel: [], order: null, skip: "stop_loss_depth" };
+    const slSize = Math.min(size, sellableShares(book.bidSize));
+    if (slSize < cfg.MIN_ORDER_SIZE) return { cancel: exits, order: null, skip: "stop_loss_depth" };
+    return { cancel: exits, order: { side: "SELL", price: book.bestBid, size: slSize, orderType: "FOK", kind: "SL" }, skip: null };
+  }
+
+  const sells = exits.filter((o) => o.side === "SELL");
+  const ownAsk = sells.length ? Math.min(...sells.map((o) => o.price)) : null;
+  const price = takeProfitPrice(avgCost, shares, book, tick, cfg, ownAsk);
+  const keep = sells.find((o) => priceMovedBps(o.price, price) <= cfg.REQUOTE_BPS && Math.abs(o.remaining - size) < cfg.MIN_ORDER_SIZE);
+  return {
+    cancel: sells.filter((o) => o !== keep),
+    order: keep ? null : { side: "SELL", price, size, orderType: "GTC", kind: "TP" },
+    skip: null,
+  };
+}
+
+// Closeout SELL for size shares at the given aggression (closeoutAggression):
+// resting below 1, FOK into the bid for what it can take at 1.
+// Returns { order, skip } with skip no_bid or no_bid_depth.
+export function planCloseout(size, book, aggression, tick, cfg) {
+  if (aggression < 1) {
+    return { order: { side: "SELL", price: closeoutSellPrice(book, aggression, tick), size, orderType: "GTC", kind: "CO" }, skip: null };
+  }
+  if (!(book.bestBid > 0)) return { order: null, skip: "no_bid" };
+  const fokSize = Math.min(size, sellableShares(book.bidSize));
+  if (fokSize < cfg.MIN_ORDER_SIZE) return { order: null, skip: "no_bid_depth" };
+  return { order: { side: "SELL", price: book.bestBid, size: fokSize, orderType: "FOK", kind: "CO" }, skip: null };
+}
+
+// Entry orders for one token.
+//   center:     quoteCenter() of its market; fairSource the fair model's source
+//   open:       { buys, sells } counts of our resting entries on the token
+//   other:      our best resting { bid, ask } on the complement token
+// Returns { mode, quote, orders, skips }. mode is seed, ladder (quote's
+// bidPx/askPx are the level-0 prices for buildLadder, bidOk/askOk its sides;
+// no orders) or maker.
+export function planEntries({ book, state, outcome, tick, center, fairSource, open, other = {} }, cfg) {
+  const skips = [];
+
+  if (seedsBook(state, cfg)) {
+    const q = complementSeedQuotes(center.pUp, center.halfSpreadBps, tick, cfg)[outcome];
+    const bidPx = Math.min(q.bidPx, maxComplementBid(other.bid, tick, cfg));
+    const askPx = Math.max(q.askPx, minComplementAsk(other.ask, tick, cfg));
+    const { min, max } = priceBounds(tick);
+    const bidOk = bidPx >= min;
+    const askOk = askPx <= max;
+    if (!bidOk) skips.push("complement_bid");
+    if (!askOk) skips.push("complement_ask");
+
+    const quote = { fair: q.fair, bidPx, askPx, bidSize: q.bidSize, askSize: q.askSize, bidOk, askOk };
+    if (ladderActive(state, cfg)) return { mode: "ladder", quote, orders: [], skips };
+
+    const orders = [];
+    if (open.buys < cfg.MAX_ORDERS_PER_SIDE && bidOk) orders.push({ side: "BUY", price: bidPx, size: q.bidSize, orderType: "GTC", kind: "SEED_BID" });
+    if (open.sells < cfg.MAX_ORDERS_PER_SIDE && askOk) orders.push({ side: "SELL", price: askPx, size: q.askSize, orderType: "GTC", kind: "SEED_ASK" });
+    if (!orders.length) skips.push("seed_max_orders");
+    return { mode: "seed", quote, orders, skips };
+  }
+
+  const maker = (skip) => ({ mode: "maker", quote: null, orders: [], skips: [skip] });
+  const buyOk = checkEligibilityNonSeed(book, "BUY", "MAKER", cfg);
+  if (!buyOk.eligible) return maker(`nonseed_block_${buyOk.reason}`);
+  if (open.buys >= cfg.MAX_OPEN_ORDERS_PER_TOKEN) return maker("max_orders");
+
+  // The constant fair is a seeding placeholder, not a view on value, so only
+  // a real model (or an inventory skew) caps the maker bid.
+  const fair = fairSource === "constant" && !center.inv?.skew ? null : fairForOutcome(center.pUp, outcome);
+  const q = makerBuyQuote(book, tick, fair, cfg);
+  if (!q.edgeOk) return maker("nonseed_no_edge");
+
+  const price = Math.min(q.price, maxComplementBid(other.bid, tick, cfg));
+  if (price < priceBounds(tick).min) return maker("complement_bid");
+  return { mode: "maker", quote: { fair, price, size: q.size }, orders: [{ side: "BUY", price, size: q.size, orderType: "GTC", kind: "BUY" }], skips };
+}
@@ -0,0 +1,70 @@
+// Authenticated user channel: our order and trade events as they happen.
+//
+//   {"event_type":"order", id, asset_id, side, price, original_size, size_matched, type: PLACEMENT|UPDATE|CANCELLATION, timestamp}
+//   {"event_type":"trade", id, asset_id, side, price, size, status, taker_order_id, maker_orders:[...], match_time, ...}
+//
+// Trades arrive once per status change (MATCHED, MINED, CONFIRMED, or FAILED),
+// in the same shape as REST getTrades(), so consumers dedup by trade id.
+//
+// UserChannel is the event bus: it emits "order" and "trade" per event, and
+// "open" ({ reconnect }) / "close" for the connection, so consumers can replay
+// REST trades after a gap.
+
+import { EventEmitter } from "node:events";
+import { ReconnectingSocket } from "./socket.js";
+
+export class UserChannel extends EventEmitter {
+  // creds:   { key, secret, passphrase } as derived by createOrDeriveApiKey()
+  // markets: condition ids to filter on (empty = all of ours)
+  // Socket options (WebSocketImpl, pingMs, reconnectMinMs, reconnectMaxMs) go to ReconnectingSocket.
+  constructor({ url, creds, markets = [], ...socketOpts }) {
+    super();
+    this.url = url;
+    this.stats = { orders: 0, trades: 0, opens: 0, lastEventAt: null };
+
+    this.socket = new ReconnectingSocket({
+      name: "UserStream",
+      url,
+      subscribe: () => ({
+        auth: { apiKey: creds.key, secret: creds.secret, passphrase: creds.passphrase },
+        type: "user",
+        markets,
+      }),
+      ...socketOpts,
+    });
+
+    this.socket.on("open", (info) => {
+      this.stats.opens++;
+      console.log(`[UserStream] connected${info.reconnect ? " (reconnect)" : ""}`);
+      this.emit("open", info);
+    });
+    this.socket.on("close", () => this.emit("close"));
+    this.socket.on("events", (events) => {
+      for (const ev of events) {
+        const type = ev?.event_type;
+        if (type !== "order" && type !== "trade") continue;
+        this.stats[`${type}s`]++;
+        this.stats.lastEventAt = new Date().toISOString();
+        this.emit(type, ev);
+      }
+    });
+  }
+
+  start() {
+    this.socket.start();
+  }
+
+  stop() {
+    this.socket.stop();
+  }
+
+  status() {
+    return {
+      running: this.socket.running,
+      connected: this.socket.connected,
+      url: this.url,
+      ...this.socket.stats,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,157 @@
+// AlertManager and its sinks against a local HTTP receiver.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { AlertManager, WebhookSink, SlackSink, TelegramSink } from "../src/alerts.js";
+
+// =============================================================================
+// RECEIVER
+// =============================================================================
+
+let server;
+let base;
+let received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      if (req.url === "/down") {
+        res.writeHead(500);
+        return res.end("receiver down");
+      }
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end('{"ok":true}');
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((r) => server.close(r));
+});
+
+beforeEach(() => {
+  received = [];
+});
+
+function manager(opts = {}) {
+  return new AlertManager({ sinks: [new WebhookSink({ url: `${base}/hook` })], source: "test", ...opts });
+}
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const MIN = 60000;
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+test("each sink posts its own payload", async () => {
+  const alerts = new AlertManager({
+    sinks: [
+      new WebhookSink({ url: `${base}/hook` }),
+      new SlackSink({ url: `${base}/slack` }),
+      new TelegramSink({ botToken: "t0k", chatId: "42", apiUrl: `${base}/` }),
+    ],
+    source: "test",
+  });
+  const sent = await alerts.notify({ key: "cycle_error", severity: "error", title: "Cycle failed", message: "boom", fields: { count: 3 } }, T0);
+  assert.equal(sent, true);
+
+  const byPath = Object.fromEntries(received.map((r) => [r.path, r.body]));
+  assert.deepEqual(Object.keys(byPath).sort(), ["/bott0k/sendMessage", "/hook", "/slack"]);
+  assert.deepEqual(byPath["/hook"].alert, {
+    key: "cycle_error",
+    severity: "error",
+    title: "Cycle failed",
+    message: "boom",
+    fields: { count: 3 },
+    source: "test",
+    suppressed: 0,
+    at: "2026-01-01T00:00:00.000Z",
+  });
+  assert.equal(byPath["/slack"].text, "[ERROR] test: Cycle failed\nboom\ncount: 3");
+  assert.equal(byPath["/bott0k/sendMessage"].chat_id, "42");
+  assert.equal(byPath["/bott0k/sendMessage"].text, byPath["/slack"].text);
+});
+
+test("a key within its cooldown is suppressed and counted on the next alert", async () => {
+  const alerts = manager({ cooldownMs: 10 * MIN });
+  assert.equal(await alerts.notify({ key: "k", title: "first" }, T0), true);
+  assert.equal(await alerts.notify({ key: "k", title: "again" }, T0 + MIN), false);
+  assert.equal(await alerts.notify({ key: "k", title: "again" }, T0 + 2 * MIN), false);
+  assert.equal(await alerts.notify({ key: "other", title: "other key" }, T0 + 2 * MIN), true);
+  assert.equal(await alerts.notify({ key: "k", title: "after cooldown" }, T0 + 10 * MIN), true);
+
+  assert.deepEqual(
+    received.map((r) => [r.body.alert.key, r.body.alert.suppressed]),
+    [["k", 0], ["other", 0], ["k", 2]]
+  );
+  assert.equal(alerts.status().suppressed, 2);
+});
+
+test("dedup: false alerts are never suppressed by key", async () => {
+  const alerts = manager({ cooldownMs: 10 * MIN });
+  for (let i = 0; i < 3; i++) assert.equal(await alerts.notify({ key: "large_fill", title: `fill ${i}`, dedup: false }, T0 + i), true);
+  assert.equal(received.length, 3);
+});
+
+test("at most maxPerHour alerts go out in a rolling hour", async () => {
+  const alerts = manager({ cooldownMs: 0, maxPerHour: 2 });
+  assert.equal(await alerts.notify({ key: "a", title: "a" }, T0), true);
+  assert.equal(await alerts.notify({ key: "b", title: "b" }, T0 + MIN), true);
+  assert.equal(await alerts.notify({ key: "c", title: "c" }, T0 + 2 * MIN), false);
+  assert.equal(alerts.status().rateLimited, 1);
+
+  // the first one ages out of the window
+  assert.equal(await alerts.notify({ key: "c", title: "c" }, T0 + 60 * MIN), true);
+  assert.deepEqual(received.map((r) => [r.body.alert.key, r.body.alert.suppressed]), [["a", 0], ["b", 0], ["c", 1]]);
+});
+
+test("resolve sends a recovery notice for a key that fired and re-arms it", async () => {
+  const alerts = manager({ cooldownMs: 10 * MIN });
+  assert.equal(await alerts.resolve("stuck", "", T0), false);
+
+  await alerts.notify({ key: "stuck", title: "Runner stuck" }, T0);
+  await alerts.notify({ key: "stuck", title: "Runner stuck" }, T0 + MIN);
+  assert.deepEqual(alerts.status().active, ["stuck"]);
+
+  assert.equal(await alerts.resolve("stuck", "cycle completed", T0 + 2 * MIN), true);
+  assert.deepEqual(alerts.status().active, []);
+  assert.equal(await alerts.resolve("stuck", "", T0 + 2 * MIN), false);
+  assert.equal(await alerts.notify({ key: "stuck", title: "Runner stuck" }, T0 + 3 * MIN), true);
+
+  assert.deepEqual(
+    received.map((r) => [r.body.alert.severity, r.body.alert.title, r.body.alert.suppressed]),
+    [
+      ["warn", "Runner stuck", 0],
+      ["resolved", "Resolved: stuck", 1],
+      ["warn", "Runner stuck", 0],
+    ]
+  );
+});
+
+test("a failing sink is recorded in status and doesn't stop the others", async () => {
+  const alerts = new AlertManager({
+    sinks: [new WebhookSink({ url: `${base}/down` }), new SlackSink({ url: `${base}/slack` })],
+    source: "test",
+  });
+  assert.equal(await alerts.notify({ key: "k", title: "t" }, T0), true);
+
+  const st = alerts.status();
+  assert.equal(st.sent, 1);
+  assert.equal(st.sinkErrors, 1);
+  assert.match(st.lastError, /^webhook: status=500 body=receiver down/);
+  assert.deepEqual(received.map((r) => r.path), ["/slack"]);
+});
+
+test("with no sinks nothing is sent", async () => {
+  const alerts = new AlertManager({});
+  assert.equal(alerts.enabled, false);
+  assert.equal(await alerts.notify({ key: "k", title: "t" }, T0), false);
+  assert.equal(alerts.status().sent, 0);
+});
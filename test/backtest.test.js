@@ -0,0 +1,50 @@
+// Backtester over a small recorded event file: one market seeded from an
+// EMPTY book, filled, taken profit on, then resolved YES.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { expandGrid, loadEvents, runBacktest } from "../src/backtest.js";
+
+const BOOKS = fileURLToPath(new URL("./fixtures/books.jsonl", import.meta.url));
+const OPTS = { intervalMs: 15000, startingCash: 1000 };
+
+test("replays the recorded books deterministically", async () => {
+  const events = await loadEvents(BOOKS);
+  assert.equal(events[0].type, "market");
+
+  const first = await runBacktest(events, { SEED_ENABLED: true }, OPTS);
+  const second = await runBacktest(events, { SEED_ENABLED: true }, OPTS);
+  assert.deepEqual(second, first);
+
+  assert.equal(first.orders_placed, 9);
+  assert.equal(first.fills, 4);
+  assert.equal(first.volume_usd, 7.6);
+  // the seed asks have no inventory to sell behind them
+  assert.deepEqual(first.skipped, { reject_SEED_ASK: 3, max_orders: 1 });
+  assert.deepEqual(first.max_inventory, { Y: 4, N: 4 });
+  assert.equal(first.realized_pnl, -0.24);
+  assert.equal(first.pnl, -0.24);
+  assert.deepEqual(
+    first.settled.map((s) => [s.outcome, s.shares, s.payout]),
+    [["YES", 0, 1], ["NO", 0, 0]]
+  );
+});
+
+test("without seeding the maker bid waits out the dead opening books", async () => {
+  const events = await loadEvents(BOOKS);
+  const r = await runBacktest(events, { SEED_ENABLED: false }, OPTS);
+  assert.equal(r.skipped.nonseed_block_DEAD_BOOK, 2);
+  assert.equal(r.orders_placed, 3);
+  assert.equal(r.fills, 0);
+  assert.equal(r.pnl, 0);
+});
+
+test("expandGrid runs every combination and rejects unknown keys", () => {
+  assert.deepEqual(expandGrid({ SEED_HALF_SPREAD_BPS: [100, 200], MIN_BID: [0.02] }), [
+    { SEED_HALF_SPREAD_BPS: 100, MIN_BID: 0.02 },
+    { SEED_HALF_SPREAD_BPS: 200, MIN_BID: 0.02 },
+  ]);
+  assert.throws(() => expandGrid({ NOPE: [1] }), /Unknown grid key: NOPE/);
+  assert.throws(() => expandGrid({ MIN_BID: [] }), /non-empty array/);
+});
@@ -0,0 +1,245 @@
+// MarketDataFeed against a local mock of the CLOB market channel.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocketServer } from "ws";
+import { MarketDataFeed, summaryHash } from "../src/marketdata.js";
+
+// =============================================================================
+// MOCK MARKET CHANNEL
+// =============================================================================
+
+// The server side of one token's book. Levels are kept as the strings sent;
+// every state is hashed the way the feed expects (summaryHash).
+class MockBook {
+  constructor(assetId) {
+    this.assetId = assetId;
+    this.bids = new Map([["0.48", "100"], ["0.47", "50"], ["0.45", "20"]]);
+    this.asks = new Map([["0.52", "100"], ["0.53", "50"]]);
+    this.ts = 1700000000000;
+  }
+
+  levels() {
+    const bids = [...this.bids].map(([price, size]) => ({ price, size })).sort((a, b) => a.price - b.price);
+    const asks = [...this.asks].map(([price, size]) => ({ price, size })).sort((a, b) => b.price - a.price);
+    return { bids, asks };
+  }
+
+  // The book summary the server hashes; snapshots on either path carry it.
+  summary() {
+    const { bids, asks } = this.levels();
+    const fields = { market: "0xm", asset_id: this.assetId, timestamp: String(this.ts), hash: "", bids, asks, min_order_size: "5", tick_size: "0.01", neg_risk: false };
+    return { ...fields, hash: summaryHash(fields) };
+  }
+
+  wsSnapshot() {
+    return { event_type: "book", ...this.summary() };
+  }
+
+  // Applies a change and returns the price_change event for it.
+  change(side, price, size) {
+    const levels = side === "BUY" ? this.bids : this.asks;
+    if (Number(size) > 0) levels.set(price, size);
+    else levels.delete(price);
+    this.ts += 100;
+
+    const { bids, asks, hash } = this.summary();
+    return {
+      event_type: "price_change",
+      market: "0xm",
+      timestamp: String(this.ts),
+      price_changes: [
+        {
+          asset_id: this.assetId,
+          price,
+          size,
+          side,
+          hash,
+          best_bid: bids.length ? bids[bids.length - 1].price : "0",
+          best_ask: asks.length ? asks[asks.length - 1].price : "0",
+        },
+      ],
+    };
+  }
+}
+
+let wss;
+let url;
+let book;
+let clients = [];
+let subscriptions = [];
+
+function send(ev) {
+  for (const ws of clients) ws.send(JSON.stringify([ev]));
+}
+
+before(async () => {
+  wss = new WebSocketServer({ port: 0 });
+  await new Promise((r) => wss.once("listening", r));
+  url = `ws://127.0.0.1:${wss.address().port}`;
+  wss.on("connection", (ws) => {
+    clients.push(ws);
+    ws.on("close", () => (clients = clients.filter((c) => c !== ws)));
+    ws.on("message", (raw) => {
+      if (String(raw) === "PING") return ws.send("PONG");
+      const sub = JSON.parse(String(raw));
+      subscriptions.push(sub);
+      if (sub.assets_ids.includes(book.assetId)) ws.send(JSON.stringify([book.wsSnapshot()]));
+    });
+  });
+});
+
+after(async () => {
+  for (const ws of clients) ws.terminate();
+  await new Promise((r) => wss.close(r));
+});
+
+async function waitFor(cond, what, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+function startFeed() {
+  const snapshots = [];
+  const feed = new MarketDataFeed({
+    url,
+    fetchSnapshot: async (tokenId) => {
+      snapshots.push(tokenId);
+      return { data: book.summary() };
+    },
+    reconnectMinMs: 20,
+    reconnectMaxMs: 50,
+  });
+  feed.setAssets(["T1"]);
+  feed.start();
+  return { feed, snapshots };
+}
+
+const bestBid = (feed) => Math.max(...feed.getBook("T1").bids.map((l) => Number(l.price)));
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+test("snapshot on subscribe gives a synced local book", async () => {
+  book = new MockBook("T1");
+  subscriptions = [];
+  const { feed } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    assert.deepEqual(subscriptions[0], { type: "market", assets_ids: ["T1"] });
+    assert.deepEqual(feed.getBook("T1").bids, book.levels().bids);
+    assert.deepEqual(feed.getBook("T1").asks, book.levels().asks);
+    assert.equal(feed.books.get("T1").hashOk, true);
+    assert.equal(feed.getBook("T2"), null);
+  } finally {
+    feed.stop();
+  }
+});
+
+test("deltas apply and verify against the server hash", async () => {
+  book = new MockBook("T1");
+  const { feed, snapshots } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    send(book.change("BUY", "0.49", "10"));
+    send(book.change("SELL", "0.52", "0"));
+    await waitFor(() => feed.stats.changes === 2, "deltas");
+
+    assert.equal(bestBid(feed), 0.49);
+    assert.deepEqual(feed.getBook("T1").asks, book.levels().asks);
+    assert.equal(feed.stats.hashMismatches, 0);
+    assert.equal(feed.stats.mismatches, 0);
+    assert.equal(snapshots.length, 0);
+  } finally {
+    feed.stop();
+  }
+});
+
+test("a missed update below the top of book is caught by the hash and resynced over REST", async () => {
+  book = new MockBook("T1");
+  const { feed, snapshots } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    book.change("BUY", "0.45", "0"); // never sent
+    send(book.change("BUY", "0.46", "5")); // top of book still agrees
+
+    await waitFor(() => feed.stats.resyncs === 1, "resync");
+    assert.equal(feed.stats.hashMismatches, 1);
+    assert.equal(feed.stats.mismatches, 0);
+    assert.deepEqual(snapshots, ["T1"]);
+    assert.deepEqual(feed.getBook("T1").bids, book.levels().bids);
+
+    // back in sync: the next delta verifies
+    send(book.change("SELL", "0.51", "7"));
+    await waitFor(() => feed.stats.changes === 2, "delta after resync");
+    assert.equal(feed.stats.hashMismatches, 1);
+    assert.equal(feed.books.get("T1").hash, book.summary().hash);
+  } finally {
+    feed.stop();
+  }
+});
+
+test("a delta for a book without a snapshot is a gap", async () => {
+  book = new MockBook("T1");
+  const { feed, snapshots } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    feed.books.get("T1").synced = false;
+    send(book.change("BUY", "0.49", "10"));
+
+    await waitFor(() => feed.stats.resyncs === 1, "resync");
+    assert.equal(feed.stats.gaps, 1);
+    assert.deepEqual(snapshots, ["T1"]);
+    assert.equal(bestBid(feed), 0.49);
+  } finally {
+    feed.stop();
+  }
+});
+
+test("hash checks turn off for a token whose hashes never reproduce", async () => {
+  book = new MockBook("T1");
+  const { feed } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    for (let i = 0; i < 3; i++) {
+      const ev = book.change("BUY", `0.4${i}`, "1");
+      ev.price_changes[0].hash = "not-our-hash";
+      send(ev);
+      await waitFor(() => feed.stats.resyncs === i + 1, `resync ${i + 1}`);
+    }
+    assert.equal(feed.stats.hashDisabled, 1);
+    assert.equal(feed.books.get("T1").hashOk, false);
+
+    const ev = book.change("BUY", "0.49", "1");
+    ev.price_changes[0].hash = "not-our-hash";
+    send(ev);
+    await waitFor(() => bestBid(feed) === 0.49, "unchecked delta");
+    assert.equal(feed.stats.hashMismatches, 3);
+  } finally {
+    feed.stop();
+  }
+});
+
+test("reconnects, resubscribes and resyncs from the new snapshot", async () => {
+  book = new MockBook("T1");
+  subscriptions = [];
+  const { feed } = startFeed();
+  try {
+    await waitFor(() => feed.getBook("T1"), "snapshot");
+    for (const ws of clients) ws.terminate();
+    await waitFor(() => !feed.socket.connected, "disconnect");
+    assert.equal(feed.getBook("T1"), null);
+
+    book.change("BUY", "0.49", "10"); // traded while we were away
+    await waitFor(() => feed.getBook("T1") && bestBid(feed) === 0.49, "resubscribed snapshot");
+    assert.equal(subscriptions.length, 2);
+    assert.equal(feed.socket.stats.reconnects, 1);
+    assert.equal(feed.books.get("T1").hashOk, true);
+  } finally {
+    feed.stop();
+  }
+});
@@ -0,0 +1,153 @@
+// OrderManager against a scripted CLOB: ambiguous submissions, retries that
+// must not post an order twice, and reconciliation attaching an order that
+// landed after its submission was given up as UNKNOWN.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OrderManager, classifyOrderError, findLandedOrder } from "../src/orders.js";
+
+const TIMEOUT = { error: "timeout of 10000ms exceeded" };
+
+// One script step per post: land puts the order on the book (true), keeps it
+// back until arrive() ("late") or drops it (false); resp replaces the success
+// answer.
+function fakeClient(script = []) {
+  const client = {
+    posts: 0,
+    open: [],
+    late: [],
+    async createAndPostOrder(order) {
+      const step = script[client.posts++] ?? { land: true };
+      const o = {
+        id: `O${client.posts}`,
+        asset_id: String(order.tokenID),
+        side: order.side,
+        price: String(order.price),
+        original_size: String(order.size),
+      };
+      if (step.land === "late") client.late.push(o);
+      else if (step.land) client.open.push(o);
+      return step.resp ?? { success: true, orderID: o.id };
+    },
+    async getOpenOrders({ asset_id } = {}) {
+      return client.open.filter((o) => !asset_id || o.asset_id === asset_id);
+    },
+    arrive() {
+      client.open.push(...client.late.splice(0));
+    },
+  };
+  return client;
+}
+
+// pm_orders by client_order_id
+function orderStore() {
+  const rows = new Map();
+  return {
+    rows,
+    insertRow: async (row) => void rows.set(row.client_order_id, { ...row }),
+    patchRow: async (clientOrderId, patch) => void Object.assign(rows.get(clientOrderId), patch),
+    claimed: async (orderIds) => [...rows.values()].filter((r) => orderIds.includes(String(r.order_id))),
+  };
+}
+
+function setup(script, opts = {}) {
+  const client = fakeClient(script);
+  const store = orderStore();
+  const manager = new OrderManager({
+    insertRow: store.insertRow,
+    patchRow: store.patchRow,
+    findLanded: (row) => findLandedOrder(client, row, store.claimed),
+    baseDelayMs: 0,
+    ...opts,
+  });
+  return { client, store, manager };
+}
+
+const row = (clientOrderId, extra = {}) => ({
+  client_order_id: clientOrderId,
+  token_id: "T1",
+  side: "BUY",
+  price: 0.45,
+  size: 10,
+  order_type: "GTC",
+  ...extra,
+});
+
+function place(manager, client, r) {
+  return manager.place(r, () => client.createAndPostOrder({ tokenID: r.token_id, side: r.side, price: r.price, size: r.size }));
+}
+
+test("failures are classified into retryable, ambiguous and final codes", () => {
+  assert.equal(classifyOrderError(TIMEOUT).code, "NETWORK");
+  assert.equal(classifyOrderError({ error: "Bad Gateway", status: 502 }).code, "SERVER_ERROR");
+  assert.equal(classifyOrderError({ error: "Too Many Requests", status: 429 }).code, "RATE_LIMITED");
+  assert.equal(classifyOrderError({ error: "not enough balance / allowance", status: 400 }).code, "INSUFFICIENT_BALANCE");
+  assert.equal(classifyOrderError({ thrown: new Error("signer unavailable") }).code, "EXCEPTION");
+});
+
+test("a timed-out order that lands later ends UNKNOWN and reconciliation attaches it", async () => {
+  const { client, store, manager } = setup([{ land: "late", resp: TIMEOUT }], { maxAttempts: 1 });
+
+  const r = await place(manager, client, row("c1"));
+  assert.equal(r.status, "UNKNOWN");
+  assert.equal(r.error.code, "NETWORK");
+  assert.equal(client.posts, 1);
+  assert.deepEqual([store.rows.get("c1").status, store.rows.get("c1").order_id], ["UNKNOWN", null]);
+
+  // the order shows up on the book; reconciliation claims it for the row
+  client.arrive();
+  const found = await findLandedOrder(client, store.rows.get("c1"), store.claimed);
+  assert.equal(found, "O1");
+  await store.patchRow("c1", { order_id: found, status: "ACTIVE", last_error: null });
+
+  // a claimed order is never handed to a second row with the same terms
+  await store.insertRow({ ...row("c2"), status: "UNKNOWN", order_id: null });
+  assert.equal(await findLandedOrder(client, store.rows.get("c2"), store.claimed), null);
+});
+
+test("an ambiguous failure whose order landed is recovered, not posted again", async () => {
+  const { client, store, manager } = setup([{ land: true, resp: { error: "Bad Gateway", status: 502 } }]);
+
+  const r = await place(manager, client, row("c1"));
+  assert.deepEqual([r.status, r.orderId, r.attempts], ["ACTIVE", "O1", 1]);
+  assert.equal(client.posts, 1);
+  assert.equal(client.open.length, 1);
+  assert.equal(store.rows.get("c1").order_id, "O1");
+  assert.equal(manager.stats.recovered, 1);
+});
+
+test("a retry goes out only once the earlier attempt is known not to rest", async () => {
+  const retries = [];
+  const { client, store, manager } = setup([{ land: false, resp: TIMEOUT }, { land: true }], {
+    onRetry: ({ attempt, code }) => retries.push([attempt, code]),
+  });
+  // an earlier order on the same terms, already claimed by its own row
+  client.open.push({ id: "X1", asset_id: "T1", side: "BUY", price: "0.45", original_size: "10" });
+  await store.insertRow({ ...row("c0"), status: "ACTIVE", order_id: "X1" });
+
+  const r = await place(manager, client, row("c1"));
+  assert.deepEqual([r.status, r.orderId, r.attempts], ["ACTIVE", "O2", 2]);
+  assert.deepEqual(retries, [[1, "NETWORK"]]);
+  assert.equal(client.posts, 2);
+  assert.deepEqual(client.open.map((o) => o.id), ["X1", "O2"]);
+});
+
+test("an ambiguous FOK is never resent", async () => {
+  const { client, store, manager } = setup([{ land: false, resp: TIMEOUT }]);
+
+  const r = await place(manager, client, row("c1", { order_type: "FOK" }));
+  assert.equal(r.status, "UNKNOWN");
+  assert.equal(client.posts, 1);
+  assert.equal(store.rows.get("c1").status, "UNKNOWN");
+});
+
+test("rejections end FAILED at once; rate limits are retried", async () => {
+  const rejected = setup([{ land: false, resp: { error: "not enough balance / allowance", status: 400 } }]);
+  const r = await place(rejected.manager, rejected.client, row("c1"));
+  assert.deepEqual([r.status, r.error.code, rejected.client.posts], ["FAILED", "INSUFFICIENT_BALANCE", 1]);
+  assert.equal(rejected.store.rows.get("c1").last_error, "INSUFFICIENT_BALANCE: not enough balance / allowance");
+
+  const limited = setup([{ land: false, resp: { error: "Too Many Requests", status: 429 } }, { land: true }]);
+  const ok = await place(limited.manager, limited.client, row("c1"));
+  assert.deepEqual([ok.status, ok.orderId, limited.client.posts], ["ACTIVE", "O2", 2]);
+});
@@ -0,0 +1,116 @@
+// PaperExchange matching and balances: taker fills on placement, maker fills
+// on later snapshots, FOK kills, balance rejects, and finished orders expiring.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PaperExchange } from "../src/paper.js";
+
+const OPTS = { tickSize: "0.01" };
+
+const book = (bestBid, bidSize, bestAsk, askSize) => ({ bestBid, bidSize, bestAsk, askSize });
+const order = (side, price, size) => ({ tokenID: "T1", side, price, size });
+
+// clock in ms, moved by the tests
+function exchange(opts = {}) {
+  const clock = { now: 1767000000000 };
+  const paper = new PaperExchange({ startingCash: 100, now: () => clock.now, ...opts });
+  return { paper, clock };
+}
+
+test("an order crossing the last book takes the top level at the book price", async () => {
+  const { paper } = exchange();
+  paper.onBook("T1", book(0.4, 50, 0.45, 6));
+
+  const r = await paper.createAndPostOrder(order("BUY", 0.5, 10), OPTS, "GTC");
+  assert.equal(r.success, true);
+  assert.equal(r.status, "live");
+
+  // 6 taken at the ask, the other 4 rest at our price
+  assert.equal(paper.sharesOf("T1"), 6);
+  assert.equal(paper.cash, 100 - 6 * 0.45);
+  const [trade] = await paper.getTrades();
+  assert.deepEqual([trade.trader_side, trade.price, trade.size, trade.taker_order_id], ["TAKER", "0.45", "6", r.orderID]);
+  const [open] = await paper.getOpenOrders();
+  assert.deepEqual([open.id, open.size_matched, open.original_size], [r.orderID, "6", "10"]);
+  assert.equal(paper.reservedCash(), 4 * 0.5);
+});
+
+test("resting orders fill as makers at their own price on later snapshots", async () => {
+  const { paper } = exchange();
+  paper.positions.set("T1", 10);
+  paper.onBook("T1", book(0.4, 50, 0.6, 50));
+
+  const bid = await paper.createAndPostOrder(order("BUY", 0.45, 10), OPTS, "GTC");
+  const ask = await paper.createAndPostOrder(order("SELL", 0.55, 10), OPTS, "GTC");
+  assert.equal((await paper.getTrades()).length, 0);
+
+  // the ask comes down through our bid: 3 available
+  let fills = paper.onBook("T1", book(0.4, 50, 0.44, 3));
+  assert.deepEqual(fills.map((t) => [t.trader_side, t.price, t.size, t.maker_orders[0].order_id]), [["MAKER", "0.45", "3", bid.orderID]]);
+
+  // then the bid goes through our ask
+  fills = paper.onBook("T1", book(0.56, 20, 0.6, 50));
+  assert.deepEqual(fills.map((t) => [t.price, t.size]), [["0.55", "10"]]);
+  assert.equal((await paper.getOrder(ask.orderID)).status, "MATCHED");
+  assert.equal(paper.sharesOf("T1"), 3);
+  assert.deepEqual((await paper.getOpenOrders()).map((o) => o.id), [bid.orderID]);
+
+  // stale snapshots match nothing
+  assert.deepEqual(paper.onBook("T1", { ...book(0.4, 50, 0.3, 50), stale: true }), []);
+});
+
+test("a FOK that can't fully fill is killed without trading", async () => {
+  const { paper } = exchange();
+  paper.onBook("T1", book(0.4, 50, 0.45, 6));
+
+  const killed = await paper.createAndPostOrder(order("BUY", 0.45, 10), OPTS, "FOK");
+  assert.equal(killed.success, undefined);
+  assert.match(killed.error, /fully filled or killed/);
+  assert.equal(paper.cash, 100);
+  assert.equal((await paper.getTrades()).length, 0);
+
+  const filled = await paper.createAndPostOrder(order("BUY", 0.45, 6), OPTS, "FOK");
+  assert.equal(filled.status, "matched");
+  assert.equal(paper.sharesOf("T1"), 6);
+  assert.deepEqual(await paper.getOpenOrders(), []);
+});
+
+test("orders beyond the free cash or shares are rejected like the exchange does", async () => {
+  const { paper } = exchange();
+  paper.positions.set("T1", 5);
+
+  await paper.createAndPostOrder(order("BUY", 0.5, 150), OPTS, "GTC"); // reserves $75
+  const buy = await paper.createAndPostOrder(order("BUY", 0.5, 60), OPTS, "GTC");
+  assert.deepEqual(buy, { error: "not enough balance / allowance", status: 400 });
+
+  await paper.createAndPostOrder(order("SELL", 0.6, 4), OPTS, "GTC"); // reserves 4 shares
+  const sell = await paper.createAndPostOrder(order("SELL", 0.6, 2), OPTS, "GTC");
+  assert.deepEqual(sell, { error: "not enough balance / allowance", status: 400 });
+
+  // cancelling frees what the order held
+  await paper.cancelAll();
+  assert.equal(paper.reservedCash(), 0);
+  assert.equal((await paper.createAndPostOrder(order("SELL", 0.6, 5), OPTS, "GTC")).success, true);
+});
+
+test("finished orders are dropped with the trades past tradeRetentionSec", async () => {
+  const { paper, clock } = exchange({ tradeRetentionSec: 60 });
+  paper.onBook("T1", book(0.4, 50, 0.6, 50));
+
+  const filled = await paper.createAndPostOrder(order("BUY", 0.6, 1), OPTS, "GTC");
+  const cancelled = await paper.createAndPostOrder(order("BUY", 0.3, 1), OPTS, "GTC");
+  await paper.cancelOrder({ orderID: cancelled.orderID });
+  const resting = await paper.createAndPostOrder(order("BUY", 0.35, 1), OPTS, "GTC");
+  assert.equal((await paper.getOrder(filled.orderID)).status, "MATCHED");
+  assert.equal((await paper.getOrder(cancelled.orderID)).status, "CANCELED");
+
+  clock.now += 61000;
+  await paper.createAndPostOrder(order("BUY", 0.6, 1), OPTS, "GTC");
+
+  assert.deepEqual(await paper.getOrder(filled.orderID), { error: "order not found", status: 404 });
+  assert.deepEqual(await paper.getOrder(cancelled.orderID), { error: "order not found", status: 404 });
+  assert.equal((await paper.getOrder(resting.orderID)).status, "LIVE");
+  assert.equal(paper.orders.size, 2);
+  assert.equal(paper.summary().openOrders, 1);
+  assert.equal((await paper.getTrades()).length, 1);
+});
@@ -0,0 +1,139 @@
+// RiskManager: the pre-trade caps, the order-rate limit, 0 = off, and the
+// kill switch surviving a restart through its persisted state.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RiskManager } from "../src/risk.js";
+
+const NOW = Date.parse("2026-01-05T12:00:00Z");
+
+const OFF = {
+  MAX_POSITION_USD_PER_TOKEN: 0,
+  MAX_POSITION_USD_PER_ASSET: 0,
+  MAX_TOTAL_POSITION_USD: 0,
+  MAX_ORDERS_PER_MINUTE: 0,
+  MAX_DAILY_LOSS_USD: 0,
+  MAX_DRAWDOWN_USD: 0,
+};
+
+// 10 YES at 0.50 on BTC: $5 of unhedged exposure at cost.
+const POSITIONS = [{ asset: "BTC", slug: "btc-1", token_id: "Y1", outcome: "YES", shares: 10, avg_cost: 0.5, realized_pnl: 0 }];
+
+// saved: the persisted kill switch state, shared between managers like the
+// pm_risk_state row across restarts.
+function manager(limits = {}, store = { saved: null }) {
+  const trips = [];
+  const risk = new RiskManager({
+    cfg: { ...OFF, ...limits },
+    loadState: async () => store.saved,
+    saveState: async (state) => {
+      store.saved = state;
+    },
+    onTrip: async (reason) => {
+      trips.push(reason);
+    },
+    saveRetryMs: 1,
+  });
+  return { risk, trips, store };
+}
+
+const buy = (tokenId, price, size, asset = "BTC") => ({ asset, tokenId, side: "BUY", price, size });
+
+test("BUYs past the token, asset or total cap are rejected; SELLs never are", async () => {
+  const { risk } = manager({ MAX_POSITION_USD_PER_TOKEN: 8, MAX_POSITION_USD_PER_ASSET: 10, MAX_TOTAL_POSITION_USD: 12 });
+  await risk.load();
+  await risk.evaluate(POSITIONS, NOW);
+
+  assert.deepEqual(risk.check(buy("Y1", 0.5, 6), NOW), { ok: true });
+  assert.deepEqual(risk.check(buy("Y1", 0.5, 8), NOW), { ok: false, reason: "token_cap" });
+  assert.deepEqual(risk.check(buy("Y2", 0.5, 12), NOW), { ok: false, reason: "asset_cap" });
+  assert.deepEqual(risk.check(buy("E1", 0.5, 16, "ETH"), NOW), { ok: false, reason: "total_cap" });
+  assert.deepEqual(risk.check({ ...buy("Y1", 0.5, 100), side: "SELL" }, NOW), { ok: true });
+
+  // resting BUYs count at their unfilled notional until cancelled
+  risk.orderOpened({ order_id: "O1", asset: "ETH", token_id: "E1", side: "BUY", price: 0.5, size: 10, filled_size: 2 });
+  assert.deepEqual(risk.check(buy("E1", 0.5, 8, "ETH"), NOW), { ok: false, reason: "total_cap" });
+  risk.orderClosed("O1");
+  assert.deepEqual(risk.check(buy("E1", 0.5, 8, "ETH"), NOW), { ok: true });
+
+  assert.deepEqual(risk.drainBreaches().map((b) => b.rule), ["token_cap", "asset_cap", "total_cap", "total_cap"]);
+});
+
+test("the order rate holds back BUYs, counts SELLs without rejecting them", async () => {
+  const { risk } = manager({ MAX_ORDERS_PER_MINUTE: 2 });
+  await risk.load();
+  await risk.evaluate(POSITIONS, NOW);
+
+  assert.equal(risk.check(buy("Y1", 0.5, 1), NOW).ok, true);
+  assert.equal(risk.check({ ...buy("Y1", 0.5, 1), side: "SELL" }, NOW).ok, true);
+  assert.deepEqual(risk.check(buy("Y1", 0.5, 1), NOW + 1000), { ok: false, reason: "order_rate" });
+
+  // past the limit a SELL still goes out, and still counts
+  assert.equal(risk.check({ ...buy("Y1", 0.5, 1), side: "SELL" }, NOW + 2000).ok, true);
+  assert.equal(risk.orderTimes.length, 3);
+
+  // the window slides: the first two drop out, the SELL at +2s is still in it
+  assert.equal(risk.check(buy("Y1", 0.5, 1), NOW + 60500).ok, true);
+  assert.deepEqual(risk.check(buy("Y1", 0.5, 1), NOW + 60600), { ok: false, reason: "order_rate" });
+});
+
+test("limits set to 0 are off", async () => {
+  const { risk, trips } = manager();
+  await risk.load();
+  await risk.evaluate(POSITIONS, NOW);
+
+  for (let i = 0; i < 500; i++) assert.equal(risk.check(buy("Y1", 0.99, 1000), NOW).ok, true);
+
+  // a -$4.9 mark-to-market loss trips nothing
+  risk.mark("Y1", { bestBid: 0.01, bestAsk: 0.03 });
+  await risk.evaluate(POSITIONS, NOW + 1000);
+  assert.equal(risk.tripped, false);
+  assert.deepEqual(trips, []);
+  assert.deepEqual(risk.drainBreaches(), []);
+});
+
+test("a tripped kill switch is persisted and survives a restart until reset", async () => {
+  const limits = { MAX_DAILY_LOSS_USD: 1 };
+  const first = manager(limits);
+  await first.risk.load();
+  await first.risk.evaluate(POSITIONS, NOW);
+  assert.equal(first.risk.tripped, false);
+
+  // marked at 0.31: 10 * (0.31 - 0.50) = -1.9 on the day
+  first.risk.mark("Y1", { bestBid: 0.3, bestAsk: 0.32 });
+  await first.risk.evaluate(POSITIONS, NOW + 1000);
+  assert.equal(first.risk.tripped, true);
+  assert.deepEqual(first.trips, ["max_daily_loss"]);
+  assert.equal(first.store.saved.tripped, true);
+  assert.equal(first.store.saved.reason, "max_daily_loss");
+
+  // a restarted worker reads the state back and stays halted
+  const restarted = manager(limits, first.store);
+  assert.equal(await restarted.risk.load(), true);
+  assert.equal(restarted.risk.tripped, true);
+  assert.deepEqual(restarted.risk.check({ ...buy("Y1", 0.5, 1), side: "SELL" }, NOW), { ok: false, reason: "kill_switch" });
+
+  // reset re-bases the day on the current PnL, so the same loss doesn't trip it again
+  restarted.risk.mark("Y1", { bestBid: 0.3, bestAsk: 0.32 });
+  await restarted.risk.evaluate(POSITIONS, NOW + 2000);
+  await restarted.risk.reset();
+  assert.equal(first.store.saved.tripped, false);
+  await restarted.risk.evaluate(POSITIONS, NOW + 3000);
+  assert.equal(restarted.risk.tripped, false);
+  assert.deepEqual(restarted.trips, []);
+  assert.equal(restarted.risk.check(buy("Y1", 0.5, 1), NOW + 3000).ok, true);
+});
+
+test("a state that can't be read keeps the manager unloaded", async () => {
+  const risk = new RiskManager({
+    cfg: OFF,
+    loadState: async () => {
+      throw new Error("no such table: pm_risk_state");
+    },
+    saveState: async () => {},
+    onTrip: async () => {},
+  });
+  assert.equal(await risk.load(), false);
+  assert.equal(risk.loaded, false);
+  assert.match(risk.stats.lastError, /run the migrations/);
+});
@@ -0,0 +1,138 @@
+// CycleScheduler: the overlap policies (RUNNER_OVERLAP skip / queue), jitter
+// bounds, and a graceful stop that waits for the running cycle.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CycleScheduler } from "../src/scheduler.js";
+
+// runCycle whose cycles stay open until release(trigger)
+function gatedCycles() {
+  const started = [];
+  const gates = new Map();
+  return {
+    started,
+    runCycle: (trigger) => {
+      started.push(trigger);
+      return new Promise((r) => gates.set(trigger, r));
+    },
+    release: (trigger) => gates.get(trigger)(),
+  };
+}
+
+function scheduler(cycles, opts = {}) {
+  const events = [];
+  const sched = new CycleScheduler({
+    runCycle: cycles.runCycle,
+    intervalMs: 60000,
+    onSkip: (trigger, reason) => events.push(["skip", trigger, reason]),
+    onQueue: (trigger) => events.push(["queue", trigger]),
+    ...opts,
+  });
+  return { sched, events };
+}
+
+test("skip: a trigger during a running cycle is dropped", async () => {
+  const cycles = gatedCycles();
+  const { sched, events } = scheduler(cycles);
+
+  const first = sched.run("interval");
+  assert.equal(await sched.run("stream"), false);
+  assert.deepEqual(events, [["skip", "stream", "overlap"]]);
+  assert.equal(sched.status().lastSkip.reason, "overlap");
+
+  cycles.release("interval");
+  assert.equal(await first, true);
+  assert.deepEqual(cycles.started, ["interval"]);
+  assert.deepEqual([sched.stats.runs, sched.stats.skipped, sched.running], [1, 1, false]);
+});
+
+test("queue: triggers during a cycle fold into one that runs right after", async () => {
+  const cycles = gatedCycles();
+  const { sched, events } = scheduler(cycles, { overlap: "queue" });
+
+  const first = sched.run("interval");
+  assert.equal(await sched.run("stream"), false);
+  assert.equal(await sched.run("run-once"), false);
+  assert.equal(sched.status().queuedTrigger, "run-once");
+  assert.deepEqual(events, [["queue", "stream"], ["queue", "run-once"]]);
+
+  cycles.release("interval");
+  await first;
+  assert.deepEqual(cycles.started, ["interval", "run-once"]);
+  assert.equal(sched.status().running.trigger, "run-once");
+
+  cycles.release("run-once");
+  assert.equal(await sched.idle(1000), true);
+  assert.deepEqual([sched.stats.runs, sched.stats.queued, sched.stats.skipped], [2, 2, 0]);
+});
+
+test("blocked() refuses every trigger, queued or not", async () => {
+  const cycles = gatedCycles();
+  const { sched, events } = scheduler(cycles, { overlap: "queue", blocked: () => "kill_switch" });
+  assert.equal(await sched.run("interval"), false);
+  assert.deepEqual(events, [["skip", "interval", "kill_switch"]]);
+  assert.deepEqual(cycles.started, []);
+});
+
+test("ticks land within intervalMs ± jitterMs, never below 0", (t) => {
+  const sched = new CycleScheduler({ runCycle: async () => {}, intervalMs: 10000, jitterMs: 2000 });
+
+  t.mock.method(Math, "random", () => 0);
+  assert.equal(sched.nextDelay(), 8000);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(sched.nextDelay(), 12000);
+  Math.random.mock.restore();
+
+  for (let i = 0; i < 1000; i++) {
+    const d = sched.nextDelay();
+    assert.ok(d >= 8000 && d <= 12000, `${d} out of bounds`);
+  }
+
+  const wide = new CycleScheduler({ runCycle: async () => {}, intervalMs: 1000, jitterMs: 5000 });
+  for (let i = 0; i < 200; i++) assert.ok(wide.nextDelay() >= 0);
+  assert.equal(new CycleScheduler({ runCycle: async () => {}, intervalMs: 1000 }).nextDelay(), 1000);
+});
+
+test("stop ends the ticks and drops the queue; idle waits for the running cycle", async () => {
+  const cycles = gatedCycles();
+  const { sched } = scheduler(cycles, { overlap: "queue" });
+
+  sched.start(); // first tick runs right away
+  assert.deepEqual(cycles.started, ["interval"]);
+  await sched.run("stream"); // queued behind it
+
+  sched.stop();
+  assert.equal(sched.status().active, false);
+  assert.equal(sched.timer, null);
+  assert.equal(sched.status().queuedTrigger, null);
+
+  // the running cycle isn't interrupted: idle times out until it finishes
+  assert.equal(await sched.idle(20), false);
+  assert.equal(sched.running, true);
+
+  const idle = sched.idle(1000);
+  cycles.release("interval");
+  assert.equal(await idle, true);
+  assert.deepEqual(cycles.started, ["interval"]);
+  assert.equal(sched.running, false);
+});
+
+test("exclusive work waits for the cycle and holds the slot against triggers", async () => {
+  const cycles = gatedCycles();
+  const { sched, events } = scheduler(cycles);
+
+  sched.run("interval");
+  const order = [];
+  const flatten = sched.exclusive("flatten", async () => {
+    order.push("flatten");
+    assert.equal(await sched.run("stream"), false);
+    return "flattened";
+  });
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(order, []);
+
+  cycles.release("interval");
+  assert.equal(await flatten, "flattened");
+  assert.deepEqual(order, ["flatten"]);
+  assert.deepEqual(events, [["skip", "stream", "overlap"]]);
+});
@@ -0,0 +1,152 @@
+// RuntimeConfig: layer precedence, the global / per-asset scope rules, changes
+// staged until refresh(), and persisted patches that fail part way.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RuntimeConfig } from "../src/settings.js";
+
+// pm_config and pm_config_history in memory. failOn: keys whose save throws.
+function runtime({ env = {}, rows = [], failOn = [] } = {}) {
+  const db = new Map(rows.map((r) => [`${r.scope}|${r.key}`, r]));
+  const history = [];
+  const settings = new RuntimeConfig({
+    env,
+    loadRows: async () => [...db.values()],
+    saveRow: async (row) => {
+      if (failOn.includes(row.key)) throw new Error("connection reset");
+      db.set(`${row.scope}|${row.key}`, row);
+    },
+    deleteRow: async (scope, key) => void db.delete(`${scope}|${key}`),
+    recordHistory: async (entries) => void history.push(...entries),
+  });
+  return { settings, db, history };
+}
+
+const KEY = "SEED_HALF_SPREAD_BPS"; // neither global nor per-asset, default 200
+
+function layer(settings, asset) {
+  const { values, sources } = settings.resolve(asset);
+  return [values[KEY], sources[KEY]];
+}
+
+test("layers resolve default < env < db * < db ASSET < api * < api ASSET", async () => {
+  const { settings } = runtime();
+  await settings.refresh();
+  assert.deepEqual(layer(settings, "BTC"), [200, "default"]);
+
+  const withEnv = runtime({ env: { [KEY]: "250" } });
+  await withEnv.settings.refresh();
+  assert.deepEqual(layer(withEnv.settings, "BTC"), [250, "env"]);
+
+  const { settings: s, db } = withEnv;
+  db.set(`*|${KEY}`, { scope: "*", key: KEY, value: 300 });
+  await s.refresh();
+  assert.deepEqual(layer(s, "BTC"), [300, "db"]);
+
+  db.set(`BTC|${KEY}`, { scope: "BTC", key: KEY, value: 350 });
+  await s.refresh();
+  assert.deepEqual(layer(s, "BTC"), [350, "db:BTC"]);
+  assert.deepEqual(layer(s, "ETH"), [300, "db"]);
+  assert.deepEqual(layer(s), [300, "db"]);
+
+  await s.patch({ scope: "*", values: { [KEY]: 400 } });
+  await s.refresh();
+  assert.deepEqual(layer(s, "BTC"), [400, "api"]);
+
+  await s.patch({ scope: "btc", values: { [KEY]: 450 } });
+  await s.refresh();
+  assert.deepEqual(layer(s, "BTC"), [450, "api:BTC"]);
+  assert.deepEqual(layer(s, "ETH"), [400, "api"]);
+
+  // clearing an override falls back to the layer below
+  await s.patch({ scope: "BTC", values: { [KEY]: null } });
+  await s.refresh();
+  assert.deepEqual(layer(s, "BTC"), [400, "api"]);
+});
+
+test("global keys only take *, per-asset keys only an asset", async () => {
+  const { settings } = runtime({
+    env: { TARGET_SLUG_BTC: "btc-env" },
+    rows: [
+      { scope: "BTC", key: "MAX_TOTAL_POSITION_USD", value: 5 },
+      { scope: "*", key: "TARGET_SLUG", value: "everyone" },
+      { scope: "*", key: "MAX_TOTAL_POSITION_USD", value: 50 },
+      { scope: "*", key: "MIN_EDGE_BPS", value: -1 },
+    ],
+  });
+  await settings.refresh();
+
+  // the misplaced and invalid rows are reported and skipped
+  assert.equal(settings.status().errors.length, 3);
+  assert.match(settings.status().errors.join("\n"), /BTC\.MAX_TOTAL_POSITION_USD: not allowed/);
+  assert.match(settings.status().errors.join("\n"), /\*\.TARGET_SLUG: not allowed/);
+  assert.equal(settings.values("BTC").MAX_TOTAL_POSITION_USD, 50);
+  assert.equal(settings.values("BTC").MIN_EDGE_BPS, 80);
+
+  // per-asset keys resolve for their asset only
+  assert.equal(settings.values("BTC").TARGET_SLUG, "btc-env");
+  assert.equal(settings.values("ETH").TARGET_SLUG, "");
+  assert.equal(settings.values().TARGET_SLUG, "");
+
+  await assert.rejects(settings.patch({ scope: "BTC", values: { MAX_TOTAL_POSITION_USD: 10 } }), (e) => {
+    assert.equal(e.status, 400);
+    assert.match(e.message, /MAX_TOTAL_POSITION_USD can't be set for scope BTC \(global only\)/);
+    return true;
+  });
+  await assert.rejects(settings.patch({ scope: "*", values: { TARGET_SLUG: "x" } }), /per-asset only/);
+
+  // one bad value and nothing is applied
+  await assert.rejects(settings.patch({ scope: "*", values: { MIN_EDGE_BPS: 90, NOPE: 1 } }), /unknown key NOPE/);
+  assert.equal(settings.pending, false);
+});
+
+test("patches and pm_config edits wait for refresh()", async () => {
+  const { settings, db } = runtime();
+  await settings.refresh();
+
+  const r = await settings.patch({ scope: "*", values: { MIN_EDGE_BPS: "120" }, actor: "ops" });
+  assert.deepEqual(r.changes, [{ key: "MIN_EDGE_BPS", from: 80, to: 120 }]);
+  assert.equal(settings.values().MIN_EDGE_BPS, 80);
+  assert.equal(settings.resolve(null, settings).values.MIN_EDGE_BPS, 120);
+  assert.equal(settings.pending, true);
+
+  db.set("*|MIN_BID", { scope: "*", key: "MIN_BID", value: 0.05 });
+  assert.equal(settings.values().MIN_BID, 0.02);
+
+  await settings.refresh();
+  assert.equal(settings.pending, false);
+  assert.equal(settings.values().MIN_EDGE_BPS, 120);
+  assert.equal(settings.values().MIN_BID, 0.05);
+
+  // a pm_config that can't be read keeps its last layer; API changes still apply
+  settings.loadRows = async () => {
+    throw new Error("no such table: pm_config");
+  };
+  await settings.patch({ scope: "*", values: { MIN_EDGE_BPS: 130 } });
+  await assert.rejects(settings.refresh(), /no such table/);
+  assert.equal(settings.values().MIN_EDGE_BPS, 130);
+  assert.equal(settings.values().MIN_BID, 0.05);
+});
+
+test("a persisted patch that fails part way reports which keys were saved", async () => {
+  const { settings, db, history } = runtime({ failOn: ["MIN_BID"] });
+  await settings.refresh();
+
+  await assert.rejects(
+    settings.patch({ scope: "*", values: { MIN_EDGE_BPS: 120, MIN_BID: 0.05, REQUOTE_BPS: 40 }, persist: true, actor: "ops" }),
+    (e) => {
+      assert.equal(e.status, 500);
+      assert.deepEqual(e.applied, ["MIN_EDGE_BPS"]);
+      assert.deepEqual(e.failed, ["MIN_BID", "REQUOTE_BPS"]);
+      assert.match(e.message, /connection reset.*applied: MIN_EDGE_BPS; not applied: MIN_BID, REQUOTE_BPS/);
+      return true;
+    }
+  );
+
+  assert.deepEqual([...db.keys()], ["*|MIN_EDGE_BPS"]);
+  assert.deepEqual(history.map((h) => [h.key, h.new_value, h.layer]), [["MIN_EDGE_BPS", 120, "db"]]);
+
+  await settings.refresh();
+  assert.equal(settings.values().MIN_EDGE_BPS, 120);
+  assert.equal(settings.values().REQUOTE_BPS, 30);
+});
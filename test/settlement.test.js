@@ -0,0 +1,134 @@
+// SettlementManager over the SQLite repositories with a paper redeemer: the
+// pm_settlements row written ahead of the position saves.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SqliteStore } from "../src/sqlstore.js";
+import { createRepositories } from "../src/storage.js";
+import { PaperExchange } from "../src/paper.js";
+import { PaperRedeemer, SettlementManager } from "../src/settlement.js";
+
+const ENDED = new Date(Date.now() - 60000).toISOString();
+
+// A market holding 10 YES at 0.45 and 4 NO at 0.50. failSave: token ids whose
+// next position save throws (once each); dryRun: the redeemer only reports.
+async function withMarket(fn, { failSave = [], dryRun = false } = {}) {
+  const store = await SqliteStore.open({ file: ":memory:" });
+  const repos = createRepositories(store, { paper: true });
+  const paper = new PaperExchange({ startingCash: 100 });
+  paper.positions.set("Y", 10);
+  paper.positions.set("N", 4);
+  for (const [tokenId, outcome, shares, avgCost] of [["Y", "YES", 10, 0.45], ["N", "NO", 4, 0.5]]) {
+    await repos.positions.upsert({ asset: "BTC", slug: "btc-1", token_id: tokenId, outcome, shares, avg_cost: avgCost, realized_pnl: 0 });
+  }
+
+  const market = { slug: "btc-1", endDate: ENDED, closed: false };
+  const calls = { merge: 0, redeem: 0 };
+  const paperRedeemer = new PaperRedeemer({ paper });
+  const failing = new Set(failSave);
+  const mgr = new SettlementManager({
+    redeemer: {
+      dryRun,
+      payouts: () => paperRedeemer.payouts(),
+      merge: (args) => (calls.merge++, paperRedeemer.merge(args)),
+      redeem: (args) => (calls.redeem++, dryRun ? { dryRun: true, hash: null } : paperRedeemer.redeem(args)),
+    },
+    fetchMarket: async () => market,
+    getPositions: repos.positions.list,
+    savePosition: async (row) => {
+      if (failing.delete(row.token_id)) throw new Error("position save failed");
+      await repos.positions.upsert(row);
+    },
+    getSettlement: repos.settlements.get,
+    recordSettlement: repos.settlements.upsert,
+    pollMs: 0,
+  });
+
+  const position = async (tokenId) => repos.positions.get("BTC", "btc-1", tokenId);
+  try {
+    await fn({ mgr, market, calls, paper, repos, position });
+  } finally {
+    await store.close();
+  }
+}
+
+test("a merge whose position save failed completes from its row without merging again", async () => {
+  await withMarket(
+    async ({ mgr, calls, repos, position }) => {
+      const first = await mgr.run();
+      assert.equal(first.errors.length, 1);
+      assert.equal((await repos.settlements.get("btc-1")).status, "MERGING");
+      assert.equal((await position("Y")).shares, 6);
+      assert.equal((await position("N")).shares, 4);
+
+      const second = await mgr.run();
+      assert.deepEqual(second.errors, []);
+      assert.equal(second.merged[0].pairs, 4);
+      assert.equal(second.merged[0].locked_pnl, 0.2);
+      assert.equal((await repos.settlements.get("btc-1")).status, "MERGED");
+      assert.equal((await position("Y")).shares, 6);
+      assert.equal((await position("N")).shares, 0);
+      assert.ok(Math.abs((await position("Y")).realized_pnl - 0.1) < 1e-9);
+      assert.ok(Math.abs((await position("N")).realized_pnl - 0.1) < 1e-9);
+
+      await mgr.run();
+      assert.equal(calls.merge, 1);
+    },
+    { failSave: ["N"] }
+  );
+});
+
+test("a redemption is recorded before the positions and never sent twice", async () => {
+  await withMarket(
+    async ({ mgr, market, calls, paper, repos, position }) => {
+      market.closed = true;
+      market.outcomePrices = '["1","0"]';
+
+      const first = await mgr.run();
+      assert.equal(first.errors.length, 1);
+      const pending = await repos.settlements.get("btc-1");
+      assert.equal(pending.status, "REDEEMING");
+      assert.equal(pending.winner, "YES");
+      assert.equal(pending.pnl, 3.5);
+
+      const second = await mgr.run();
+      assert.deepEqual(second.errors, []);
+      assert.equal(second.settled[0].status, "REDEEMED");
+      for (const tokenId of ["Y", "N"]) assert.equal((await position(tokenId)).shares, 0);
+      assert.ok(Math.abs((await position("Y")).realized_pnl - 5.5) < 1e-9);
+      assert.ok(Math.abs((await position("N")).realized_pnl + 2) < 1e-9);
+
+      // a REDEEMED market is skipped even if a position shows shares again
+      await repos.positions.upsert({ asset: "BTC", slug: "btc-1", token_id: "Y", outcome: "YES", shares: 10, avg_cost: 0.45 });
+      const third = await mgr.run();
+      assert.deepEqual(third.settled, []);
+      assert.equal(calls.redeem, 1);
+      assert.equal(paper.cash, 110);
+    },
+    { failSave: ["Y"] }
+  );
+});
+
+test("a dry-run settlement is not repeated while the positions are unchanged", async () => {
+  await withMarket(
+    async ({ mgr, market, calls, repos, position }) => {
+      market.closed = true;
+      market.outcomePrices = '["1","0"]';
+
+      const first = await mgr.run();
+      assert.equal(first.settled[0].status, "DRY_RUN");
+      assert.equal((await position("Y")).shares, 10);
+
+      assert.deepEqual((await mgr.run()).settled, []);
+      assert.equal(calls.redeem, 1);
+
+      // a fill after the dry run: recorded again with the new shares
+      await repos.positions.upsert({ asset: "BTC", slug: "btc-1", token_id: "N", outcome: "NO", shares: 6, avg_cost: 0.5 });
+      const third = await mgr.run();
+      assert.equal(third.settled[0].status, "DRY_RUN");
+      assert.equal(calls.redeem, 2);
+      assert.deepEqual((await repos.settlements.get("btc-1")).tokens.map((t) => t.shares), [10, 6]);
+    },
+    { dryRun: true }
+  );
+});
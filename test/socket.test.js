@@ -0,0 +1,39 @@
+// ReconnectingSocket: a WebSocket constructor that throws goes through the
+// same backoff as a dropped connection.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { ReconnectingSocket } from "../src/socket.js";
+
+test("a throwing WebSocket constructor is retried with backoff", async (t) => {
+  t.mock.method(console, "log", () => {});
+  let attempts = 0;
+  class FlakyWebSocket extends EventEmitter {
+    constructor(url) {
+      super();
+      if (++attempts < 3) throw new SyntaxError(`Invalid URL: ${url}`);
+    }
+  }
+
+  const socket = new ReconnectingSocket({
+    url: "ws://feed.invalid",
+    subscribe: () => ({ type: "market" }),
+    WebSocketImpl: FlakyWebSocket,
+    reconnectMinMs: 5,
+  });
+  socket.start();
+  assert.equal(attempts, 1);
+  assert.equal(socket.stats.reconnects, 1);
+  assert.match(socket.stats.lastError, /Invalid URL/);
+  assert.equal(socket.backoffMs, 10);
+
+  // 5ms, then 10ms: the third attempt constructs
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(attempts, 3);
+  assert.equal(socket.stats.reconnects, 2);
+  assert.ok(socket.ws instanceof FlakyWebSocket);
+
+  socket.stop();
+  assert.equal(socket.reconnectTimer, null);
+});
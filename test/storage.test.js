@@ -0,0 +1,216 @@
+// SqliteStore, its migrations and the repositories on top of it.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SqliteStore } from "../src/sqlstore.js";
+import { createRepositories } from "../src/storage.js";
+
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "pm-storage-test-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function withStore(fn, { paper = false } = {}) {
+  const store = await SqliteStore.open({ file: ":memory:" });
+  try {
+    await fn(createRepositories(store, { paper }), store);
+  } finally {
+    await store.close();
+  }
+}
+
+function order(fields = {}) {
+  return { asset: "btc", slug: "btc-up", token_id: "T1", side: "BUY", price: 0.45, size: 10, status: "ACTIVE", ...fields };
+}
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+test("migrations apply in order once and are recorded", async () => {
+  const file = path.join(tmp, "nested", "worker.db");
+  const store = await SqliteStore.open({ file, migrate: false });
+  try {
+    const shipped = fs
+      .readdirSync(new URL("../migrations/sqlite/", import.meta.url))
+      .filter((f) => f.endsWith(".sql"))
+      .map((f) => f.replace(/\.sql$/, ""))
+      .sort();
+    assert.deepEqual(await store.migrate(), shipped);
+    assert.deepEqual(await store.migrate(), []);
+
+    const versions = (await store.select("pm_schema_migrations", {}, { order: ["version", "asc"] })).map((r) => r.version);
+    assert.deepEqual(versions, shipped);
+  } finally {
+    await store.close();
+  }
+
+  // opening the file again finds it up to date
+  const reopened = await SqliteStore.open({ file });
+  try {
+    assert.deepEqual(await reopened.migrate(), []);
+  } finally {
+    await reopened.close();
+  }
+});
+
+test("tables that predate the worker's columns gain them", async () => {
+  const store = await SqliteStore.open({ file: ":memory:", migrate: false });
+  try {
+    // pm_orders and pm_positions as they were before fill tracking
+    await store.execScript(
+      fs.readFileSync(new URL("../migrations/sqlite/000_baseline.sql", import.meta.url), "utf8")
+    );
+    await store.insert("pm_orders", [order({ order_id: "O1" })]);
+    await store.insert("pm_positions", [{ asset: "btc", slug: "btc-up", token_id: "T1", shares: 5, avg_cost: 0.4 }]);
+
+    await store.migrate();
+    const repo = createRepositories(store);
+    assert.equal((await repo.orders.byIds(["O1"]))[0].filled_size, 0);
+    assert.equal((await repo.positions.get("btc", "btc-up", "T1")).realized_pnl, 0);
+  } finally {
+    await store.close();
+  }
+});
+
+test("a failing migration rolls back and stops the run", async () => {
+  const dir = path.join(tmp, "broken");
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, "001_ok.sql"), "CREATE TABLE t_ok (id INTEGER PRIMARY KEY);");
+  fs.writeFileSync(path.join(dir, "002_bad.sql"), "CREATE TABLE t_bad (id INTEGER PRIMARY KEY);\nINSERT INTO nope VALUES (1);");
+  fs.writeFileSync(path.join(dir, "003_later.sql"), "CREATE TABLE t_later (id INTEGER PRIMARY KEY);");
+  fs.writeFileSync(path.join(dir, "README.md"), "not a migration");
+
+  const store = await SqliteStore.open({ file: ":memory:", migrate: false });
+  try {
+    await assert.rejects(store.migrate(dir), /no such table: nope/);
+    const versions = (await store.select("pm_schema_migrations")).map((r) => r.version);
+    assert.deepEqual(versions, ["001_ok"]);
+    const tables = (await store.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 't_%'")).map((r) => r.name);
+    assert.deepEqual(tables, ["t_ok"]);
+  } finally {
+    await store.close();
+  }
+});
+
+// =============================================================================
+// REPOSITORIES
+// =============================================================================
+
+test("assets: booleans round-trip through 0/1 columns", async () => {
+  await withStore(async (repo, store) => {
+    await store.insert("pm_assets", [{ asset: "btc", enabled: true }, { asset: "eth", enabled: false }]);
+    assert.deepEqual((await repo.assets.listEnabled()).map((r) => [r.asset, r.enabled]), [["btc", true]]);
+
+    const updated = await repo.assets.setEnabled("eth", true);
+    assert.equal(updated.length, 1);
+    assert.equal(updated[0].enabled, true);
+    assert.deepEqual(await repo.assets.setEnabled("doge", true), []);
+  });
+});
+
+test("positions: upsert merges on (asset, slug, token_id)", async () => {
+  await withStore(async (repo) => {
+    await repo.positions.upsert({ asset: "btc", slug: "btc-up", token_id: "T1", shares: 10, avg_cost: 0.5 });
+    await repo.positions.upsert({ asset: "btc", slug: "btc-up", token_id: "T1", shares: 4, avg_cost: 0.5, realized_pnl: 1.2 });
+    await repo.positions.upsert({ asset: "btc", slug: "btc-up", token_id: "T2", shares: 3, avg_cost: 0.4 });
+
+    const pos = await repo.positions.get("btc", "btc-up", "T1");
+    assert.equal(pos.shares, 4);
+    assert.equal(pos.realized_pnl, 1.2);
+    assert.equal((await repo.positions.list()).length, 2);
+    assert.equal(await repo.positions.get("btc", "btc-up", "T9"), null);
+  });
+});
+
+test("orders: active filters, unresolved submissions and client ids", async () => {
+  await withStore(async (repo) => {
+    await repo.orders.insert(order({ order_id: "O1", client_order_id: "c1", neg_risk: true }));
+    await repo.orders.insert(order({ order_id: "O2", client_order_id: "c2", status: "PARTIALLY_FILLED" }));
+    await repo.orders.insert(order({ order_id: "O3", client_order_id: "c3", status: "FILLED" }));
+    await repo.orders.insert(order({ client_order_id: "c4", status: "PENDING" }));
+    await repo.orders.insert(order({ client_order_id: "c5", status: "UNKNOWN", token_id: "T2" }));
+
+    const active = await repo.orders.activeForToken("btc", "btc-up", "T1");
+    assert.deepEqual(active.map((o) => o.order_id).sort(), ["O1", "O2"]);
+    assert.equal(active.find((o) => o.order_id === "O1").neg_risk, true);
+    assert.equal((await repo.orders.allActive()).length, 2);
+    assert.deepEqual((await repo.orders.byIds(["O3", "O9"])).map((o) => o.status), ["FILLED"]);
+    assert.deepEqual(await repo.orders.byIds([]), []);
+
+    assert.deepEqual((await repo.orders.unresolved()).map((o) => o.client_order_id), ["c4", "c5"]);
+    const [landed] = await repo.orders.patchByClientId("c5", { order_id: "O5", status: "ACTIVE" });
+    assert.equal(landed.order_id, "O5");
+    assert.deepEqual((await repo.orders.unresolved()).map((o) => o.client_order_id), ["c4"]);
+
+    await assert.rejects(repo.orders.insert(order({ client_order_id: "c1" })), /UNIQUE constraint failed/);
+  });
+});
+
+test("fills: insertOnce skips a recorded (trade_id, order_id)", async () => {
+  await withStore(async (repo) => {
+    const fill = { trade_id: "tr1", order_id: "O1", side: "BUY", price: 0.5, size: 10, status: "MATCHED", avg_cost_before: 0 };
+    assert.equal((await repo.fills.insertOnce(fill)).length, 1);
+    assert.deepEqual(await repo.fills.insertOnce({ ...fill, size: 99 }), []);
+    assert.equal((await repo.fills.insertOnce({ ...fill, order_id: "O2" })).length, 1);
+
+    await repo.fills.patch("tr1", "O1", { status: "FAILED" });
+    const row = await repo.fills.get("tr1", "O1");
+    assert.equal(row.status, "FAILED");
+    assert.equal(row.size, 10);
+    assert.equal(await repo.fills.get("tr9", "O1"), null);
+  });
+});
+
+test("risk state and config: json and boolean columns decode", async () => {
+  await withStore(async (repo) => {
+    assert.equal(await repo.riskState.get(), null);
+    await repo.riskState.save({ tripped: true, reason: "daily loss", peak_pnl: 12.5 });
+    await repo.riskState.save({ tripped: false, reason: null, peak_pnl: 12.5 });
+    const state = await repo.riskState.get();
+    assert.equal(state.tripped, false);
+    assert.equal(state.reason, null);
+
+    await repo.config.save({ scope: "global", key: "max_exposure", value: { usd: 100, assets: ["btc"] } });
+    await repo.config.save({ scope: "global", key: "max_exposure", value: { usd: 50, assets: ["btc"] } });
+    assert.deepEqual((await repo.config.list()).map((r) => r.value), [{ usd: 50, assets: ["btc"] }]);
+    await repo.config.remove("global", "max_exposure");
+    assert.deepEqual(await repo.config.list(), []);
+
+    await repo.config.addHistory([
+      { scope: "global", key: "a", new_value: 1, created_at: "2026-01-01T00:00:00.000Z" },
+      { scope: "global", key: "b", new_value: [2], created_at: "2026-01-02T00:00:00.000Z" },
+      { scope: "btc", key: "a", new_value: null, created_at: "2026-01-03T00:00:00.000Z" },
+    ]);
+    assert.deepEqual((await repo.config.history({ scope: "global" })).map((r) => [r.key, r.new_value]), [["b", [2]], ["a", 1]]);
+    assert.deepEqual((await repo.config.history({ limit: 1 })).map((r) => r.scope), ["btc"]);
+  });
+});
+
+test("paper mode writes the trading tables' pm_paper_ twins", async () => {
+  const store = await SqliteStore.open({ file: ":memory:" });
+  try {
+    const paper = createRepositories(store, { paper: true });
+    const live = createRepositories(store);
+    await paper.orders.insert(order({ order_id: "P1", client_order_id: "p1" }));
+    await paper.positions.upsert({ asset: "btc", slug: "btc-up", token_id: "T1", shares: 5 });
+    await store.insert("pm_assets", [{ asset: "btc", enabled: true }]);
+
+    assert.equal((await store.select("pm_paper_orders")).length, 1);
+    assert.deepEqual(await live.orders.allActive(), []);
+    assert.deepEqual(await live.positions.list(), []);
+    assert.equal((await paper.positions.list()).length, 1);
+    // pm_assets is shared
+    assert.equal((await paper.assets.listEnabled()).length, 1);
+  } finally {
+    await store.close();
+  }
+});
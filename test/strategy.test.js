@@ -0,0 +1,67 @@
+// Pure decision and accounting helpers from src/strategy.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { defaultValues } from "../src/config.js";
+import { applyFill, inventoryRatio, planExit, reverseFill } from "../src/strategy.js";
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test("reverseFill undoes a BUY that FAILED after it was applied", () => {
+  const before = { shares: 10, avg_cost: 0.4, realized_pnl: 0.5 };
+  const after = applyFill(before, "BUY", 5, 0.52);
+  const back = reverseFill(after, "BUY", 5, 0.52, before.avg_cost);
+  close(back.shares, 10);
+  close(back.avg_cost, 0.4);
+  close(back.realized_pnl, 0.5);
+});
+
+test("reverseFill undoes a SELL at the average cost it was applied against", () => {
+  const before = { shares: 10, avg_cost: 0.4, realized_pnl: 0 };
+  const after = applyFill(before, "SELL", 4, 0.6);
+  close(after.realized_pnl, 0.8);
+
+  const back = reverseFill(after, "SELL", 4, 0.6, before.avg_cost);
+  close(back.shares, 10);
+  close(back.avg_cost, 0.4);
+  close(back.realized_pnl, 0);
+});
+
+test("reverseFill of a SELL that flattened the position restores its cost", () => {
+  const before = { shares: 3, avg_cost: 0.3, realized_pnl: 0 };
+  const after = applyFill(before, "SELL", 3, 0.5);
+  assert.equal(after.avg_cost, 0);
+
+  const back = reverseFill(after, "SELL", 3, 0.5, before.avg_cost);
+  close(back.shares, 3);
+  close(back.avg_cost, 0.3);
+  close(back.realized_pnl, 0);
+});
+
+test("planExit keeps a TP that is itself the best ask", () => {
+  const cfg = defaultValues();
+  const pos = { shares: 10, avgCost: 0.4 };
+  const book = { bestBid: 0.45, bestAsk: 0.55, bidSize: 50, bidDepthUsd: 22.5 };
+
+  const first = planExit({ ...pos, book, exits: [] }, 0.01, cfg);
+  assert.deepEqual(first.order, { side: "SELL", price: 0.54, size: 10, orderType: "GTC", kind: "TP" });
+
+  // next cycle the book's best ask is our TP: not undercut
+  const tp = { order_id: "O1", side: "SELL", price: 0.54, remaining: 10 };
+  const again = planExit({ ...pos, book: { ...book, bestAsk: 0.54 }, exits: [tp] }, 0.01, cfg);
+  assert.equal(again.order, null);
+  assert.deepEqual(again.cancel, []);
+
+  // someone else's lower ask is still undercut
+  const beaten = planExit({ ...pos, book: { ...book, bestAsk: 0.52 }, exits: [tp] }, 0.01, cfg);
+  assert.equal(beaten.order.price, 0.51);
+  assert.deepEqual(beaten.cancel, [tp]);
+});
+
+test("inventoryRatio scales by the token cap, and is 0 with the cap off", () => {
+  const yes = { shares: 10, avg_cost: 0.5 };
+  const no = { shares: 4, avg_cost: 0.4 };
+  close(inventoryRatio(yes, no, { MAX_POSITION_USD_PER_TOKEN: 10 }), 0.3);
+  assert.equal(inventoryRatio(yes, no, { MAX_POSITION_USD_PER_TOKEN: 1 }), 1);
+  assert.equal(inventoryRatio(yes, no, { MAX_POSITION_USD_PER_TOKEN: 0 }), 0);
+});